@@ -5,7 +5,22 @@ import RoomList from './components/RoomList';
 import PromoCodeManager from './components/PromoCodeManager';
 import PayoutManager from './components/PayoutManager';
 import StatusMessageManager from './components/StatusMessageManager';
-import { supabase, roomService } from './lib/supabase';
+import RoomSeriesManager from './components/RoomSeriesManager';
+import RoomCloseouts from './components/RoomCloseouts';
+import RoomHistory from './components/RoomHistory';
+import RoomCsvImport from './components/RoomCsvImport';
+import ArchivedRooms from './components/ArchivedRooms';
+import OccupancyReconciler from './components/OccupancyReconciler';
+import StaleSessions from './components/StaleSessions';
+import OccupancyCharts from './components/OccupancyCharts';
+import RevenueDashboard from './components/RevenueDashboard';
+import PricingRulesManager from './components/PricingRulesManager';
+import RoomCategoryManager from './components/RoomCategoryManager';
+import { supabase, roomService, pricingRuleService, roomCategoryService, automationSettingsService } from './lib/supabase';
+import { getBusinessDate, isScheduledOn, getExtendedSessionEnd, formatSessionRange } from './lib/schedule';
+import { countRoomStatuses } from './lib/roomStatus';
+import { DEFAULT_AUTOMATION_SETTINGS } from './lib/automationSettings';
+import useNow from './hooks/useNow';
 
 // TypeScript interfaces
 interface Room {
@@ -16,29 +31,36 @@ interface Room {
   max_users: number;
   price_inr: number;
   session_date: string | null; // Added session_date field
+  session_end_date?: string | null;
   session_start_time: string | null;
   session_end_time: string | null;
   current_users: number;
+  series_id?: string | null;
+  series_detached?: boolean;
+  archived_at?: string | null;
+  closed_out_at?: string | null;
+  category_id?: string | null;
+  tags?: string[];
   created_at?: string;
 }
 
-interface Session {
-  id: string;
-  room_id: string;
-  username: string;
-  rewards_left: number;
-  last_updated: string;
-}
-
 const AdminPanel: React.FC = () => {
   const [rooms, setRooms] = useState<Room[]>([]);
   const [isLoading, setIsLoading] = useState<boolean>(true);
   const [error, setError] = useState<string | null>(null);
   const [notification, setNotification] = useState<{ message: string; type: 'success' | 'error' } | null>(null);
+  const [pricingRules, setPricingRules] = useState<any[]>([]);
+  const [categories, setCategories] = useState<any[]>([]);
+  const [automationSettings, setAutomationSettings] = useState<any>(DEFAULT_AUTOMATION_SETTINGS);
+  const now = useNow();
+  const statusCounts = countRoomStatuses(rooms, now);
 
   // Load rooms + setup real-time listeners and auto-refresh
   useEffect(() => {
     loadRooms();
+    loadPricingRules();
+    loadCategories();
+    loadAutomationSettings();
 
     // 🔁 Real-time subscription for room changes
     const roomSubscription = supabase
@@ -51,24 +73,17 @@ const AdminPanel: React.FC = () => {
           table: 'rooms'
         },
         (payload) => {
-          // Get today's date for filtering using UTC
-          const now = new Date();
-          const today = new Date(Date.UTC(
-            now.getUTCFullYear(),
-            now.getUTCMonth(),
-            now.getUTCDate(),
-            0, 0, 0
-          ));
-          const todayStr = today.toISOString().split('T')[0];
+          // Today's date in the business timezone, matching loadRooms
+          const todayStr = getBusinessDate();
           
-          console.log(`Realtime event: ${payload.eventType}, UTC date: ${todayStr}, Room date: ${payload.new?.session_date}`);
+          console.log(`Realtime event: ${payload.eventType}, business date: ${todayStr}, Room date: ${payload.new?.session_date}`);
           
           if (payload.eventType === 'INSERT') {
             setRooms((prev) => {
               const newRoom = payload.new as Room;
               
-              // Only add the room if it's scheduled for today
-              if (newRoom.session_date !== todayStr) {
+              // Only add the room if its session touches today (overnight rooms from yesterday included)
+              if (newRoom.archived_at || !isScheduledOn(newRoom, todayStr)) {
                 console.log(`Ignoring new room ${newRoom.name} - not scheduled for today (${newRoom.session_date} vs ${todayStr})`);
                 return prev;
               }
@@ -85,10 +100,18 @@ const AdminPanel: React.FC = () => {
             const updatedRoom = payload.new as Room;
             
             setRooms((prev) => {
-              // If the room is not in our current list and it's not for today, ignore it
-              if (!prev.some(room => room.id === updatedRoom.id) && updatedRoom.session_date !== todayStr) {
-                console.log(`Ignoring updated room - not for today or not in current list`);
-                return prev;
+              // Archived rooms leave the live list
+              if (updatedRoom.archived_at) {
+                return prev.filter((room) => room.id !== updatedRoom.id);
+              }
+
+              if (!prev.some(room => room.id === updatedRoom.id)) {
+                // A restored room for today comes back; anything else not in the list is ignored
+                if (!isScheduledOn(updatedRoom, todayStr)) {
+                  console.log(`Ignoring updated room - not for today or not in current list`);
+                  return prev;
+                }
+                return [updatedRoom, ...prev];
               }
               
               return prev.map((room) =>
@@ -110,65 +133,60 @@ const AdminPanel: React.FC = () => {
     // This helps remove rooms that are no longer active due to time/date changes
     const autoRefreshInterval = setInterval(() => {
       console.log('Auto-refreshing rooms list...');
-      loadRooms();
+      loadRooms({ background: true });
     }, 30000); // 30 seconds
 
-    // 🚪 Real-time subscription for user sessions
-    const sessionSubscription = supabase
-      .channel('sessions-changes')
+    // 💸 Real-time subscription for pricing rules, used by the form, the list and the preview
+    const pricingRulesSubscription = supabase
+      .channel('pricing-rules-changes')
       .on(
         'postgres_changes',
         {
           event: '*',
           schema: 'public',
-          table: 'user_sessions'
+          table: 'pricing_rules'
         },
-        async (payload) => {
-          const session = payload.new || payload.old;
-
-          // Only process if session has room_id
-          if (!session?.room_id) return;
-
-          const roomId = session.room_id;
-
-          if (payload.eventType === 'INSERT') {
-            const sessionData = payload.new as Session;
-
-            // If rewards are > 0 → increment current_users
-            if (sessionData.rewards_left > 0) {
-              await updateRoomUserCount(roomId, 1);
-            }
-          }
-
-          if (payload.eventType === 'UPDATE') {
-            const oldSession = payload.old as Session;
-            const newSession = payload.new as Session;
-
-            if (oldSession.room_id !== newSession.room_id) return;
-
-            // If rewards went from active → inactive
-            if (oldSession.rewards_left > 0 && newSession.rewards_left <= 0) {
-              await updateRoomUserCount(roomId, -1);
-            }
-
-            // If rewards were zero but now started again
-            if (oldSession.rewards_left <= 0 && newSession.rewards_left > 0) {
-              await updateRoomUserCount(roomId, 1);
-            }
-          }
+        () => {
+          loadPricingRules();
+        }
+      )
+      .subscribe();
 
-          if (payload.eventType === 'DELETE') {
-            const sessionData = payload.old as Session;
+    // 🏷️ Real-time subscription for room categories, used by the form and the list filters
+    const categoriesSubscription = supabase
+      .channel('room-categories-changes')
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'room_categories'
+        },
+        () => {
+          loadCategories();
+        }
+      )
+      .subscribe();
 
-            // If rewards were > 0 before deletion
-            if (sessionData.rewards_left > 0) {
-              await updateRoomUserCount(roomId, -1);
-            }
-          }
+    // ⚙️ Real-time subscription for the shared automation settings, so every admin sees the same schedule
+    const automationSettingsSubscription = supabase
+      .channel('automation-settings-changes')
+      .on(
+        'postgres_changes',
+        {
+          event: 'UPDATE',
+          schema: 'public',
+          table: 'automation_settings'
+        },
+        (payload: any) => {
+          setAutomationSettings(payload.new);
         }
       )
       .subscribe();
 
+    // current_users is maintained by a database trigger on user_sessions
+    // (see supabase/migrations), so session changes reach us as room UPDATEs.
+
     // Auto-hide notification after 5 seconds
     const notificationTimer = notification
       ? setTimeout(() => {
@@ -180,61 +198,55 @@ const AdminPanel: React.FC = () => {
       if (notificationTimer) clearTimeout(notificationTimer);
       clearInterval(autoRefreshInterval); // Clean up auto-refresh interval
       supabase.removeChannel(roomSubscription);
-      supabase.removeChannel(sessionSubscription);
+      supabase.removeChannel(pricingRulesSubscription);
+      supabase.removeChannel(categoriesSubscription);
+      supabase.removeChannel(automationSettingsSubscription);
     };
   }, []);
 
-  // Function to safely update room user count
-  const updateRoomUserCount = async (roomId: string, change: number) => {
-    try {
-      const { data: room, error: fetchError } = await supabase
-        .from('rooms')
-        .select('*')
-        .eq('id', roomId)
-        .single();
+  const loadPricingRules = async () => {
+    const { data, error } = await pricingRuleService.getAllRules();
+
+    if (error) {
+      console.error("Error loading pricing rules:", error);
+      return;
+    }
+
+    setPricingRules(data || []);
+  };
 
-      if (fetchError) throw fetchError;
+  const loadCategories = async () => {
+    const { data, error } = await roomCategoryService.getAllCategories();
 
-      const newCount = Math.max(0, (room.current_users || 0) + change);
+    if (error) {
+      console.error("Error loading room categories:", error);
+      return;
+    }
 
-      const { error: updateError } = await supabase
-        .from('rooms')
-        .update({ current_users: newCount })
-        .eq('id', roomId);
+    setCategories(data || []);
+  };
 
-      if (updateError) throw updateError;
+  const loadAutomationSettings = async () => {
+    const { data, error } = await automationSettingsService.getSettings();
 
-      console.log(`Room ${roomId} users updated: ${room.current_users} → ${newCount}`);
-    } catch (err) {
-      console.error("Failed to update room user count:", err);
+    if (error) {
+      console.error("Error loading automation settings:", error);
+      return;
     }
+
+    setAutomationSettings(data);
   };
 
-  // Fetch all rooms initially
-  const loadRooms = async () => {
-    setIsLoading(true);
+  // Fetch all rooms. Background refreshes leave isLoading alone so the list
+  // (and anything open in it) stays mounted while the rooms are replaced.
+  const loadRooms = async ({ background = false }: { background?: boolean } = {}) => {
+    if (!background) setIsLoading(true);
     setError(null);
     try {
-      // Get today's date in YYYY-MM-DD format using UTC for filtering
-      const now = new Date();
-      const today = new Date(Date.UTC(
-        now.getUTCFullYear(),
-        now.getUTCMonth(),
-        now.getUTCDate(),
-        0, 0, 0
-      ));
-      const todayStr = today.toISOString().split('T')[0];
-      
-      console.log(`Loading rooms for UTC date: ${todayStr}, Local time: ${new Date().toString()}`);
-      
-      // Modify to fetch only rooms for today's date by default
-      const { data, error } = await supabase
-        .from('rooms')
-        .select('*')
-        .eq('session_date', todayStr)
-        .order('created_at', { ascending: false });
+      // Only rooms scheduled for today (business timezone) are shown by default
+      const { data, error } = await roomService.getAllRooms();
   
-      if (error) throw error;
+      if (error) throw new Error(error);
   
       setRooms(data || []);
     } catch (err: any) {
@@ -242,7 +254,7 @@ const AdminPanel: React.FC = () => {
       showNotification(`❌ Failed to load rooms – check Supabase connection`, 'error');
       console.error("Error loading rooms:", err);
     } finally {
-      setIsLoading(false);
+      if (!background) setIsLoading(false);
     }
   };
 
@@ -264,9 +276,11 @@ const AdminPanel: React.FC = () => {
       if (error) throw error;
 
       showNotification('✅ Room added successfully!', 'success');
+      return true;
     } catch (err: any) {
       console.error("Error adding room:", err);
-      showNotification('❌ Failed to add room. Please try again.', 'error');
+      showNotification(`❌ Failed to add room: ${err}`, 'error');
+      return false;
     }
   };
 
@@ -283,23 +297,98 @@ const AdminPanel: React.FC = () => {
       }
 
       showNotification('✅ Room updated successfully!', 'success');
+      return true;
     } catch (err: any) {
       console.error("Error updating room:", err);
-      showNotification('❌ Failed to update room', 'error');
+      showNotification(`❌ Failed to update room: ${err}`, 'error');
+      return false;
     }
   };
 
-  const handleDeleteRoom = async (roomId: string) => {
+  // Add several copies of a room; the realtime channel puts today's copies in the list
+  const handleDuplicateRoom = async (roomsData: any[]) => {
+    let created = 0;
+
+    for (const roomData of roomsData) {
+      const { error } = await roomService.addRoom(roomData);
+      if (error) {
+        console.error("Error duplicating room:", error);
+        continue;
+      }
+      created++;
+    }
+
+    if (created === roomsData.length) {
+      showNotification(`✅ Created ${created} ${created === 1 ? 'copy' : 'copies'}`, 'success');
+    } else {
+      showNotification(`❌ Created ${created} of ${roomsData.length} copies`, 'error');
+    }
+  };
+
+  const handleDetachRoom = async (roomId: string) => {
+    try {
+      const { data, error } = await roomService.detachFromSeries(roomId);
+
+      if (error) throw error;
+
+      if (data && data.length > 0) {
+        setRooms((prev) =>
+          prev.map((room) => (room.id === roomId ? data[0] : room))
+        );
+      }
+
+      showNotification('✅ Room detached from its schedule', 'success');
+    } catch (err: any) {
+      console.error("Error detaching room:", err);
+      showNotification('❌ Failed to detach room', 'error');
+    }
+  };
+
+  // Push back a live room's end time so it isn't closed out yet
+  const handleExtendRoom = async (room: Room, minutes: number) => {
+    try {
+      const endColumns = getExtendedSessionEnd(room, minutes);
+      if (!endColumns) throw new Error('Room has no valid session window');
+
+      const { data, error } = await roomService.extendSession(room.id, endColumns);
+
+      if (error) throw error;
+
+      if (data && data.length > 0) {
+        setRooms((prev) =>
+          prev.map((existing) => (existing.id === room.id ? data[0] : existing))
+        );
+        showNotification(`✅ ${room.name} now runs ${formatSessionRange(data[0])}`, 'success');
+      }
+    } catch (err: any) {
+      console.error("Error extending room:", err);
+      showNotification(`❌ Failed to extend room: ${err.message || err}`, 'error');
+    }
+  };
+
+  // Save a change to the automation settings the database jobs run with
+  const handleUpdateAutomationSettings = async (changes: Record<string, unknown>) => {
+    const { data, error } = await automationSettingsService.updateSettings(changes);
+
+    if (error) {
+      showNotification(`❌ Failed to save settings: ${error}`, 'error');
+      return;
+    }
+
+    setAutomationSettings(data);
+  };
+
+  const handleArchiveRoom = async (roomId: string) => {
     try {
-      const { error } = await roomService.deleteRoom(roomId);
+      const { error } = await roomService.archiveRoom(roomId);
 
       if (error) throw error;
 
       setRooms((prev) => prev.filter((room) => room.id !== roomId));
-      showNotification('✅ Room deleted successfully!', 'success');
+      showNotification('✅ Room archived', 'success');
     } catch (err: any) {
-      console.error("Error deleting room:", err);
-      showNotification('❌ Failed to delete room', 'error');
+      console.error("Error archiving room:", err);
+      showNotification('❌ Failed to archive room', 'error');
     }
   };
 
@@ -312,8 +401,26 @@ const AdminPanel: React.FC = () => {
             <h1 className="text-3xl font-bold gradient-text">NeoBuddy Admin Panel</h1>
             <p className="mt-1 text-sm text-gray-400">Manage Rooms & Monitor Usage</p>
           </div>
+          <div className="hidden md:flex space-x-6 text-center">
+            <div>
+              <p className="text-2xl font-semibold text-green-400">{statusCounts.active}</p>
+              <p className="text-xs text-gray-400 uppercase tracking-wider">Active rooms</p>
+            </div>
+            <div>
+              <p className="text-2xl font-semibold text-red-400">{statusCounts.full}</p>
+              <p className="text-xs text-gray-400 uppercase tracking-wider">Full</p>
+            </div>
+            <div>
+              <p className="text-2xl font-semibold text-yellow-400">{statusCounts.ending_soon}</p>
+              <p className="text-xs text-gray-400 uppercase tracking-wider">Ending soon</p>
+            </div>
+            <div>
+              <p className="text-2xl font-semibold text-blue-400">{statusCounts.upcoming}</p>
+              <p className="text-xs text-gray-400 uppercase tracking-wider">Upcoming</p>
+            </div>
+          </div>
           <button
-            onClick={loadRooms}
+            onClick={() => loadRooms()}
             disabled={isLoading}
             className="px-4 py-2 bg-purple-700 text-white rounded-md hover:bg-purple-600 focus:outline-none"
           >
@@ -409,27 +516,69 @@ const AdminPanel: React.FC = () => {
         <StatusMessageManager />
         
         {/* Add Room Form */}
-        <AddRoomForm onAddRoom={handleAddRoom} isLoading={isLoading} />
+        <AddRoomForm onAddRoom={handleAddRoom} pricingRules={pricingRules} categories={categories} isLoading={isLoading} />
+
+        {/* Bulk CSV Import */}
+        <RoomCsvImport onNotify={showNotification} />
+
+        {/* Recurring Schedules */}
+        <RoomSeriesManager onNotify={showNotification} />
 
         {/* Room List */}
         <RoomList
           rooms={rooms}
-          onEditRoom={(room) =>
-            handleEditRoom(room.id, {
-              name: room.name,
-              description: room.description,
-              url: room.url,
-              max_users: room.max_users,
-              price_inr: room.price_inr,
-              session_start_time: room.session_start_time,
-              session_end_time: room.session_end_time
-            })}
-          onDeleteRoom={handleDeleteRoom}
+          onEditRoom={handleEditRoom}
+          onArchiveRoom={handleArchiveRoom}
+          onDetachRoom={handleDetachRoom}
+          onExtendRoom={handleExtendRoom}
+          onDuplicateRoom={handleDuplicateRoom}
+          pricingRules={pricingRules}
+          categories={categories}
+          idleMinutes={automationSettings.idle_minutes}
           isLoading={isLoading}
         />
+
+        {/* Occupancy Charts */}
+        <OccupancyCharts />
+
+        {/* Occupancy Check */}
+        <OccupancyReconciler
+          settings={automationSettings}
+          onUpdateSettings={handleUpdateAutomationSettings}
+          onNotify={showNotification}
+        />
+
+        {/* Session Close-out */}
+        <RoomCloseouts
+          settings={automationSettings}
+          onUpdateSettings={handleUpdateAutomationSettings}
+          onNotify={showNotification}
+        />
+
+        {/* Idle Sessions */}
+        <StaleSessions
+          settings={automationSettings}
+          onUpdateSettings={handleUpdateAutomationSettings}
+          onNotify={showNotification}
+        />
+
+        {/* Room History */}
+        <RoomHistory />
+
+        {/* Archived Rooms */}
+        <ArchivedRooms onNotify={showNotification} />
         
+        {/* Room Categories */}
+        <RoomCategoryManager categories={categories} onNotify={showNotification} />
+
+        {/* Pricing Rules */}
+        <PricingRulesManager rules={pricingRules} rooms={rooms} onNotify={showNotification} />
+
+        {/* Revenue */}
+        <RevenueDashboard />
+
         {/* Promo Code Manager */}
-        <PromoCodeManager />
+        <PromoCodeManager rooms={rooms} categories={categories} pricingRules={pricingRules} />
         
         {/* Payout Manager */}
         <PayoutManager />
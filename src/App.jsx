@@ -147,9 +147,9 @@ function App() {
     }
   }
 
-  const handleDeleteRoom = async (roomId) => {
+  const handleArchiveRoom = async (roomId) => {
     try {
-      const { error } = await roomService.deleteRoom(roomId)
+      const { error } = await roomService.archiveRoom(roomId)
       
       if (error) {
         throw new Error(error)
@@ -157,10 +157,10 @@ function App() {
       
       // Remove the room from the list
       setRooms(prev => prev.filter(room => room.id !== roomId))
-      showNotification('Room deleted successfully!')
+      showNotification('Room archived successfully!')
     } catch (err) {
-      console.error('Error deleting room:', err)
-      showNotification('Failed to delete room. Please try again.', 'error')
+      console.error('Error archiving room:', err)
+      showNotification('Failed to archive room. Please try again.', 'error')
     }
   }
 
@@ -255,7 +255,7 @@ function App() {
         <RoomList 
           rooms={rooms}
           onEditRoom={handleEditRoom}
-          onDeleteRoom={handleDeleteRoom}
+          onArchiveRoom={handleArchiveRoom}
           isLoading={isLoading}
         />
       </main>
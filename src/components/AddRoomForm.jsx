@@ -1,71 +1,36 @@
 import React, { useState } from 'react'
+import { BUSINESS_TIMEZONE, getBusinessDate, getSessionWindow, isOvernight } from '../lib/schedule'
+import { validateRoomFields, buildRoomPayload } from '../lib/roomFields'
+import { computeEffectivePrice } from '../lib/pricing'
+import { applyCategoryDefaults, getCategoryDefaults } from '../lib/roomCategories'
 
-const AddRoomForm = ({ onAddRoom, isLoading }) => {
-  const [formData, setFormData] = useState({
-    name: '',
-    description: '',
-    url: '',
-    max_users: 100,
-    price_inr: '',
-    date_option: 'today', // Default to today
-    start_time: '09:00', // Default to 9 AM
-    end_time: '17:00'    // Default to 5 PM
-  })
+const getEmptyForm = () => ({
+  name: '',
+  description: '',
+  url: '',
+  max_users: 100,
+  price_inr: '',
+  session_date: getBusinessDate(), // Default to today in the business timezone
+  session_end_date: '', // Blank = same day, or next day for overnight times
+  start_time: '09:00', // Default to 9 AM
+  end_time: '17:00',   // Default to 5 PM
+  category_id: '',
+  tags: ''             // Comma-separated
+})
+
+const AddRoomForm = ({ onAddRoom, pricingRules = [], categories = [], isLoading }) => {
+  const [formData, setFormData] = useState(getEmptyForm)
   
   const [errors, setErrors] = useState({})
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [submitLock, setSubmitLock] = useState(false) // Prevent double submissions
 
   const validateForm = () => {
-    const newErrors = {}
-    
-    if (!formData.name.trim()) {
-      newErrors.name = 'Room name is required'
-    }
-    
-    if (!formData.description.trim()) {
-      newErrors.description = 'Description is required'
-    }
-    
-    if (!formData.url.trim()) {
-      newErrors.url = 'URL is required'
-    } else if (!isValidUrl(formData.url)) {
-      newErrors.url = 'Please enter a valid URL'
-    }
-    
-    if (!formData.max_users || formData.max_users < 1) {
-      newErrors.max_users = 'Max users must be at least 1'
-    }
-    
-    if (!formData.price_inr || parseFloat(formData.price_inr) <= 0) {
-      newErrors.price_inr = 'Price must be greater than 0'
-    }
-
-    if (!formData.start_time) {
-      newErrors.start_time = 'Start time is required'
-    }
-
-    if (!formData.end_time) {
-      newErrors.end_time = 'End time is required'
-    }
-
-    if (formData.start_time && formData.end_time && formData.start_time >= formData.end_time) {
-      newErrors.end_time = 'End time must be after start time'
-    }
-    
+    const newErrors = validateRoomFields(formData)
     setErrors(newErrors)
     return Object.keys(newErrors).length === 0
   }
 
-  const isValidUrl = (string) => {
-    try {
-      new URL(string)
-      return true
-    } catch (_) {
-      return false
-    }
-  }
-
   const handleChange = (e) => {
     const { name, value } = e.target
     setFormData(prev => ({
@@ -82,53 +47,19 @@ const AddRoomForm = ({ onAddRoom, isLoading }) => {
     }
   }
 
-  // Convert date_option to an actual date string in YYYY-MM-DD format
-  const getSessionDate = (dateOption) => {
-    // Create date object for the current date in UTC
-    const now = new Date()
-    
-    // Create a UTC date at 00:00:00 for today
-    const today = new Date(Date.UTC(
-      now.getUTCFullYear(),
-      now.getUTCMonth(),
-      now.getUTCDate(),
-      0, 0, 0
-    ))
-    
-    // Create a new date object for the session date
-    let sessionDate = new Date(today)
-    
-    // Adjust the date based on the option
-    if (dateOption === 'tomorrow') {
-      sessionDate.setUTCDate(today.getUTCDate() + 1)
-    } else if (dateOption === 'day_after_tomorrow') {
-      sessionDate.setUTCDate(today.getUTCDate() + 2)
-    }
-    
-    // Format as YYYY-MM-DD using UTC components
-    const year = sessionDate.getUTCFullYear()
-    // getUTCMonth() is 0-indexed, so add 1
-    const month = String(sessionDate.getUTCMonth() + 1).padStart(2, '0')
-    const day = String(sessionDate.getUTCDate()).padStart(2, '0')
-    
-    // Log for debugging
-    console.log(`Date option: ${dateOption}, UTC date: ${year}-${month}-${day}, Local time: ${new Date().toString()}`)
-    
-    return `${year}-${month}-${day}`
-  }
+  // Fill in the category's price, capacity and description unless they were already edited
+  const handleCategoryChange = (e) => {
+    const category = categories.find(c => c.id === e.target.value)
+    const previous = categories.find(c => c.id === formData.category_id)
+    const blank = getEmptyForm()
 
-  // Format time string to HH:MM:SS format for Supabase TIME column
-  const formatTimeForSupabase = (timeString) => {
-    // Ensure the timeString is in the format HH:MM
-    const [hours, minutes] = timeString.split(':').map(Number)
-    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:00`
-  }
-  
-  // Validate time input
-  const isValidTimeFormat = (timeString) => {
-    // Check if the time string matches the format HH:MM
-    const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/
-    return timeRegex.test(timeString)
+    setFormData(prev => applyCategoryDefaults(prev, category, {
+      price_inr: blank.price_inr,
+      max_users: blank.max_users,
+      description: blank.description,
+      ...getCategoryDefaults(previous)
+    }))
+    setErrors({})
   }
 
   const handleSubmit = async (e) => {
@@ -146,47 +77,13 @@ const AddRoomForm = ({ onAddRoom, isLoading }) => {
     setIsSubmitting(true)
     
     try {
-      // Format time values for Supabase TIME columns
-      if (!isValidTimeFormat(formData.start_time) || !isValidTimeFormat(formData.end_time)) {
-        setErrors({
-          ...errors,
-          start_time: !isValidTimeFormat(formData.start_time) ? 'Invalid time format' : '',
-          end_time: !isValidTimeFormat(formData.end_time) ? 'Invalid time format' : ''
-        })
-        setSubmitLock(false)
-        return
-      }
-      
-      // Format times to HH:MM:SS for Supabase
-      const sessionStartTime = formatTimeForSupabase(formData.start_time)
-      const sessionEndTime = formatTimeForSupabase(formData.end_time)
-      
-      // Get the session date based on the selected date option
-      const sessionDate = getSessionDate(formData.date_option)
-      
-      await onAddRoom({
-        name: formData.name,
-        description: formData.description,
-        url: formData.url,
-        max_users: parseInt(formData.max_users),
-        price_inr: parseFloat(formData.price_inr),
-        session_date: sessionDate, // Add the session date
-        session_start_time: sessionStartTime,
-        session_end_time: sessionEndTime,
-        date_option: formData.date_option // Keep this for UI purposes only
-      })
+      const added = await onAddRoom(buildRoomPayload(formData))
       
+      // Keep what was typed when the room was rejected (e.g. its URL is taken at that time)
+      if (added === false) return
+
       // Reset form on success
-      setFormData({
-        name: '',
-        description: '',
-        url: '',
-        max_users: 100,
-        price_inr: '',
-        date_option: 'today',
-        start_time: '09:00',
-        end_time: '17:00'
-      })
+      setFormData(getEmptyForm())
       setErrors({})
     } catch (error) {
       console.error('Error submitting form:', error)
@@ -197,11 +94,68 @@ const AddRoomForm = ({ onAddRoom, isLoading }) => {
     }
   }
 
+  // What the first user would pay at session start once pricing rules apply
+  const getPricePreview = () => {
+    if (pricingRules.length === 0 || Object.keys(validateRoomFields(formData)).length > 0) return null
+
+    const room = buildRoomPayload(formData)
+    const window = getSessionWindow(room)
+    if (!window) return null
+
+    const { price, applied } = computeEffectivePrice(room, pricingRules, { at: window.start, currentUsers: 0 })
+    if (applied.length === 0) return null
+
+    return `₹${price}/hr at session start with ${applied.map(({ rule }) => rule.name).join(', ')}`
+  }
+
+  const pricePreview = getPricePreview()
+
   return (
     <div className="card p-6 mb-8 bg-gray-800 text-gray-100 border border-purple-700 rounded-lg shadow-lg">
       <h2 className="text-xl font-semibold text-purple-400 mb-6">Add New Room</h2>
       
       <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {/* Category */}
+          <div>
+            <label htmlFor="category_id" className="block text-sm font-medium text-gray-300 mb-1">
+              Category
+            </label>
+            <select
+              id="category_id"
+              name="category_id"
+              value={formData.category_id}
+              onChange={handleCategoryChange}
+              className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-gray-100 focus:outline-none focus:ring-2 focus:ring-purple-500"
+              disabled={isSubmitting || isLoading}
+            >
+              <option value="">No category</option>
+              {categories.map(category => (
+                <option key={category.id} value={category.id}>{category.name}</option>
+              ))}
+            </select>
+            <p className="mt-1 text-xs text-gray-400">Fills in the category's default price, capacity and description</p>
+          </div>
+
+          {/* Tags */}
+          <div>
+            <label htmlFor="tags" className="block text-sm font-medium text-gray-300 mb-1">
+              Tags
+            </label>
+            <input
+              type="text"
+              id="tags"
+              name="tags"
+              value={formData.tags}
+              onChange={handleChange}
+              className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-gray-100 focus:outline-none focus:ring-2 focus:ring-purple-500"
+              placeholder="face swap, creator-a"
+              disabled={isSubmitting || isLoading}
+            />
+            <p className="mt-1 text-xs text-gray-400">Separate tags with commas</p>
+          </div>
+        </div>
+
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
           {/* Room Name */}
           <div>
@@ -303,34 +257,38 @@ const AddRoomForm = ({ onAddRoom, isLoading }) => {
               placeholder="Enter price per hour"
               disabled={isSubmitting || isLoading}
             />
-            {errors.price_inr && (
+            {errors.price_inr ? (
               <p className="mt-1 text-sm text-red-400">{errors.price_inr}</p>
+            ) : pricePreview && (
+              <p className="mt-1 text-xs text-purple-300">{pricePreview}</p>
             )}
           </div>
         </div>
 
         {/* Session Timing Section */}
         <div className="bg-gray-700 p-4 rounded-md border border-gray-600">
-          <h3 className="text-md font-medium text-purple-400 mb-3">Session Timing</h3>
+          <h3 className="text-md font-medium text-purple-400 mb-1">Session Timing</h3>
+          <p className="text-xs text-gray-400 mb-3">Dates and times are in {BUSINESS_TIMEZONE}</p>
           
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
             {/* Date Selection */}
             <div>
-              <label htmlFor="date_option" className="block text-sm font-medium text-gray-300 mb-1">
+              <label htmlFor="session_date" className="block text-sm font-medium text-gray-300 mb-1">
                 Session Date *
               </label>
-              <select
-                id="date_option"
-                name="date_option"
-                value={formData.date_option}
+              <input
+                type="date"
+                id="session_date"
+                name="session_date"
+                value={formData.session_date}
+                min={getBusinessDate()}
                 onChange={handleChange}
-                className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-gray-100 focus:outline-none focus:ring-2 focus:ring-purple-500"
+                className={`w-full px-3 py-2 bg-gray-700 border ${errors.session_date ? 'border-red-500' : 'border-gray-600'} rounded-md text-gray-100 focus:outline-none focus:ring-2 focus:ring-purple-500`}
                 disabled={isSubmitting || isLoading}
-              >
-                <option value="today">Today</option>
-                <option value="tomorrow">Tomorrow</option>
-                <option value="day_after_tomorrow">Day After Tomorrow</option>
-              </select>
+              />
+              {errors.session_date && (
+                <p className="mt-1 text-sm text-red-400">{errors.session_date}</p>
+              )}
             </div>
 
             {/* Start Time */}
@@ -366,10 +324,30 @@ const AddRoomForm = ({ onAddRoom, isLoading }) => {
                 className={`w-full px-3 py-2 bg-gray-700 border ${errors.end_time ? 'border-red-500' : 'border-gray-600'} rounded-md text-gray-100 focus:outline-none focus:ring-2 focus:ring-purple-500`}
                 disabled={isSubmitting || isLoading}
               />
-              {errors.end_time && (
+              {errors.end_time ? (
                 <p className="mt-1 text-sm text-red-400">{errors.end_time}</p>
+              ) : !formData.session_end_date && isOvernight(formData.start_time, formData.end_time) && (
+                <p className="mt-1 text-xs text-purple-300">Ends the next day</p>
               )}
             </div>
+
+            {/* End Date */}
+            <div>
+              <label htmlFor="session_end_date" className="block text-sm font-medium text-gray-300 mb-1">
+                End Date (Optional)
+              </label>
+              <input
+                type="date"
+                id="session_end_date"
+                name="session_end_date"
+                value={formData.session_end_date}
+                min={formData.session_date}
+                onChange={handleChange}
+                className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-gray-100 focus:outline-none focus:ring-2 focus:ring-purple-500"
+                disabled={isSubmitting || isLoading}
+              />
+              <p className="mt-1 text-xs text-gray-400">For sessions running over several days</p>
+            </div>
           </div>
         </div>
 
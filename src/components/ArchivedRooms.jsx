@@ -0,0 +1,170 @@
+import React, { useState, useEffect } from 'react'
+import { supabase, roomService } from '../lib/supabase'
+import { formatSessionRange } from '../lib/schedule'
+
+const formatArchivedAt = (timestamp) =>
+  new Date(timestamp).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })
+
+const ArchivedRooms = ({ onNotify }) => {
+  const [rooms, setRooms] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [busyRoomId, setBusyRoomId] = useState(null)
+
+  useEffect(() => {
+    loadArchivedRooms()
+
+    // Rooms move in and out of the archive from the live list and from other admins
+    const archiveSubscription = supabase
+      .channel('archived-rooms-changes')
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'rooms'
+        },
+        (payload) => {
+          if (payload.eventType === 'UPDATE') {
+            const room = payload.new
+
+            setRooms((prev) => {
+              const others = prev.filter((archived) => archived.id !== room.id)
+              if (!room.archived_at) return others
+              return [room, ...others].sort((a, b) => b.archived_at.localeCompare(a.archived_at))
+            })
+          }
+
+          if (payload.eventType === 'DELETE') {
+            setRooms((prev) => prev.filter((archived) => archived.id !== payload.old.id))
+          }
+        }
+      )
+      .subscribe()
+
+    return () => {
+      supabase.removeChannel(archiveSubscription)
+    }
+  }, [])
+
+  const loadArchivedRooms = async () => {
+    setIsLoading(true)
+    setError(null)
+
+    const { data, error } = await roomService.getArchivedRooms()
+
+    if (error) {
+      setError('Failed to load archived rooms')
+    } else {
+      setRooms(data || [])
+    }
+
+    setIsLoading(false)
+  }
+
+  const handleRestore = async (room) => {
+    setBusyRoomId(room.id)
+    const { error } = await roomService.restoreRoom(room.id)
+    setBusyRoomId(null)
+
+    if (error) {
+      onNotify('❌ Failed to restore room', 'error')
+      return
+    }
+
+    setRooms((prev) => prev.filter((archived) => archived.id !== room.id))
+    onNotify(`✅ Restored "${room.name}"`, 'success')
+  }
+
+  const handlePurge = async (room) => {
+    if (!window.confirm(`Permanently delete "${room.name}" and all of its session history? This action cannot be undone.`)) {
+      return
+    }
+
+    setBusyRoomId(room.id)
+    const { error } = await roomService.purgeRoom(room.id)
+    setBusyRoomId(null)
+
+    if (error) {
+      onNotify(`❌ ${error}`, 'error')
+      return
+    }
+
+    setRooms((prev) => prev.filter((archived) => archived.id !== room.id))
+    onNotify(`✅ Purged "${room.name}"`, 'success')
+  }
+
+  return (
+    <div className="card mt-8 bg-gray-800 text-gray-100 border border-purple-700 rounded-lg shadow-lg">
+      <div className="px-6 py-4 border-b border-gray-600">
+        <h2 className="text-xl font-semibold text-purple-400">Archived Rooms</h2>
+        <p className="text-sm text-gray-400 mt-1">
+          Archived rooms keep their session history. Purging deletes the room and its sessions for good.
+        </p>
+      </div>
+
+      {error && (
+        <div className="mx-6 mt-4 p-3 bg-red-900/30 border border-red-500 rounded text-sm text-red-400">{error}</div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-700">
+          <thead className="bg-gray-700">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-purple-300 uppercase tracking-wider">Room</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-purple-300 uppercase tracking-wider">Session Time</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-purple-300 uppercase tracking-wider">Users</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-purple-300 uppercase tracking-wider">Archived</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-purple-300 uppercase tracking-wider">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-gray-800 divide-y divide-gray-700">
+            {isLoading ? (
+              <tr>
+                <td colSpan={5} className="px-6 py-8 text-center text-gray-400 text-sm">Loading archived rooms...</td>
+              </tr>
+            ) : rooms.length === 0 ? (
+              <tr>
+                <td colSpan={5} className="px-6 py-8 text-center text-gray-400 text-sm">No archived rooms.</td>
+              </tr>
+            ) : (
+              rooms.map((room) => (
+                <tr key={room.id} className="hover:bg-gray-700">
+                  <td className="px-6 py-4">
+                    <div className="text-sm font-medium text-gray-100">{room.name}</div>
+                    <div className="text-xs text-gray-400 mt-1 break-all">{room.url}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-100">{formatSessionRange(room)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-100">
+                    {room.current_users || 0}<span className="text-gray-400"> / {room.max_users}</span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">{formatArchivedAt(room.archived_at)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={() => handleRestore(room)}
+                        disabled={busyRoomId === room.id}
+                        className="text-purple-400 hover:text-purple-300 text-sm font-medium disabled:opacity-50"
+                      >
+                        Restore
+                      </button>
+                      <button
+                        onClick={() => handlePurge(room)}
+                        disabled={busyRoomId === room.id}
+                        className="text-red-400 hover:text-red-300 text-sm font-medium disabled:opacity-50"
+                      >
+                        Purge
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+export default ArchivedRooms
@@ -0,0 +1,222 @@
+import React, { useState, useEffect } from 'react'
+import { roomService, occupancyService } from '../lib/supabase'
+import { addDays, getBusinessDate, getSessionWindow, toTimeInput, formatSessionRange } from '../lib/schedule'
+import { WEEKDAY_LABELS } from '../lib/roomSeries'
+import { getTimelinePoints, getPeakPoint, getStepPath, buildHeatmapGrid } from '../lib/occupancyCharts'
+
+const CHART_WIDTH = 600
+const CHART_HEIGHT = 160
+const HEATMAP_RANGES = [
+  { days: 7, label: 'Last 7 days' },
+  { days: 28, label: 'Last 4 weeks' },
+  { days: 90, label: 'Last 90 days' }
+]
+
+// HH:MM in the business timezone
+const formatChartTime = (date) => toTimeInput(date.toISOString())
+
+const OccupancyTimeline = ({ room }) => {
+  const [samples, setSamples] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const window = getSessionWindow(room)
+
+  useEffect(() => {
+    if (!window) return
+    loadSamples()
+  }, [room.id])
+
+  const loadSamples = async () => {
+    setIsLoading(true)
+    setError(null)
+
+    // Start from the room's creation so the value at session start is known
+    const from = room.created_at || new Date(window.start.getTime() - 24 * 60 * 60000).toISOString()
+    const { data, error } = await occupancyService.getRoomSamples(room.id, from, window.end.toISOString())
+
+    if (error) {
+      setError('Failed to load occupancy samples')
+    } else {
+      setSamples(data || [])
+    }
+
+    setIsLoading(false)
+  }
+
+  if (!window) return <p className="text-sm text-gray-400">This room has no valid session window.</p>
+  if (isLoading) return <p className="text-sm text-gray-400">Loading occupancy...</p>
+  if (error) return <p className="text-sm text-red-400">{error}</p>
+
+  const points = getTimelinePoints(samples, window)
+  if (points.length === 0) return <p className="text-sm text-gray-400">This session hasn't started yet.</p>
+
+  const peak = getPeakPoint(points)
+  const maxValue = Math.max(room.max_users || 0, peak.users, 1)
+  const capacityY = CHART_HEIGHT - (Math.min(room.max_users, maxValue) / maxValue) * CHART_HEIGHT
+  const path = getStepPath(points, window, maxValue, CHART_WIDTH, CHART_HEIGHT)
+  const midpoint = new Date((window.start.getTime() + window.end.getTime()) / 2)
+
+  return (
+    <div>
+      <p className="text-sm text-gray-300 mb-2">
+        Peak <span className="font-medium text-gray-100">{peak.users}</span> / {room.max_users} users
+        at {formatChartTime(peak.time)} · {samples.filter(sample => new Date(sample.sampled_at) > window.start).length} changes
+      </p>
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT + 20}`} className="w-full h-auto" role="img" aria-label={`Occupancy of ${room.name}`}>
+        <rect x="0" y="0" width={CHART_WIDTH} height={CHART_HEIGHT} className="fill-gray-900" />
+        <line x1="0" x2={CHART_WIDTH} y1={capacityY} y2={capacityY} className="stroke-red-500" strokeDasharray="4 4" />
+        <path d={path} fill="none" className="stroke-purple-400" strokeWidth="2" />
+        <text x="0" y={CHART_HEIGHT + 15} className="fill-gray-400 text-[10px]">{formatChartTime(window.start)}</text>
+        <text x={CHART_WIDTH / 2} y={CHART_HEIGHT + 15} textAnchor="middle" className="fill-gray-400 text-[10px]">{formatChartTime(midpoint)}</text>
+        <text x={CHART_WIDTH} y={CHART_HEIGHT + 15} textAnchor="end" className="fill-gray-400 text-[10px]">{formatChartTime(window.end)}</text>
+      </svg>
+    </div>
+  )
+}
+
+const OccupancyHeatmap = () => {
+  const [rangeDays, setRangeDays] = useState(28)
+  const [grid, setGrid] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    loadHeatmap()
+  }, [rangeDays])
+
+  const loadHeatmap = async () => {
+    setError(null)
+
+    const to = new Date()
+    const from = new Date(to.getTime() - rangeDays * 24 * 60 * 60000)
+    const { data, error } = await occupancyService.getHeatmap(from.toISOString(), to.toISOString())
+
+    if (error) {
+      setError('Failed to load peak usage')
+    } else {
+      setGrid(buildHeatmapGrid(data || []))
+    }
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-sm font-medium text-purple-300">Peak usage by day and hour</h3>
+        <select
+          value={rangeDays}
+          onChange={(e) => setRangeDays(parseInt(e.target.value, 10))}
+          className="px-2 py-1 bg-gray-700 border border-gray-600 rounded text-gray-100 text-xs"
+        >
+          {HEATMAP_RANGES.map(range => (
+            <option key={range.days} value={range.days}>{range.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {error ? (
+        <p className="text-sm text-red-400">{error}</p>
+      ) : !grid ? (
+        <p className="text-sm text-gray-400">Loading peak usage...</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="text-[10px] text-gray-400 border-separate" style={{ borderSpacing: 2 }}>
+            <thead>
+              <tr>
+                <th></th>
+                {Array.from({ length: 24 }, (_, hour) => (
+                  <th key={hour} className="font-normal w-6">{hour % 3 === 0 ? hour : ''}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {grid.map((hours, weekday) => (
+                <tr key={weekday}>
+                  <td className="pr-2">{WEEKDAY_LABELS[weekday]}</td>
+                  {hours.map((cell, hour) => (
+                    <td
+                      key={hour}
+                      className={`h-5 rounded-sm ${cell ? 'bg-purple-500' : 'bg-gray-700'}`}
+                      style={cell ? { opacity: 0.15 + Math.min(cell.peakPercent ?? 0, 100) / 100 * 0.85 } : undefined}
+                      title={cell
+                        ? `${WEEKDAY_LABELS[weekday]} ${hour}:00 · peak ${cell.peakUsers} users (${cell.peakPercent ?? '—'}% full)`
+                        : `${WEEKDAY_LABELS[weekday]} ${hour}:00 · no activity`}
+                    ></td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="mt-2 text-xs text-gray-500">Darker cells were closer to full. Hover a cell for the peak.</p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+const OccupancyCharts = () => {
+  const [date, setDate] = useState(getBusinessDate)
+  const [rooms, setRooms] = useState([])
+  const [selectedRoomId, setSelectedRoomId] = useState('')
+
+  const selectedRoom = rooms.find(room => room.id === selectedRoomId)
+
+  useEffect(() => {
+    loadRooms()
+  }, [date])
+
+  const loadRooms = async () => {
+    const { data, error } = await roomService.getAllRoomsHistory({ fromDate: date, toDate: date, pageSize: 100 })
+    const dayRooms = error ? [] : data || []
+
+    setRooms(dayRooms)
+    setSelectedRoomId(dayRooms[0]?.id || '')
+  }
+
+  return (
+    <div className="card mt-8 bg-gray-800 text-gray-100 border border-purple-700 rounded-lg shadow-lg">
+      <div className="px-6 py-4 border-b border-gray-600">
+        <h2 className="text-xl font-semibold text-purple-400">Occupancy</h2>
+        <p className="text-sm text-gray-400 mt-1">Recorded every time a room's user count changes</p>
+      </div>
+
+      <div className="px-6 py-4 border-b border-gray-700">
+        <div className="flex flex-wrap items-end gap-3 mb-4">
+          <div>
+            <label htmlFor="occupancy_date" className="block text-xs font-medium text-gray-400 mb-1">Date</label>
+            <input
+              id="occupancy_date"
+              type="date"
+              value={date}
+              max={addDays(getBusinessDate(), 1)}
+              onChange={(e) => setDate(e.target.value)}
+              className="px-3 py-1.5 bg-gray-700 border border-gray-600 rounded-md text-gray-100 text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+            />
+          </div>
+          <div className="flex-1 min-w-[12rem]">
+            <label htmlFor="occupancy_room" className="block text-xs font-medium text-gray-400 mb-1">Room</label>
+            <select
+              id="occupancy_room"
+              value={selectedRoomId}
+              onChange={(e) => setSelectedRoomId(e.target.value)}
+              disabled={rooms.length === 0}
+              className="w-full px-3 py-1.5 bg-gray-700 border border-gray-600 rounded-md text-gray-100 text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+            >
+              {rooms.length === 0 && <option value="">No rooms on this date</option>}
+              {rooms.map(room => (
+                <option key={room.id} value={room.id}>{room.name} · {formatSessionRange(room)}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {selectedRoom && <OccupancyTimeline key={selectedRoom.id} room={selectedRoom} />}
+      </div>
+
+      <div className="px-6 py-4">
+        <OccupancyHeatmap />
+      </div>
+    </div>
+  )
+}
+
+export default OccupancyCharts
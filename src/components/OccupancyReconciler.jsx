@@ -0,0 +1,220 @@
+import React, { useState, useEffect } from 'react'
+import { supabase, occupancyService } from '../lib/supabase'
+
+// How often the database recounts rooms on its own (automation_settings.reconcile_minutes, 0 = off)
+const SCHEDULE_OPTIONS = [
+  { value: 0, label: 'Off' },
+  { value: 5, label: 'Every 5 minutes' },
+  { value: 15, label: 'Every 15 minutes' },
+  { value: 60, label: 'Every hour' }
+]
+
+const formatTimestamp = (timestamp) =>
+  new Date(timestamp).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })
+
+const OccupancyReconciler = ({ settings, onUpdateSettings, onNotify }) => {
+  const [rooms, setRooms] = useState([])
+  const [corrections, setCorrections] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [isFixing, setIsFixing] = useState(false)
+  const [error, setError] = useState(null)
+  const [checkedAt, setCheckedAt] = useState(null)
+
+  const driftedRooms = rooms.filter(room => room.current_users !== room.active_sessions)
+
+  useEffect(() => {
+    loadReport()
+
+    // Corrections from scheduled runs (and other admins) show up here too
+    const correctionSubscription = supabase
+      .channel('occupancy-corrections-changes')
+      .on(
+        'postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'occupancy_corrections'
+        },
+        (payload) => {
+          const correction = payload.new
+          setCorrections((prev) => [correction, ...prev.filter((existing) => existing.id !== correction.id)])
+          setRooms((prev) => prev.map((room) =>
+            room.room_id === correction.room_id ? { ...room, current_users: correction.corrected_count } : room
+          ))
+        }
+      )
+      .subscribe()
+
+    return () => {
+      supabase.removeChannel(correctionSubscription)
+    }
+  }, [])
+
+  // Recount every room and fetch the latest corrections
+  const loadReport = async () => {
+    setIsLoading(true)
+    setError(null)
+
+    const [driftResult, correctionsResult] = await Promise.all([
+      occupancyService.getDrift(),
+      occupancyService.getCorrections()
+    ])
+
+    if (driftResult.error || correctionsResult.error) {
+      setError('Failed to load occupancy report')
+    } else {
+      setRooms(driftResult.data || [])
+      setCorrections(correctionsResult.data || [])
+      setCheckedAt(new Date())
+    }
+
+    setIsLoading(false)
+  }
+
+  // Correct one room, or every room in the report when roomId is null
+  const handleFix = async (roomId = null) => {
+    setIsFixing(true)
+    const { data, error } = roomId
+      ? await occupancyService.reconcile(roomId)
+      : await occupancyService.reconcileRooms(rooms.map(room => room.room_id))
+    setIsFixing(false)
+
+    if (error) {
+      onNotify('❌ Failed to correct occupancy', 'error')
+      return
+    }
+
+    onNotify(
+      data?.length > 0 ? `✅ Corrected ${data.length} ${data.length === 1 ? 'room' : 'rooms'}` : '✅ Occupancy already matches',
+      'success'
+    )
+    loadReport()
+  }
+
+  const handleScheduleChange = (e) => {
+    onUpdateSettings({ reconcile_minutes: parseInt(e.target.value, 10) })
+  }
+
+  return (
+    <div className="card mt-8 bg-gray-800 text-gray-100 border border-purple-700 rounded-lg shadow-lg">
+      <div className="px-6 py-4 border-b border-gray-600 flex flex-wrap justify-between items-end gap-4">
+        <div>
+          <h2 className="text-xl font-semibold text-purple-400">Occupancy Check</h2>
+          <p className="text-sm text-gray-400 mt-1">
+            {checkedAt
+              ? `${driftedRooms.length} of ${rooms.length} rooms out of sync · checked ${checkedAt.toLocaleTimeString()}`
+              : 'Compares current users with active sessions (rewards left > 0)'}
+          </p>
+          {settings.reconcile_minutes > 0 && settings.last_reconciled_at && (
+            <p className="text-xs text-gray-500 mt-1">Last automatic run {formatTimestamp(settings.last_reconciled_at)}</p>
+          )}
+        </div>
+
+        <div className="flex flex-wrap items-end gap-3">
+          <div>
+            <label htmlFor="reconcile_schedule" className="block text-xs font-medium text-gray-400 mb-1">Auto-correct</label>
+            <select
+              id="reconcile_schedule"
+              value={settings.reconcile_minutes}
+              onChange={handleScheduleChange}
+              className="px-3 py-1.5 bg-gray-700 border border-gray-600 rounded-md text-gray-100 text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+            >
+              {SCHEDULE_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <button
+            onClick={loadReport}
+            disabled={isLoading || isFixing}
+            className="px-3 py-1.5 bg-gray-700 text-purple-300 text-sm rounded-md hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isLoading ? 'Checking...' : 'Recount'}
+          </button>
+          <button
+            onClick={() => handleFix()}
+            disabled={isLoading || isFixing || driftedRooms.length === 0}
+            className="px-3 py-1.5 bg-purple-600 text-white text-sm rounded-md hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isFixing ? 'Correcting...' : 'Fix all'}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mx-6 mt-4 p-3 bg-red-900/30 border border-red-500 rounded text-sm text-red-400">{error}</div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-700">
+          <thead className="bg-gray-700">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-purple-300 uppercase tracking-wider">Room</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-purple-300 uppercase tracking-wider">Current Users</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-purple-300 uppercase tracking-wider">Active Sessions</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-purple-300 uppercase tracking-wider">Drift</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-purple-300 uppercase tracking-wider">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-gray-800 divide-y divide-gray-700">
+            {driftedRooms.length === 0 ? (
+              <tr>
+                <td colSpan={5} className="px-6 py-6 text-center text-gray-400 text-sm">
+                  {isLoading ? 'Checking occupancy...' : 'Every room matches its active sessions.'}
+                </td>
+              </tr>
+            ) : (
+              driftedRooms.map((room) => {
+                const drift = room.current_users - room.active_sessions
+
+                return (
+                  <tr key={room.room_id} className="hover:bg-gray-700">
+                    <td className="px-6 py-4">
+                      <div className="text-sm font-medium text-gray-100">{room.name}</div>
+                      <div className="text-xs text-gray-400 mt-1">{room.session_date}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-100">{room.current_users}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-100">{room.active_sessions}</td>
+                    <td className={`px-6 py-4 whitespace-nowrap text-sm font-medium ${drift > 0 ? 'text-yellow-400' : 'text-red-400'}`}>
+                      {drift > 0 ? `+${drift}` : drift}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <button
+                        onClick={() => handleFix(room.room_id)}
+                        disabled={isFixing}
+                        className="text-purple-400 hover:text-purple-300 text-sm font-medium disabled:opacity-50"
+                      >
+                        Fix
+                      </button>
+                    </td>
+                  </tr>
+                )
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="px-6 py-4 border-t border-gray-600">
+        <h3 className="text-sm font-medium text-purple-300 mb-2">Recent corrections</h3>
+        {corrections.length === 0 ? (
+          <p className="text-sm text-gray-400">No corrections logged yet.</p>
+        ) : (
+          <ul className="space-y-1 text-sm">
+            {corrections.map((correction) => (
+              <li key={correction.id} className="flex flex-wrap justify-between gap-2 text-gray-300">
+                <span>
+                  {correction.room_name || 'Purged room'}: {correction.previous_count ?? '—'} → {correction.corrected_count}
+                  <span className="text-gray-500"> ({correction.source})</span>
+                </span>
+                <span className="text-gray-500">{formatTimestamp(correction.created_at)}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default OccupancyReconciler
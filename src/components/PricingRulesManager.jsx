@@ -0,0 +1,369 @@
+import React, { useState } from 'react'
+import { pricingRuleService } from '../lib/supabase'
+import { getBusinessClock, toTimeColumn, toTimeInput, zonedTimeToDate, formatSessionRange } from '../lib/schedule'
+import { WEEKDAY_LABELS } from '../lib/roomSeries'
+import { RULE_TYPE_OPTIONS, computeEffectivePrice, describeRule } from '../lib/pricing'
+
+const getEmptyForm = () => ({
+  name: '',
+  rule_type: 'time_window',
+  adjustment_type: 'percent',
+  adjustment_value: '',
+  weekdays: [],
+  start_time: '18:00',
+  end_time: '22:00',
+  minutes_before_start: 1440,
+  occupancy_percent: 80
+})
+
+const PricingRulesManager = ({ rules, rooms, onNotify }) => {
+  const [formData, setFormData] = useState(getEmptyForm)
+  const [errors, setErrors] = useState({})
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [editingRule, setEditingRule] = useState(null)
+  const [preview, setPreview] = useState(() => {
+    const clock = getBusinessClock()
+    return { roomId: '', date: clock.date, time: clock.time, currentUsers: '' }
+  })
+
+  const validateForm = () => {
+    const newErrors = {}
+    const value = Number(formData.adjustment_value)
+
+    if (!formData.name.trim()) {
+      newErrors.name = 'Rule name is required'
+    }
+
+    if (formData.adjustment_value === '' || Number.isNaN(value) || value === 0) {
+      newErrors.adjustment_value = 'Enter a non-zero adjustment (negative for a discount)'
+    } else if (formData.adjustment_type === 'percent' && value < -100) {
+      newErrors.adjustment_value = 'A discount cannot exceed 100%'
+    }
+
+    if (formData.rule_type === 'time_window') {
+      if (!formData.start_time || !formData.end_time) {
+        newErrors.end_time = 'Start and end time are required'
+      } else if (formData.start_time === formData.end_time) {
+        newErrors.end_time = 'Start and end time cannot be the same'
+      }
+    }
+
+    if (formData.rule_type === 'early_bird' && !(parseInt(formData.minutes_before_start) > 0)) {
+      newErrors.minutes_before_start = 'Must be at least 1 minute'
+    }
+
+    if (formData.rule_type === 'occupancy') {
+      const percent = parseInt(formData.occupancy_percent)
+      if (!(percent >= 1 && percent <= 100)) {
+        newErrors.occupancy_percent = 'Must be between 1 and 100'
+      }
+    }
+
+    setErrors(newErrors)
+    return Object.keys(newErrors).length === 0
+  }
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setFormData(prev => ({ ...prev, [name]: value }))
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }))
+    }
+  }
+
+  const handleWeekdayToggle = (weekday) => {
+    setFormData(prev => ({
+      ...prev,
+      weekdays: prev.weekdays.includes(weekday)
+        ? prev.weekdays.filter(day => day !== weekday)
+        : [...prev.weekdays, weekday].sort()
+    }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (isSubmitting || !validateForm()) return
+
+    setIsSubmitting(true)
+
+    // Only the columns for the chosen rule type are kept
+    const rulePayload = {
+      name: formData.name.trim(),
+      rule_type: formData.rule_type,
+      adjustment_type: formData.adjustment_type,
+      adjustment_value: Number(formData.adjustment_value),
+      weekdays: formData.rule_type === 'time_window' && formData.weekdays.length > 0 ? formData.weekdays : null,
+      start_time: formData.rule_type === 'time_window' ? toTimeColumn(formData.start_time) : null,
+      end_time: formData.rule_type === 'time_window' ? toTimeColumn(formData.end_time) : null,
+      minutes_before_start: formData.rule_type === 'early_bird' ? parseInt(formData.minutes_before_start) : null,
+      occupancy_percent: formData.rule_type === 'occupancy' ? parseInt(formData.occupancy_percent) : null
+    }
+
+    const { error } = editingRule
+      ? await pricingRuleService.updateRule(editingRule.id, rulePayload)
+      : await pricingRuleService.addRule(rulePayload)
+
+    setIsSubmitting(false)
+
+    if (error) {
+      onNotify('❌ Failed to save pricing rule', 'error')
+      return
+    }
+
+    onNotify(editingRule ? '✅ Pricing rule updated' : '✅ Pricing rule added', 'success')
+    handleCancelEdit()
+  }
+
+  const handleEditClick = (rule) => {
+    setEditingRule(rule)
+    setFormData({
+      ...getEmptyForm(),
+      name: rule.name,
+      rule_type: rule.rule_type,
+      adjustment_type: rule.adjustment_type,
+      adjustment_value: rule.adjustment_value,
+      weekdays: rule.weekdays || [],
+      start_time: toTimeInput(rule.start_time) || '18:00',
+      end_time: toTimeInput(rule.end_time) || '22:00',
+      minutes_before_start: rule.minutes_before_start || 1440,
+      occupancy_percent: rule.occupancy_percent || 80
+    })
+    setErrors({})
+  }
+
+  const handleCancelEdit = () => {
+    setEditingRule(null)
+    setFormData(getEmptyForm())
+    setErrors({})
+  }
+
+  const handleToggleActive = async (rule) => {
+    const { error } = await pricingRuleService.updateRule(rule.id, { is_active: !rule.is_active })
+    if (error) {
+      onNotify(`❌ Failed to ${rule.is_active ? 'disable' : 'enable'} pricing rule`, 'error')
+    }
+  }
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete the pricing rule "${rule.name}"?`)) return
+
+    const { error } = await pricingRuleService.deleteRule(rule.id)
+    if (error) {
+      onNotify('❌ Failed to delete pricing rule', 'error')
+      return
+    }
+    onNotify('✅ Pricing rule deleted', 'success')
+  }
+
+  // What a user joining the chosen room at the chosen moment would pay
+  const getPreviewResult = () => {
+    const room = rooms.find(r => r.id === preview.roomId)
+    if (!room || !preview.date || !preview.time) return null
+
+    const at = zonedTimeToDate(preview.date, toTimeColumn(preview.time))
+    const currentUsers = preview.currentUsers === '' ? room.current_users || 0 : parseInt(preview.currentUsers) || 0
+    return computeEffectivePrice(room, rules, { at, currentUsers })
+  }
+
+  const previewResult = getPreviewResult()
+
+  const inputClass = (field) =>
+    `w-full px-3 py-2 bg-gray-700 border ${errors[field] ? 'border-red-500' : 'border-gray-600'} rounded-md text-gray-100 focus:outline-none focus:ring-2 focus:ring-purple-500`
+
+  return (
+    <div className="card p-6 mt-8 bg-gray-800 text-gray-100 border border-purple-700 rounded-lg shadow-lg">
+      <h2 className="text-xl font-semibold text-purple-400 mb-1">Pricing Rules</h2>
+      <p className="text-sm text-gray-400 mb-6">
+        Each room's price is the base price plus every active rule that matches when a user joins. Rules don't compound.
+      </p>
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div className="md:col-span-2">
+            <label htmlFor="rule_name" className="block text-sm font-medium text-gray-300 mb-1">Rule Name *</label>
+            <input id="rule_name" type="text" name="name" value={formData.name} onChange={handleChange} className={inputClass('name')} placeholder="Weekend evenings" disabled={isSubmitting} />
+            {errors.name && <p className="mt-1 text-sm text-red-400">{errors.name}</p>}
+          </div>
+
+          <div>
+            <label htmlFor="rule_type" className="block text-sm font-medium text-gray-300 mb-1">Applies</label>
+            <select id="rule_type" name="rule_type" value={formData.rule_type} onChange={handleChange} className={inputClass('rule_type')} disabled={isSubmitting}>
+              {RULE_TYPE_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="rule_adjustment_value" className="block text-sm font-medium text-gray-300 mb-1">Adjustment *</label>
+            <div className="flex gap-2">
+              <input id="rule_adjustment_value" type="number" name="adjustment_value" step="any" value={formData.adjustment_value} onChange={handleChange} className={inputClass('adjustment_value')} placeholder="20 or -10" disabled={isSubmitting} />
+              <select name="adjustment_type" value={formData.adjustment_type} onChange={handleChange} className="px-2 py-2 bg-gray-700 border border-gray-600 rounded-md text-gray-100" disabled={isSubmitting}>
+                <option value="percent">%</option>
+                <option value="fixed">₹</option>
+              </select>
+            </div>
+            {errors.adjustment_value && <p className="mt-1 text-sm text-red-400">{errors.adjustment_value}</p>}
+          </div>
+        </div>
+
+        <div className="bg-gray-700 p-4 rounded-md border border-gray-600">
+          {formData.rule_type === 'time_window' && (
+            <div className="space-y-3">
+              <div className="grid grid-cols-2 gap-4 max-w-md">
+                <div>
+                  <label htmlFor="rule_start_time" className="block text-sm font-medium text-gray-300 mb-1">From</label>
+                  <input id="rule_start_time" type="time" name="start_time" value={formData.start_time} onChange={handleChange} className={inputClass('start_time')} disabled={isSubmitting} />
+                </div>
+                <div>
+                  <label htmlFor="rule_end_time" className="block text-sm font-medium text-gray-300 mb-1">Until</label>
+                  <input id="rule_end_time" type="time" name="end_time" value={formData.end_time} onChange={handleChange} className={inputClass('end_time')} disabled={isSubmitting} />
+                </div>
+              </div>
+              {errors.end_time && <p className="text-sm text-red-400">{errors.end_time}</p>}
+              <div className="flex flex-wrap gap-2">
+                {WEEKDAY_LABELS.map((label, weekday) => (
+                  <button
+                    key={label}
+                    type="button"
+                    onClick={() => handleWeekdayToggle(weekday)}
+                    className={`px-3 py-1 text-sm rounded-full border ${
+                      formData.weekdays.includes(weekday)
+                        ? 'bg-purple-600 border-purple-400 text-white'
+                        : 'bg-gray-800 border-gray-600 text-gray-300'
+                    }`}
+                    disabled={isSubmitting}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <p className="text-xs text-gray-400">No days selected means every day. Windows may run past midnight.</p>
+            </div>
+          )}
+
+          {formData.rule_type === 'early_bird' && (
+            <div className="max-w-xs">
+              <label htmlFor="rule_minutes_before_start" className="block text-sm font-medium text-gray-300 mb-1">Minutes before session start</label>
+              <input id="rule_minutes_before_start" type="number" name="minutes_before_start" min="1" value={formData.minutes_before_start} onChange={handleChange} className={inputClass('minutes_before_start')} disabled={isSubmitting} />
+              {errors.minutes_before_start && <p className="mt-1 text-sm text-red-400">{errors.minutes_before_start}</p>}
+            </div>
+          )}
+
+          {formData.rule_type === 'occupancy' && (
+            <div className="max-w-xs">
+              <label htmlFor="rule_occupancy_percent" className="block text-sm font-medium text-gray-300 mb-1">Once the room is at least (% full)</label>
+              <input id="rule_occupancy_percent" type="number" name="occupancy_percent" min="1" max="100" value={formData.occupancy_percent} onChange={handleChange} className={inputClass('occupancy_percent')} disabled={isSubmitting} />
+              {errors.occupancy_percent && <p className="mt-1 text-sm text-red-400">{errors.occupancy_percent}</p>}
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-2">
+          {editingRule && (
+            <button type="button" onClick={handleCancelEdit} className="px-4 py-2 bg-gray-700 text-white rounded-md hover:bg-gray-600 focus:outline-none">
+              Cancel
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-purple-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSubmitting ? 'Saving...' : editingRule ? 'Save Rule' : 'Add Rule'}
+          </button>
+        </div>
+      </form>
+
+      {/* Rule List */}
+      <div className="mt-8">
+        {rules.length === 0 ? (
+          <p className="text-gray-400 text-sm">No pricing rules yet. Rooms are charged their base price.</p>
+        ) : (
+          <div className="divide-y divide-gray-700 border border-gray-700 rounded-md">
+            {rules.map(rule => (
+              <div key={rule.id} className="p-4 flex flex-wrap justify-between items-center gap-2">
+                <div>
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium text-gray-100">{rule.name}</span>
+                    <span className={`px-2 py-0.5 text-xs rounded-full ${rule.is_active ? 'bg-green-900/30 text-green-400 border border-green-500' : 'bg-yellow-900/30 text-yellow-400 border border-yellow-500'}`}>
+                      {rule.is_active ? 'Active' : 'Disabled'}
+                    </span>
+                  </div>
+                  <div className="text-sm text-gray-400 mt-1">{describeRule(rule)}</div>
+                </div>
+                <div className="flex space-x-3">
+                  <button onClick={() => handleEditClick(rule)} className="text-purple-400 hover:text-purple-300 text-sm font-medium">Edit</button>
+                  <button onClick={() => handleToggleActive(rule)} className="text-yellow-400 hover:text-yellow-300 text-sm font-medium">
+                    {rule.is_active ? 'Disable' : 'Enable'}
+                  </button>
+                  <button onClick={() => handleDelete(rule)} className="text-red-400 hover:text-red-300 text-sm font-medium">Delete</button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Price Preview */}
+      <div className="mt-8 bg-gray-700 p-4 rounded-md border border-gray-600">
+        <h3 className="text-md font-medium text-purple-400 mb-3">Preview</h3>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div className="md:col-span-2">
+            <label htmlFor="preview_room" className="block text-sm font-medium text-gray-300 mb-1">Room</label>
+            <select
+              id="preview_room"
+              value={preview.roomId}
+              onChange={(e) => setPreview(prev => ({ ...prev, roomId: e.target.value }))}
+              className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-gray-100"
+            >
+              <option value="">Choose one of today's rooms</option>
+              {rooms.map(room => (
+                <option key={room.id} value={room.id}>{room.name} · {formatSessionRange(room)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="preview_at" className="block text-sm font-medium text-gray-300 mb-1">Joining at</label>
+            <div className="flex gap-2">
+              <input id="preview_at" type="date" value={preview.date} onChange={(e) => setPreview(prev => ({ ...prev, date: e.target.value }))} className="w-full px-2 py-2 bg-gray-800 border border-gray-600 rounded-md text-gray-100" />
+              <input type="time" value={preview.time} onChange={(e) => setPreview(prev => ({ ...prev, time: e.target.value }))} className="px-2 py-2 bg-gray-800 border border-gray-600 rounded-md text-gray-100" />
+            </div>
+          </div>
+          <div>
+            <label htmlFor="preview_users" className="block text-sm font-medium text-gray-300 mb-1">Users already in room</label>
+            <input
+              id="preview_users"
+              type="number"
+              min="0"
+              value={preview.currentUsers}
+              onChange={(e) => setPreview(prev => ({ ...prev, currentUsers: e.target.value }))}
+              placeholder="Current"
+              className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-gray-100"
+            />
+          </div>
+        </div>
+
+        {previewResult && (
+          <div className="mt-4 text-sm">
+            <p className="text-gray-100">
+              A user would pay <span className="text-lg font-semibold text-green-400">₹{previewResult.price}/hr</span>
+              <span className="text-gray-400"> (base ₹{previewResult.basePrice})</span>
+            </p>
+            {previewResult.applied.length > 0 && (
+              <ul className="mt-2 space-y-1 text-gray-300">
+                {previewResult.applied.map(({ rule, amount }) => (
+                  <li key={rule.id}>
+                    {rule.name}: {amount >= 0 ? '+' : '−'}₹{Math.abs(Math.round(amount * 100) / 100)}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default PricingRulesManager
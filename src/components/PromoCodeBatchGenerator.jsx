@@ -0,0 +1,227 @@
+import React, { useState } from 'react'
+import { promoCodeService } from '../lib/supabase'
+import { downloadCsv } from '../lib/csv'
+import { getBusinessDate } from '../lib/schedule'
+import { DISCOUNT_TYPE_OPTIONS } from '../lib/promoDiscounts'
+import {
+  MAX_BATCH_COUNT,
+  MIN_SUFFIX_LENGTH,
+  MAX_SUFFIX_LENGTH,
+  INSERT_BATCH_SIZE,
+  getEmptyBatchForm,
+  validateBatchForm,
+  generateCodes,
+  buildBatchRows,
+  promoCodesToCsv
+} from '../lib/promoCodeBatch'
+
+// Times to replace codes that turned out to exist already before giving up
+const MAX_CLASH_CHECKS = 5
+
+const PromoCodeBatchGenerator = ({ promoCodes, onNotify }) => {
+  const [formData, setFormData] = useState(getEmptyBatchForm)
+  const [errors, setErrors] = useState({})
+  const [isGenerating, setIsGenerating] = useState(false)
+  const [progress, setProgress] = useState(null) // { inserted, total } while inserting
+  const [result, setResult] = useState(null) // { rows, requested, filename } after a run
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setFormData(prev => ({ ...prev, [name]: name === 'prefix' ? value.toUpperCase() : value }))
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }))
+    }
+  }
+
+  // Generate codes that aren't in promo_codes, checking the database as well as the loaded list
+  const generateUniqueCodes = async (count, suffixLength) => {
+    const taken = new Set(promoCodes.map(code => code.code))
+    let codes = generateCodes(formData.prefix, count, suffixLength, taken)
+
+    for (let check = 0; check < MAX_CLASH_CHECKS; check++) {
+      const { data: existing, error } = await promoCodeService.getExistingCodes(codes)
+      if (error) return { codes: null, error }
+      if (existing.length === 0) return { codes, error: null }
+
+      // `taken` already holds the clashing codes, so replacements can't repeat them
+      const clashes = new Set(existing)
+      codes = [
+        ...codes.filter(code => !clashes.has(code)),
+        ...generateCodes(formData.prefix, clashes.size, suffixLength, taken)
+      ]
+    }
+
+    return { codes: null, error: 'Could not generate enough unique codes; try a longer suffix' }
+  }
+
+  const handleGenerate = async (e) => {
+    e.preventDefault()
+    if (isGenerating) return
+
+    const newErrors = validateBatchForm(formData)
+    setErrors(newErrors)
+    if (Object.keys(newErrors).length > 0) return
+
+    const count = parseInt(formData.count, 10)
+    const suffixLength = parseInt(formData.suffix_length, 10)
+
+    setIsGenerating(true)
+    setResult(null)
+
+    const { codes, error } = await generateUniqueCodes(count, suffixLength)
+    if (error) {
+      setIsGenerating(false)
+      onNotify(`❌ Failed to generate promo codes: ${error}`, 'error')
+      return
+    }
+
+    // Insert in batches so one request never carries hundreds of rows; stop at the first failure
+    const rows = buildBatchRows(codes, formData)
+    const inserted = []
+    let lastError = null
+    setProgress({ inserted: 0, total: rows.length })
+
+    for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+      const { data, error } = await promoCodeService.addPromoCodes(rows.slice(i, i + INSERT_BATCH_SIZE))
+      if (error) {
+        lastError = error
+        break
+      }
+      inserted.push(...data)
+      setProgress({ inserted: inserted.length, total: rows.length })
+    }
+
+    setProgress(null)
+    setIsGenerating(false)
+    setResult({
+      rows: inserted,
+      requested: rows.length,
+      filename: `promo-codes-${formData.prefix.replace(/_+$/, '') || 'batch'}-${getBusinessDate()}.csv`
+    })
+
+    if (lastError) {
+      onNotify(`❌ Created ${inserted.length} of ${rows.length} promo codes: ${lastError}`, 'error')
+    } else {
+      onNotify(`✅ Created ${inserted.length} promo codes`, 'success')
+    }
+  }
+
+  const handleDownload = () => {
+    downloadCsv(result.filename, promoCodesToCsv(result.rows))
+  }
+
+  const inputClass = (field) =>
+    `w-full px-3 py-2 bg-gray-700 border ${errors[field] ? 'border-red-500' : 'border-gray-600'} rounded-md text-white focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent`
+
+  const count = parseInt(formData.count, 10)
+  const suffixLength = parseInt(formData.suffix_length, 10)
+  const example = `${formData.prefix}${'X'.repeat(suffixLength > 0 && suffixLength <= MAX_SUFFIX_LENGTH ? suffixLength : 0)}`
+
+  return (
+    <form onSubmit={handleGenerate} className="mt-8 bg-gray-800 border border-purple-700 rounded-lg p-6 shadow-lg">
+      <h3 className="text-xl font-bold text-white mb-1">Generate Codes in Bulk</h3>
+      <p className="text-sm text-gray-400 mb-4">
+        Creates a batch of codes for a campaign, each a prefix plus a random suffix{example && <> like <span className="font-mono text-gray-300">{example}</span></>}
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <div>
+          <label htmlFor="batch_prefix" className="block text-sm font-medium text-gray-300 mb-1">Prefix</label>
+          <input id="batch_prefix" type="text" name="prefix" value={formData.prefix} onChange={handleChange} placeholder="DIWALI_" className={inputClass('prefix')} disabled={isGenerating} />
+          {errors.prefix && <p className="mt-1 text-sm text-red-400">{errors.prefix}</p>}
+        </div>
+
+        <div>
+          <label htmlFor="batch_count" className="block text-sm font-medium text-gray-300 mb-1">Number of Codes</label>
+          <input id="batch_count" type="number" name="count" min="1" max={MAX_BATCH_COUNT} value={formData.count} onChange={handleChange} className={inputClass('count')} disabled={isGenerating} />
+          {errors.count && <p className="mt-1 text-sm text-red-400">{errors.count}</p>}
+        </div>
+
+        <div>
+          <label htmlFor="batch_suffix_length" className="block text-sm font-medium text-gray-300 mb-1">Random Suffix Length</label>
+          <input id="batch_suffix_length" type="number" name="suffix_length" min={MIN_SUFFIX_LENGTH} max={MAX_SUFFIX_LENGTH} value={formData.suffix_length} onChange={handleChange} className={inputClass('suffix_length')} disabled={isGenerating} />
+          {errors.suffix_length && <p className="mt-1 text-sm text-red-400">{errors.suffix_length}</p>}
+        </div>
+
+        <div>
+          <label htmlFor="batch_influencer_id" className="block text-sm font-medium text-gray-300 mb-1">Influencer ID</label>
+          <input id="batch_influencer_id" type="text" name="influencer_id" value={formData.influencer_id} onChange={handleChange} placeholder="@influencer1" className={inputClass('influencer_id')} disabled={isGenerating} />
+          {errors.influencer_id && <p className="mt-1 text-sm text-red-400">{errors.influencer_id}</p>}
+        </div>
+
+        <div>
+          <label htmlFor="batch_discount_type" className="block text-sm font-medium text-gray-300 mb-1">Discount Type</label>
+          <select id="batch_discount_type" name="discount_type" value={formData.discount_type} onChange={handleChange} className={inputClass('discount_type')} disabled={isGenerating}>
+            {DISCOUNT_TYPE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label htmlFor="batch_discount_amount" className="block text-sm font-medium text-gray-300 mb-1">
+            {formData.discount_type === 'percent' ? 'Discount (%)' : 'Discount Amount (₹)'}
+          </label>
+          <input id="batch_discount_amount" type="number" name="discount_amount" min="1" max={formData.discount_type === 'percent' ? 100 : undefined} value={formData.discount_amount} onChange={handleChange} className={inputClass('discount_amount')} disabled={isGenerating} />
+          {errors.discount_amount && <p className="mt-1 text-sm text-red-400">{errors.discount_amount}</p>}
+        </div>
+
+        {formData.discount_type === 'percent' && (
+          <div>
+            <label htmlFor="batch_max_discount_inr" className="block text-sm font-medium text-gray-300 mb-1">Maximum Discount (₹, Optional)</label>
+            <input id="batch_max_discount_inr" type="number" name="max_discount_inr" min="1" value={formData.max_discount_inr} onChange={handleChange} className={inputClass('max_discount_inr')} disabled={isGenerating} />
+            {errors.max_discount_inr && <p className="mt-1 text-sm text-red-400">{errors.max_discount_inr}</p>}
+          </div>
+        )}
+
+        <div>
+          <label htmlFor="batch_min_price_inr" className="block text-sm font-medium text-gray-300 mb-1">Minimum Room Price (₹, Optional)</label>
+          <input id="batch_min_price_inr" type="number" name="min_price_inr" min="1" value={formData.min_price_inr} onChange={handleChange} className={inputClass('min_price_inr')} disabled={isGenerating} />
+          {errors.min_price_inr && <p className="mt-1 text-sm text-red-400">{errors.min_price_inr}</p>}
+        </div>
+
+        <div>
+          <label htmlFor="batch_max_uses" className="block text-sm font-medium text-gray-300 mb-1">Uses per Code</label>
+          <input id="batch_max_uses" type="number" name="max_uses" min="1" value={formData.max_uses} onChange={handleChange} className={inputClass('max_uses')} disabled={isGenerating} />
+          {errors.max_uses && <p className="mt-1 text-sm text-red-400">{errors.max_uses}</p>}
+        </div>
+
+        <div>
+          <label htmlFor="batch_expiry_date" className="block text-sm font-medium text-gray-300 mb-1">Expiry Date (Optional)</label>
+          <input id="batch_expiry_date" type="date" name="expiry_date" value={formData.expiry_date} onChange={handleChange} className={inputClass('expiry_date')} disabled={isGenerating} />
+          {errors.expiry_date && <p className="mt-1 text-sm text-red-400">{errors.expiry_date}</p>}
+        </div>
+      </div>
+
+      <div className="mt-6 flex flex-wrap items-center gap-4">
+        <button
+          type="submit"
+          disabled={isGenerating}
+          className="px-4 py-2 bg-purple-700 text-white rounded-md hover:bg-purple-600 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-offset-2 focus:ring-offset-gray-800 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {progress
+            ? `Creating ${progress.inserted} / ${progress.total}...`
+            : isGenerating ? 'Generating...' : `Generate ${count > 0 ? count : ''} Codes`}
+        </button>
+
+        {result && (
+          <>
+            <span className="text-sm text-gray-300">
+              Created {result.rows.length} of {result.requested} codes
+            </span>
+            <button
+              type="button"
+              onClick={handleDownload}
+              disabled={result.rows.length === 0}
+              className="px-3 py-1.5 bg-gray-700 text-purple-300 text-sm rounded-md hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Download CSV
+            </button>
+          </>
+        )}
+      </div>
+    </form>
+  )
+}
+
+export default PromoCodeBatchGenerator
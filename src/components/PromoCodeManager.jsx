@@ -1,15 +1,44 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { supabase, promoCodeService } from '../lib/supabase';
-
-const PromoCodeManager = () => {
-  const [promoCodeData, setPromoCodeData] = useState({
-    code: '',
-    influencer_id: '',
-    discount_amount: 20,
-    max_uses: 50,
-    expiry_date: ''
-  });
+import { supabase, promoCodeService, roomService } from '../lib/supabase';
+import { summarizePromoCodes, getRangeStartTimestamp, formatDaysLeft } from '../lib/promoAnalytics';
+import { PROMO_CODE_PATTERN } from '../lib/promoCodeBatch';
+import { DISCOUNT_TYPE_OPTIONS, formatPromoDiscount, validatePromoDiscount, buildPromoDiscountPayload } from '../lib/promoDiscounts';
+import { formatInr } from '../lib/revenue';
+import { PROMO_ROOM_PICKER_DAYS, getRoomsValidNow, describePromoScope, validatePromoScope, buildPromoScopePayload } from '../lib/promoScope';
+import { addDays, getBusinessDate, formatCalendarDate } from '../lib/schedule';
+import { formatTags } from '../lib/roomCategories';
+import { WEEKDAY_LABELS } from '../lib/roomSeries';
+import { PROMO_STATUSES, FINAL_STATUSES, getPromoCodeStatus, countPromoStatuses } from '../lib/promoStatus';
+import useNow from '../hooks/useNow';
+import PromoRedemptionAnalytics from './PromoRedemptionAnalytics';
+import PromoCodeBatchGenerator from './PromoCodeBatchGenerator';
+
+const REDEMPTIONS_PAGE_SIZE = 1000;
+
+// discount_amount is rupees for flat codes and a percentage for percent codes
+const getEmptyPromoCodeForm = () => ({
+  code: '',
+  influencer_id: '',
+  discount_type: 'flat',
+  discount_amount: 20,
+  max_discount_inr: '',
+  min_price_inr: '',
+  max_uses: 50,
+  expiry_date: '',
+  // Scope: empty means every room, every day, any time
+  room_ids: [],
+  category_ids: [],
+  room_tags: '',
+  weekdays: [],
+  start_time: '',
+  end_time: '',
+  start_date: ''
+});
+
+// rooms are today's live rooms; categories are the room categories
+const PromoCodeManager = ({ rooms = [], categories = [], pricingRules = [] }) => {
+  const [promoCodeData, setPromoCodeData] = useState(getEmptyPromoCodeForm);
   const [promoCodes, setPromoCodes] = useState([]);
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -28,6 +57,39 @@ const PromoCodeManager = () => {
   // Ref for edit form
   const editFormRef = useRef(null);
 
+  // Redemption analytics state
+  const [redemptions, setRedemptions] = useState([]);
+  const [redemptionRangeDays, setRedemptionRangeDays] = useState(30);
+  const [isLoadingRedemptions, setIsLoadingRedemptions] = useState(true);
+  const [redemptionError, setRedemptionError] = useState(null);
+  // Bumped on every load so a slower, older response can't overwrite a newer range
+  const redemptionRequestRef = useRef(0);
+
+  // Upcoming rooms a code can be limited to, on top of today's
+  const [upcomingRooms, setUpcomingRooms] = useState([]);
+  const now = useNow();
+
+  const scopeRooms = [...rooms, ...upcomingRooms.filter(room => !rooms.some(live => live.id === room.id))];
+  const redemptionStats = summarizePromoCodes(promoCodes, redemptions);
+  const exhaustingCodes = promoCodes.filter(code => redemptionStats.get(code.id)?.exhaustedSoon);
+  
+  // Status filter; statuses follow the clock, so codes expire without a reload
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [pausingCodeId, setPausingCodeId] = useState(null);
+  const promoStatuses = new Map(promoCodes.map(code => [code.id, getPromoCodeStatus(code, now)]));
+  const statusCounts = countPromoStatuses(promoCodes, now);
+  const visiblePromoCodes = statusFilter === 'all'
+    ? promoCodes
+    : promoCodes.filter(code => promoStatuses.get(code.id) === statusFilter);
+  
+  // Only statuses some code is in get a chip (plus the selected one)
+  const statusFilters = [
+    { status: 'all', label: 'All', count: promoCodes.length },
+    ...Object.entries(PROMO_STATUSES)
+      .filter(([status]) => statusCounts[status] > 0 || status === statusFilter)
+      .map(([status, { label }]) => ({ status, label, count: statusCounts[status] }))
+  ];
+
   // Load promo codes on component mount
   useEffect(() => {
     loadPromoCodes();
@@ -76,6 +138,75 @@ const PromoCodeManager = () => {
     };
   }, []);
 
+  // Load redemptions for the selected range and reload whenever a code is redeemed
+  useEffect(() => {
+    loadRedemptions();
+
+    const redemptionSubscription = supabase
+      .channel('promo-redemptions-changes')
+      .on(
+        'postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'promo_redemptions'
+        },
+        () => loadRedemptions({ background: true })
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(redemptionSubscription);
+    };
+  }, [redemptionRangeDays]);
+
+  // Stats need every redemption in the range, so fetch all pages. Background reloads
+  // (a new redemption came in) keep the current chart up instead of the loading state.
+  const loadRedemptions = async ({ background = false } = {}) => {
+    const requestId = ++redemptionRequestRef.current;
+    if (!background) setIsLoadingRedemptions(true);
+    setRedemptionError(null);
+    const rows = [];
+
+    for (let page = 0; ; page++) {
+      const { data, count, error } = await promoCodeService.getRedemptions({
+        since: getRangeStartTimestamp(redemptionRangeDays),
+        page,
+        pageSize: REDEMPTIONS_PAGE_SIZE
+      });
+
+      if (requestId !== redemptionRequestRef.current) return;
+
+      if (error) {
+        setRedemptionError('Failed to load redemptions');
+        setIsLoadingRedemptions(false);
+        return;
+      }
+
+      rows.push(...(data || []));
+      if (rows.length >= count || !data || data.length === 0) break;
+    }
+
+    setRedemptions(rows);
+    setIsLoadingRedemptions(false);
+  };
+
+  // Load the rooms offered in the scope picker
+  useEffect(() => {
+    loadUpcomingRooms();
+  }, []);
+
+  const loadUpcomingRooms = async () => {
+    const today = getBusinessDate();
+    const { data, error } = await roomService.getAllRoomsHistory({
+      fromDate: today,
+      toDate: addDays(today, PROMO_ROOM_PICKER_DAYS),
+      pageSize: 200
+    });
+    if (error) return;
+    setUpcomingRooms((data || []).filter(room => !room.archived_at));
+  };
+
   // Load all promo codes
   const loadPromoCodes = async () => {
     setIsLoading(true);
@@ -110,13 +241,23 @@ const PromoCodeManager = () => {
     }
   };
 
+  // Add or remove a room, category or weekday from the code's scope
+  const handleScopeToggle = (field, value) => {
+    setPromoCodeData(prev => ({
+      ...prev,
+      [field]: prev[field].includes(value)
+        ? prev[field].filter(item => item !== value)
+        : [...prev[field], value]
+    }));
+  };
+
   // Validate form inputs
   const validateForm = () => {
     const newErrors = {};
     
     if (!promoCodeData.code.trim()) {
       newErrors.code = 'Promo code is required';
-    } else if (!/^[A-Z0-9_]+$/.test(promoCodeData.code)) {
+    } else if (!PROMO_CODE_PATTERN.test(promoCodeData.code)) {
       newErrors.code = 'Promo code should contain only uppercase letters, numbers, and underscores';
     }
     
@@ -124,9 +265,7 @@ const PromoCodeManager = () => {
       newErrors.influencer_id = 'Influencer ID is required';
     }
     
-    if (!promoCodeData.discount_amount || promoCodeData.discount_amount <= 0) {
-      newErrors.discount_amount = 'Discount amount must be greater than 0';
-    }
+    Object.assign(newErrors, validatePromoDiscount(promoCodeData), validatePromoScope(promoCodeData));
     
     if (!promoCodeData.max_uses || promoCodeData.max_uses < 1) {
       newErrors.max_uses = 'Maximum uses must be at least 1';
@@ -153,7 +292,8 @@ const PromoCodeManager = () => {
       const promoCodePayload = {
         code: promoCodeData.code,
         influencer_id: promoCodeData.influencer_id,
-        discount_amount: parseInt(promoCodeData.discount_amount),
+        ...buildPromoDiscountPayload(promoCodeData),
+        ...buildPromoScopePayload(promoCodeData),
         max_uses: parseInt(promoCodeData.max_uses)
       };
       
@@ -167,13 +307,7 @@ const PromoCodeManager = () => {
       if (error) throw error;
       
       // Reset form
-      setPromoCodeData({
-        code: '',
-        influencer_id: '',
-        discount_amount: 20,
-        max_uses: 50,
-        expiry_date: ''
-      });
+      setPromoCodeData(getEmptyPromoCodeForm());
       
       showNotification('✅ Promo code added successfully!', 'success');
     } catch (err) {
@@ -192,9 +326,19 @@ const PromoCodeManager = () => {
     setPromoCodeData({
       code: promoCode.code,
       influencer_id: promoCode.influencer_id || '',
+      discount_type: promoCode.discount_type || 'flat',
       discount_amount: promoCode.discount_amount,
+      max_discount_inr: promoCode.max_discount_inr ?? '',
+      min_price_inr: promoCode.min_price_inr ?? '',
       max_uses: promoCode.max_uses,
-      expiry_date: promoCode.expiry_date || ''
+      expiry_date: promoCode.expiry_date || '',
+      room_ids: promoCode.room_ids || [],
+      category_ids: promoCode.category_ids || [],
+      room_tags: formatTags(promoCode.room_tags),
+      weekdays: promoCode.weekdays || [],
+      start_time: promoCode.start_time ? promoCode.start_time.slice(0, 5) : '',
+      end_time: promoCode.end_time ? promoCode.end_time.slice(0, 5) : '',
+      start_date: promoCode.start_date || ''
     });
     
     // Ensure we're using the correct ref and add a small delay for reliability
@@ -222,7 +366,8 @@ const PromoCodeManager = () => {
     
     try {
       const promoCodePayload = {
-        discount_amount: parseInt(promoCodeData.discount_amount),
+        ...buildPromoDiscountPayload(promoCodeData),
+        ...buildPromoScopePayload(promoCodeData),
         max_uses: parseInt(promoCodeData.max_uses),
         influencer_id: promoCodeData.influencer_id
       };
@@ -240,13 +385,7 @@ const PromoCodeManager = () => {
       if (error) throw error;
       
       // Reset form and exit edit mode
-      setPromoCodeData({
-        code: '',
-        influencer_id: '',
-        discount_amount: 20,
-        max_uses: 50,
-        expiry_date: ''
-      });
+      setPromoCodeData(getEmptyPromoCodeForm());
       setIsEditMode(false);
       setEditingPromoCode(null);
       
@@ -263,13 +402,7 @@ const PromoCodeManager = () => {
   const handleCancelEdit = () => {
     setIsEditMode(false);
     setEditingPromoCode(null);
-    setPromoCodeData({
-      code: '',
-      influencer_id: '',
-      discount_amount: 20,
-      max_uses: 50,
-      expiry_date: ''
-    });
+    setPromoCodeData(getEmptyPromoCodeForm());
     setErrors({});
   };
   
@@ -295,6 +428,24 @@ const PromoCodeManager = () => {
     }
   };
   
+  // Pause an active or scheduled code, or resume a paused one
+  const handleTogglePause = async (promoCode) => {
+    const isPaused = promoStatuses.get(promoCode.id) === 'paused';
+    setPausingCodeId(promoCode.id);
+    
+    const { error } = isPaused
+      ? await promoCodeService.resumePromoCode(promoCode.id)
+      : await promoCodeService.pausePromoCode(promoCode.id);
+    
+    setPausingCodeId(null);
+    
+    if (error) {
+      showNotification(`❌ Failed to ${isPaused ? 'resume' : 'pause'} promo code: ${error}`, 'error');
+      return;
+    }
+    showNotification(isPaused ? `✅ ${promoCode.code} resumed` : `✅ ${promoCode.code} paused`, 'success');
+  };
+  
   // Handle cancel delete
   const handleCancelDelete = () => {
     setShowDeleteModal(false);
@@ -461,9 +612,26 @@ const PromoCodeManager = () => {
                 {errors.influencer_id && <p className="mt-1 text-sm text-red-400">{errors.influencer_id}</p>}
               </div>
               
+              <div>
+                <label htmlFor="discount_type" className="block text-sm font-medium text-gray-300 mb-1">
+                  Discount Type
+                </label>
+                <select
+                  id="discount_type"
+                  name="discount_type"
+                  value={promoCodeData.discount_type}
+                  onChange={handleInputChange}
+                  className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                >
+                  {DISCOUNT_TYPE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+              
               <div>
                 <label htmlFor="discount_amount" className="block text-sm font-medium text-gray-300 mb-1">
-                  Discount Amount (₹)
+                  {promoCodeData.discount_type === 'percent' ? 'Discount (%)' : 'Discount Amount (₹)'}
                 </label>
                 <input
                   type="number"
@@ -472,11 +640,48 @@ const PromoCodeManager = () => {
                   value={promoCodeData.discount_amount}
                   onChange={handleInputChange}
                   min="1"
+                  max={promoCodeData.discount_type === 'percent' ? 100 : undefined}
                   className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
                 />
                 {errors.discount_amount && <p className="mt-1 text-sm text-red-400">{errors.discount_amount}</p>}
               </div>
               
+              {promoCodeData.discount_type === 'percent' && (
+                <div>
+                  <label htmlFor="max_discount_inr" className="block text-sm font-medium text-gray-300 mb-1">
+                    Maximum Discount (₹, Optional)
+                  </label>
+                  <input
+                    type="number"
+                    id="max_discount_inr"
+                    name="max_discount_inr"
+                    value={promoCodeData.max_discount_inr}
+                    onChange={handleInputChange}
+                    min="1"
+                    className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                  />
+                  {errors.max_discount_inr && <p className="mt-1 text-sm text-red-400">{errors.max_discount_inr}</p>}
+                  <p className="mt-1 text-xs text-gray-400">Leave blank for no cap</p>
+                </div>
+              )}
+              
+              <div>
+                <label htmlFor="min_price_inr" className="block text-sm font-medium text-gray-300 mb-1">
+                  Minimum Room Price (₹, Optional)
+                </label>
+                <input
+                  type="number"
+                  id="min_price_inr"
+                  name="min_price_inr"
+                  value={promoCodeData.min_price_inr}
+                  onChange={handleInputChange}
+                  min="1"
+                  className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                />
+                {errors.min_price_inr && <p className="mt-1 text-sm text-red-400">{errors.min_price_inr}</p>}
+                <p className="mt-1 text-xs text-gray-400">The code won't apply to rooms priced below this</p>
+              </div>
+              
               <div>
                 <label htmlFor="max_uses" className="block text-sm font-medium text-gray-300 mb-1">
                   Maximum Uses
@@ -493,7 +698,23 @@ const PromoCodeManager = () => {
                 {errors.max_uses && <p className="mt-1 text-sm text-red-400">{errors.max_uses}</p>}
               </div>
               
-              <div className="md:col-span-2">
+              <div>
+                <label htmlFor="start_date" className="block text-sm font-medium text-gray-300 mb-1">
+                  Start Date (Optional)
+                </label>
+                <input
+                  type="date"
+                  id="start_date"
+                  name="start_date"
+                  value={promoCodeData.start_date}
+                  onChange={handleInputChange}
+                  className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                />
+                {errors.start_date && <p className="mt-1 text-sm text-red-400">{errors.start_date}</p>}
+                <p className="mt-1 text-xs text-gray-400">Leave blank to start right away</p>
+              </div>
+              
+              <div>
                 <label htmlFor="expiry_date" className="block text-sm font-medium text-gray-300 mb-1">
                   Expiry Date (Optional)
                 </label>
@@ -508,6 +729,112 @@ const PromoCodeManager = () => {
                 {errors.expiry_date && <p className="mt-1 text-sm text-red-400">{errors.expiry_date}</p>}
                 <p className="mt-1 text-xs text-gray-400">Leave blank for no expiration</p>
               </div>
+              
+              {/* Scope */}
+              <div className="md:col-span-2 bg-gray-700 p-4 rounded-md border border-gray-600 space-y-4">
+                <div>
+                  <p className="text-sm font-medium text-gray-300">Where and when it can be used</p>
+                  <p className="text-xs text-gray-400">Leave everything unselected for every room at any time. With rooms, categories or tags picked, the room must match at least one of them.</p>
+                </div>
+                
+                <div>
+                  <p className="block text-sm font-medium text-gray-300 mb-2">Rooms</p>
+                  {scopeRooms.length === 0 ? (
+                    <p className="text-xs text-gray-400">No rooms in the next {PROMO_ROOM_PICKER_DAYS} days.</p>
+                  ) : (
+                    <div className="flex flex-wrap gap-2 max-h-40 overflow-y-auto">
+                      {scopeRooms.map(room => (
+                        <button
+                          key={room.id}
+                          type="button"
+                          onClick={() => handleScopeToggle('room_ids', room.id)}
+                          className={`px-3 py-1 text-sm rounded-full border ${
+                          promoCodeData.room_ids.includes(room.id)
+                            ? 'bg-purple-600 border-purple-400 text-white'
+                            : 'bg-gray-800 border-gray-600 text-gray-300'
+                        }`}
+                        >
+                          {room.name} · {formatCalendarDate(room.session_date)}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  {promoCodeData.room_ids.some(id => !scopeRooms.some(room => room.id === id)) && (
+                    <p className="mt-1 text-xs text-gray-400">
+                      Also valid for {promoCodeData.room_ids.filter(id => !scopeRooms.some(room => room.id === id)).length} past or later rooms not listed here.
+                    </p>
+                  )}
+                </div>
+                
+                {categories.length > 0 && (
+                  <div>
+                    <p className="block text-sm font-medium text-gray-300 mb-2">Categories</p>
+                    <div className="flex flex-wrap gap-2">
+                      {categories.map(category => (
+                        <button
+                          key={category.id}
+                          type="button"
+                          onClick={() => handleScopeToggle('category_ids', category.id)}
+                          className={`px-3 py-1 text-sm rounded-full border ${
+                          promoCodeData.category_ids.includes(category.id)
+                            ? 'bg-purple-600 border-purple-400 text-white'
+                            : 'bg-gray-800 border-gray-600 text-gray-300'
+                        }`}
+                        >
+                          {category.name}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+                
+                <div>
+                  <label htmlFor="room_tags" className="block text-sm font-medium text-gray-300 mb-1">
+                    Room Tags
+                  </label>
+                  <input
+                    type="text"
+                    id="room_tags"
+                    name="room_tags"
+                    value={promoCodeData.room_tags}
+                    onChange={handleInputChange}
+                    placeholder="face swap, creator-a"
+                    className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                  />
+                </div>
+                
+                <div>
+                  <p className="block text-sm font-medium text-gray-300 mb-2">Days and Hours</p>
+                  <div className="flex flex-wrap gap-2 mb-3">
+                    {WEEKDAY_LABELS.map((label, weekday) => (
+                      <button
+                        key={label}
+                        type="button"
+                        onClick={() => handleScopeToggle('weekdays', weekday)}
+                        className={`px-3 py-1 text-sm rounded-full border ${
+                          promoCodeData.weekdays.includes(weekday)
+                            ? 'bg-purple-600 border-purple-400 text-white'
+                            : 'bg-gray-800 border-gray-600 text-gray-300'
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  <div className="grid grid-cols-2 gap-4 max-w-md">
+                    <div>
+                      <label htmlFor="start_time" className="block text-xs font-medium text-gray-400 mb-1">From</label>
+                      <input type="time" id="start_time" name="start_time" value={promoCodeData.start_time} onChange={handleInputChange} className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent" />
+                    </div>
+                    <div>
+                      <label htmlFor="end_time" className="block text-xs font-medium text-gray-400 mb-1">Until</label>
+                      <input type="time" id="end_time" name="end_time" value={promoCodeData.end_time} onChange={handleInputChange} className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent" />
+                    </div>
+                  </div>
+                  {errors.end_time && <p className="mt-1 text-sm text-red-400">{errors.end_time}</p>}
+                  <p className="mt-1 text-xs text-gray-400">No days selected means every day. Hours may run past midnight.</p>
+                </div>
+              </div>
             </div>
             
             <div className="mt-6 flex gap-4">
@@ -540,24 +867,68 @@ const PromoCodeManager = () => {
             </div>
           </form>
         </div>
+        
+        <PromoCodeBatchGenerator promoCodes={promoCodes} onNotify={showNotification} />
       </div>
       
       {/* Promo Codes List */}
       <div>
         <h2 className="text-2xl font-bold text-white mb-6">Promo Codes</h2>
         
+        {/* Codes about to run out, so their influencers can be told in time */}
+        {exhaustingCodes.length > 0 && (
+          <div className="mb-6 p-4 rounded-lg border bg-yellow-900/30 border-yellow-500 text-yellow-400">
+            <p className="font-medium mb-1">
+              {exhaustingCodes.length === 1 ? '1 code is' : `${exhaustingCodes.length} codes are`} about to run out of uses
+            </p>
+            <ul className="text-sm space-y-0.5">
+              {exhaustingCodes.map(code => {
+                const codeStats = redemptionStats.get(code.id);
+                return (
+                  <li key={code.id}>
+                    {code.code} ({code.influencer_id}) · {codeStats.remaining} of {code.max_uses} uses left
+                    {codeStats.daysLeft !== null && ` · ${formatDaysLeft(codeStats.daysLeft)} at the current rate`}
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        )}
+        
+        {/* Status filter */}
+        {promoCodes.length > 0 && (
+          <div className="mb-6 flex flex-wrap gap-2">
+            {statusFilters.map(({ status, label, count }) => (
+              <button
+                key={status}
+                type="button"
+                onClick={() => setStatusFilter(status)}
+                className={`px-3 py-1 text-xs rounded-full border ${
+                  statusFilter === status
+                    ? 'bg-purple-600 border-purple-400 text-white'
+                    : 'bg-gray-800 border-gray-600 text-gray-300 hover:border-gray-500'
+                }`}
+              >
+                {label} ({count})
+              </button>
+            ))}
+          </div>
+        )}
+        
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
           {promoCodes.length === 0 ? (
             <p className="text-gray-400 col-span-full text-center py-8">No promo codes found. Add your first promo code above.</p>
+          ) : visiblePromoCodes.length === 0 ? (
+            <p className="text-gray-400 col-span-full text-center py-8">No {PROMO_STATUSES[statusFilter]?.label.toLowerCase()} promo codes.</p>
           ) : (
-            promoCodes.map((code, index) => (
+            visiblePromoCodes.map((code, index) => (
               <motion.div
                 key={code.id}
                 custom={index}
                 initial="hidden"
                 animate="visible"
                 variants={cardVariants}
-                className="bg-gray-800 border border-purple-700 rounded-lg overflow-hidden shadow-lg relative group"
+                className={`bg-gray-800 border border-purple-700 rounded-lg overflow-hidden shadow-lg relative group ${FINAL_STATUSES.includes(promoStatuses.get(code.id)) ? 'opacity-60' : ''}`}
               >
                 {/* Particle effects on hover (similar to room cards) */}
                 <div className="absolute inset-0 bg-gradient-to-r from-purple-500/10 to-blue-500/10 opacity-0 group-hover:opacity-100 transition-opacity duration-300"></div>
@@ -566,28 +937,57 @@ const PromoCodeManager = () => {
                   <div className="flex justify-between items-start mb-4">
                     <h3 className="text-xl font-bold text-white truncate">{code.code}</h3>
                     <span 
-                      className={`px-2 py-1 text-xs rounded-full ${code.total_uses < code.max_uses && (!code.expiry_date || new Date(code.expiry_date) > new Date()) ? 'bg-green-900/30 text-green-400 border border-green-500' : 'bg-red-900/30 text-red-400 border border-red-500'}`}
+                      className={`px-2 py-1 text-xs rounded-full ${PROMO_STATUSES[promoStatuses.get(code.id)].badgeClass}`}
                     >
-                      {code.total_uses < code.max_uses && (!code.expiry_date || new Date(code.expiry_date) > new Date()) ? 'Active' : 'Expired'}
+                      {PROMO_STATUSES[promoStatuses.get(code.id)].label}
                     </span>
                   </div>
                   
                   <div className="space-y-2 text-sm">
                     <div className="flex justify-between">
                       <span className="text-gray-400">Discount:</span>
-                      <span className="text-white font-medium">₹{code.discount_amount}</span>
+                      <span className="text-white font-medium">{formatPromoDiscount(code)}</span>
                     </div>
                     
+                    {code.min_price_inr && (
+                      <div className="flex justify-between">
+                        <span className="text-gray-400">Min room price:</span>
+                        <span className="text-white font-medium">{formatInr(code.min_price_inr)}</span>
+                      </div>
+                    )}
+                    
                     <div className="flex justify-between">
                       <span className="text-gray-400">Uses:</span>
                       <span className="text-white font-medium">{code.total_uses || 0} / {code.max_uses}</span>
                     </div>
                     
+                    <div className="flex justify-between">
+                      <span className="text-gray-400">Remaining:</span>
+                      <span className={`font-medium ${redemptionStats.get(code.id)?.exhaustedSoon ? 'text-yellow-400' : 'text-white'}`}>
+                        {redemptionStats.get(code.id)?.remaining ?? 0}
+                        {redemptionStats.get(code.id)?.exhaustedSoon && ' · running out'}
+                      </span>
+                    </div>
+                    
                     <div className="flex justify-between">
                       <span className="text-gray-400">Influencer:</span>
                       <span className="text-white font-medium">{code.influencer_id}</span>
                     </div>
                     
+                    <div className="flex justify-between gap-4">
+                      <span className="text-gray-400">Valid for:</span>
+                      <span className="text-white font-medium text-right">
+                        {describePromoScope(code, { rooms: scopeRooms, categories }).join(' · ') || 'All rooms, any time'}
+                      </span>
+                    </div>
+                    
+                    <div className="flex justify-between gap-4">
+                      <span className="text-gray-400">Valid now in:</span>
+                      <span className="text-white font-medium text-right">
+                        {getRoomsValidNow(code, rooms, now, pricingRules).map(room => room.name).join(', ') || <span className="text-gray-500">No live rooms</span>}
+                      </span>
+                    </div>
+                    
                     {code.expiry_date && (
                       <div className="flex justify-between">
                         <span className="text-gray-400">Expires:</span>
@@ -610,6 +1010,16 @@ const PromoCodeManager = () => {
                     >
                       Edit
                     </button>
+                    {!FINAL_STATUSES.includes(promoStatuses.get(code.id)) && (
+                      <button
+                        type="button"
+                        onClick={() => handleTogglePause(code)}
+                        disabled={pausingCodeId === code.id}
+                        className="flex-1 px-3 py-1.5 bg-yellow-700 text-white text-sm rounded hover:bg-yellow-600 transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-yellow-500 z-10 pointer-events-auto disabled:opacity-50"
+                      >
+                        {promoStatuses.get(code.id) === 'paused' ? 'Resume' : 'Pause'}
+                      </button>
+                    )}
                     <button
                       type="button"
                       onClick={() => handleDeleteClick(code)}
@@ -631,6 +1041,16 @@ const PromoCodeManager = () => {
             ))
           )}
         </div>
+        
+        <PromoRedemptionAnalytics
+          promoCodes={promoCodes}
+          redemptions={redemptions}
+          stats={redemptionStats}
+          rangeDays={redemptionRangeDays}
+          onRangeChange={setRedemptionRangeDays}
+          isLoading={isLoadingRedemptions}
+          error={redemptionError}
+        />
       </div>
     </div>
   );
@@ -0,0 +1,172 @@
+import React, { useState } from 'react'
+import { getBusinessDate, formatCalendarDate } from '../lib/schedule'
+import { formatInr } from '../lib/revenue'
+import { PROMO_RANGES, getRangeStartDate, getDailyRedemptions, formatDaysLeft } from '../lib/promoAnalytics'
+
+const CHART_WIDTH = 600
+const CHART_HEIGHT = 120
+
+const formatTimestamp = (timestamp) =>
+  timestamp.toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })
+
+// Bar chart of redemptions per day
+const RedemptionChart = ({ days }) => {
+  const busiest = Math.max(...days.map(day => day.count))
+  const maxCount = Math.max(busiest, 1)
+  const total = days.reduce((sum, day) => sum + day.count, 0)
+  const slot = CHART_WIDTH / days.length
+  const barWidth = Math.max(slot - 2, 1)
+
+  return (
+    <div>
+      <p className="text-sm text-gray-300 mb-2">
+        <span className="font-medium text-gray-100">{total}</span> redemptions · busiest day {busiest}
+      </p>
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT + 20}`} className="w-full h-auto" role="img" aria-label="Redemptions per day">
+        <rect x="0" y="0" width={CHART_WIDTH} height={CHART_HEIGHT} className="fill-gray-900" />
+        {days.map((day, index) => {
+          const height = (day.count / maxCount) * CHART_HEIGHT
+          return (
+            <rect
+              key={day.date}
+              x={index * slot + (slot - barWidth) / 2}
+              y={CHART_HEIGHT - height}
+              width={barWidth}
+              height={height}
+              className="fill-purple-500"
+            >
+              <title>{`${formatCalendarDate(day.date)} · ${day.count} redemptions`}</title>
+            </rect>
+          )
+        })}
+        <text x="0" y={CHART_HEIGHT + 15} className="fill-gray-400 text-[10px]">{formatCalendarDate(days[0].date)}</text>
+        <text x={CHART_WIDTH} y={CHART_HEIGHT + 15} textAnchor="end" className="fill-gray-400 text-[10px]">{formatCalendarDate(days[days.length - 1].date)}</text>
+      </svg>
+    </div>
+  )
+}
+
+const PromoRedemptionAnalytics = ({ promoCodes, redemptions, stats, rangeDays, onRangeChange, isLoading, error }) => {
+  const [selectedCodeId, setSelectedCodeId] = useState('')
+
+  // "All time" starts at the oldest loaded redemption
+  const today = getBusinessDate()
+  const oldest = redemptions[redemptions.length - 1]
+  const fromDate = getRangeStartDate(rangeDays) || (oldest ? getBusinessDate(new Date(oldest.redeemed_at)) : today)
+  const days = getDailyRedemptions(redemptions, fromDate, today, selectedCodeId || null)
+
+  // Busiest codes first
+  const rows = promoCodes
+    .filter(code => stats.has(code.id))
+    .map(code => ({ code, codeStats: stats.get(code.id) }))
+    .sort((a, b) => b.codeStats.redemptions - a.codeStats.redemptions)
+
+  return (
+    <div className="mt-8 bg-gray-800 text-gray-100 border border-purple-700 rounded-lg shadow-lg">
+      <div className="px-6 py-4 border-b border-gray-600 flex flex-wrap justify-between items-end gap-4">
+        <div>
+          <h3 className="text-xl font-semibold text-purple-400">Redemptions</h3>
+          <p className="text-sm text-gray-400 mt-1">How often each code was used, where, and the revenue of those sessions after the discount</p>
+        </div>
+
+        <div className="flex flex-wrap items-end gap-3">
+          <div>
+            <label htmlFor="promo_analytics_code" className="block text-xs font-medium text-gray-400 mb-1">Code</label>
+            <select
+              id="promo_analytics_code"
+              value={selectedCodeId}
+              onChange={(e) => setSelectedCodeId(e.target.value)}
+              className="px-3 py-1.5 bg-gray-700 border border-gray-600 rounded-md text-gray-100 text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+            >
+              <option value="">All codes</option>
+              {promoCodes.map(code => (
+                <option key={code.id} value={code.id}>{code.code}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="promo_analytics_range" className="block text-xs font-medium text-gray-400 mb-1">Range</label>
+            <select
+              id="promo_analytics_range"
+              value={rangeDays}
+              onChange={(e) => onRangeChange(parseInt(e.target.value, 10))}
+              className="px-3 py-1.5 bg-gray-700 border border-gray-600 rounded-md text-gray-100 text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+            >
+              {PROMO_RANGES.map(range => (
+                <option key={range.days} value={range.days}>{range.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mx-6 mt-4 p-3 bg-red-900/30 border border-red-500 rounded text-sm text-red-400">{error}</div>
+      )}
+
+      {isLoading ? (
+        <p className="px-6 py-8 text-center text-gray-400 text-sm">Loading redemptions...</p>
+      ) : (
+        <>
+          <div className="px-6 py-4 border-b border-gray-700">
+            <RedemptionChart days={days} />
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-700">
+              <thead className="bg-gray-700">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-purple-300 uppercase tracking-wider">Code</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-purple-300 uppercase tracking-wider">Redemptions</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-purple-300 uppercase tracking-wider">Remaining</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-purple-300 uppercase tracking-wider">Discounts</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-purple-300 uppercase tracking-wider">Revenue Driven</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-purple-300 uppercase tracking-wider">Rooms</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-purple-300 uppercase tracking-wider">Last Used</th>
+                </tr>
+              </thead>
+              <tbody className="bg-gray-800 divide-y divide-gray-700">
+                {rows.length === 0 ? (
+                  <tr>
+                    <td colSpan={7} className="px-6 py-8 text-center text-gray-400 text-sm">No promo codes yet.</td>
+                  </tr>
+                ) : (
+                  rows.map(({ code, codeStats }) => (
+                    <tr key={code.id} className="hover:bg-gray-700">
+                      <td className="px-6 py-3 text-sm text-gray-100">
+                        <div className="font-medium">{code.code}</div>
+                        <div className="text-xs text-gray-400">{code.influencer_id}</div>
+                      </td>
+                      <td className="px-6 py-3 text-sm text-gray-300 text-right">{codeStats.redemptions}</td>
+                      <td className="px-6 py-3 text-sm text-right">
+                        <span className={codeStats.exhaustedSoon ? 'text-yellow-400 font-medium' : 'text-gray-300'}>
+                          {codeStats.remaining} / {code.max_uses}
+                        </span>
+                        {codeStats.daysLeft !== null && codeStats.remaining > 0 && (
+                          <div className="text-xs text-gray-400">{formatDaysLeft(codeStats.daysLeft)} left</div>
+                        )}
+                      </td>
+                      <td className="px-6 py-3 text-sm text-yellow-400 text-right">−{formatInr(codeStats.discount)}</td>
+                      <td className="px-6 py-3 text-sm font-medium text-green-400 text-right">{formatInr(codeStats.net)}</td>
+                      <td className="px-6 py-3 text-sm text-gray-300">
+                        {codeStats.rooms.length === 0
+                          ? <span className="text-gray-500">—</span>
+                          : codeStats.rooms.slice(0, 3).map(room => `${room.label} (${room.count})`).join(', ')}
+                        {codeStats.rooms.length > 3 && <span className="text-gray-500"> +{codeStats.rooms.length - 3} more</span>}
+                      </td>
+                      <td className="px-6 py-3 text-sm text-gray-400 whitespace-nowrap">
+                        {codeStats.lastRedeemedAt ? formatTimestamp(codeStats.lastRedeemedAt) : 'Not in this range'}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default PromoRedemptionAnalytics
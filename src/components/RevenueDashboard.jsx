@@ -0,0 +1,191 @@
+import React, { useState, useEffect } from 'react'
+import { revenueService } from '../lib/supabase'
+import { addDays, getBusinessDate, formatCalendarDate } from '../lib/schedule'
+import { downloadCsv } from '../lib/csv'
+import { summarizeRevenue, formatInr, revenueSummaryToCsv } from '../lib/revenue'
+
+const PAGE_SIZE = 1000
+const BREAKDOWNS = [
+  { key: 'byRoom', label: 'By room' },
+  { key: 'byCategory', label: 'By category' },
+  { key: 'byDate', label: 'By date' },
+  { key: 'byInfluencer', label: 'By influencer' }
+]
+
+const RevenueDashboard = () => {
+  const [fromDate, setFromDate] = useState(() => addDays(getBusinessDate(), -30))
+  const [toDate, setToDate] = useState(getBusinessDate)
+  const [summary, setSummary] = useState(null)
+  const [breakdown, setBreakdown] = useState('byRoom')
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [discountsFrom, setDiscountsFrom] = useState(null) // business date discounts were first recorded
+
+  useEffect(() => {
+    revenueService.getDiscountsFrom().then(({ data }) => {
+      if (data) setDiscountsFrom(getBusinessDate(new Date(data)))
+    })
+  }, [])
+
+  useEffect(() => {
+    loadRevenue()
+  }, [fromDate, toDate])
+
+  // Totals need every session in the range, so fetch all pages before summarizing
+  const loadRevenue = async () => {
+    setIsLoading(true)
+    setError(null)
+    const rows = []
+
+    for (let page = 0; ; page++) {
+      const { data, count, error } = await revenueService.getSessionRevenue({
+        fromDate: fromDate || null,
+        toDate: toDate || null,
+        page,
+        pageSize: PAGE_SIZE
+      })
+
+      if (error) {
+        setError('Failed to load revenue')
+        setIsLoading(false)
+        return
+      }
+
+      rows.push(...(data || []))
+      if (rows.length >= count || !data || data.length === 0) break
+    }
+
+    setSummary(summarizeRevenue(rows))
+    setIsLoading(false)
+  }
+
+  const handleExport = () => {
+    downloadCsv(`revenue-${fromDate || 'start'}-to-${toDate || 'end'}.csv`, revenueSummaryToCsv(summary))
+  }
+
+  const groups = summary ? summary[breakdown] : []
+
+  return (
+    <div className="card mt-8 bg-gray-800 text-gray-100 border border-purple-700 rounded-lg shadow-lg">
+      <div className="px-6 py-4 border-b border-gray-600 flex flex-wrap justify-between items-end gap-4">
+        <div>
+          <h2 className="text-xl font-semibold text-purple-400">Revenue</h2>
+          <p className="text-sm text-gray-400 mt-1">Each session counts once at the price it was charged, less any promo discount</p>
+        </div>
+
+        <div className="flex flex-wrap items-end gap-3">
+          <div>
+            <label htmlFor="revenue_from" className="block text-xs font-medium text-gray-400 mb-1">From</label>
+            <input
+              id="revenue_from"
+              type="date"
+              value={fromDate}
+              max={toDate || undefined}
+              onChange={(e) => setFromDate(e.target.value)}
+              className="px-3 py-1.5 bg-gray-700 border border-gray-600 rounded-md text-gray-100 text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+            />
+          </div>
+          <div>
+            <label htmlFor="revenue_to" className="block text-xs font-medium text-gray-400 mb-1">To</label>
+            <input
+              id="revenue_to"
+              type="date"
+              value={toDate}
+              min={fromDate || undefined}
+              onChange={(e) => setToDate(e.target.value)}
+              className="px-3 py-1.5 bg-gray-700 border border-gray-600 rounded-md text-gray-100 text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+            />
+          </div>
+          <button
+            onClick={handleExport}
+            disabled={isLoading || !summary || summary.totals.sessions === 0}
+            className="px-3 py-1.5 bg-gray-700 text-purple-300 text-sm rounded-md hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Export CSV
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mx-6 mt-4 p-3 bg-red-900/30 border border-red-500 rounded text-sm text-red-400">{error}</div>
+      )}
+
+      {discountsFrom && (!fromDate || fromDate < discountsFrom) && (
+        <p className="mx-6 mt-4 text-xs text-yellow-400">
+          Promo discounts are recorded from {formatCalendarDate(discountsFrom)}; earlier sessions in this range are counted without them.
+        </p>
+      )}
+
+      {isLoading ? (
+        <p className="px-6 py-8 text-center text-gray-400 text-sm">Loading revenue...</p>
+      ) : summary && (
+        <>
+          <div className="px-6 py-4 grid grid-cols-2 md:grid-cols-4 gap-4">
+            {[
+              { label: 'Gross', value: formatInr(summary.totals.gross), className: 'text-gray-100' },
+              { label: 'Discounts', value: `−${formatInr(summary.totals.discount)}`, className: 'text-yellow-400' },
+              { label: 'Net', value: formatInr(summary.totals.net), className: 'text-green-400' },
+              { label: 'Sessions', value: `${summary.totals.sessions} (${summary.totals.redemptions} with promo)`, className: 'text-gray-100' }
+            ].map(card => (
+              <div key={card.label} className="bg-gray-700/50 rounded-md p-3">
+                <p className="text-xs text-gray-400 uppercase tracking-wider">{card.label}</p>
+                <p className={`text-lg font-semibold mt-1 ${card.className}`}>{card.value}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="px-6 flex space-x-4 border-b border-gray-700">
+            {BREAKDOWNS.map(option => (
+              <button
+                key={option.key}
+                onClick={() => setBreakdown(option.key)}
+                className={`pb-2 text-sm font-medium border-b-2 ${breakdown === option.key ? 'border-purple-500 text-purple-300' : 'border-transparent text-gray-400 hover:text-gray-300'}`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-700">
+              <thead className="bg-gray-700">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-purple-300 uppercase tracking-wider">
+                    {BREAKDOWNS.find(option => option.key === breakdown).label.replace('By ', '')}
+                  </th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-purple-300 uppercase tracking-wider">Sessions</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-purple-300 uppercase tracking-wider">Gross</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-purple-300 uppercase tracking-wider">Discounts</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-purple-300 uppercase tracking-wider">Net</th>
+                </tr>
+              </thead>
+              <tbody className="bg-gray-800 divide-y divide-gray-700">
+                {groups.length === 0 ? (
+                  <tr>
+                    <td colSpan={5} className="px-6 py-8 text-center text-gray-400 text-sm">
+                      {breakdown === 'byInfluencer' ? 'No promo codes redeemed in this range.' : 'No sessions in this range.'}
+                    </td>
+                  </tr>
+                ) : (
+                  groups.map(group => (
+                    <tr key={group.key} className="hover:bg-gray-700">
+                      <td className="px-6 py-3 text-sm text-gray-100">
+                        {breakdown === 'byDate' ? formatCalendarDate(group.label) : group.label}
+                      </td>
+                      <td className="px-6 py-3 text-sm text-gray-300 text-right">{group.sessions}</td>
+                      <td className="px-6 py-3 text-sm text-gray-300 text-right">{formatInr(group.gross)}</td>
+                      <td className="px-6 py-3 text-sm text-yellow-400 text-right">−{formatInr(group.discount)}</td>
+                      <td className="px-6 py-3 text-sm font-medium text-green-400 text-right">{formatInr(group.net)}</td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default RevenueDashboard
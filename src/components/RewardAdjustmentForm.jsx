@@ -0,0 +1,161 @@
+import React, { useState, useEffect } from 'react'
+import { userSessionService } from '../lib/supabase'
+
+const ADJUSTMENT_MODES = [
+  { value: 'grant', label: 'Grant' },
+  { value: 'deduct', label: 'Deduct' },
+  { value: 'reset', label: 'Reset to' }
+]
+
+// Mirrors adjust_session_rewards so the admin sees the result before confirming
+const previewRewards = (current, mode, amount) => {
+  if (mode === 'grant') return current + amount
+  if (mode === 'deduct') return Math.max(current - amount, 0)
+  return amount
+}
+
+const formatTimestamp = (timestamp) =>
+  new Date(timestamp).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })
+
+// Grant, deduct or reset one session's rewards_left with a required reason
+const RewardAdjustmentForm = ({ session, onAdjusted, onCancel }) => {
+  const [formData, setFormData] = useState({ mode: 'grant', amount: '', reason: '' })
+  const [errors, setErrors] = useState({})
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [adjustments, setAdjustments] = useState([])
+
+  useEffect(() => {
+    loadAdjustments()
+  }, [session.id])
+
+  const loadAdjustments = async () => {
+    const { data, error } = await userSessionService.getAdjustments(session.id)
+    if (!error) setAdjustments(data || [])
+  }
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setFormData(prev => ({ ...prev, [name]: value }))
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }))
+    }
+  }
+
+  const validate = () => {
+    const newErrors = {}
+    const amount = Number(formData.amount)
+
+    if (formData.amount === '' || !Number.isInteger(amount) || amount < 0) {
+      newErrors.amount = 'Enter a whole number of 0 or more'
+    } else if (amount === 0 && formData.mode !== 'reset') {
+      newErrors.amount = 'Amount must be at least 1'
+    }
+
+    if (!formData.reason.trim()) {
+      newErrors.reason = 'A reason is required'
+    }
+
+    setErrors(newErrors)
+    return Object.keys(newErrors).length === 0
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (isSubmitting || !validate()) return
+
+    const amount = Number(formData.amount)
+    const newRewards = previewRewards(session.rewards_left, formData.mode, amount)
+
+    if (!window.confirm(`Change ${session.username}'s rewards from ${session.rewards_left} to ${newRewards}?`)) return
+
+    setIsSubmitting(true)
+    const { data, error } = await userSessionService.adjustRewards(session.id, {
+      mode: formData.mode,
+      amount,
+      reason: formData.reason.trim()
+    })
+    setIsSubmitting(false)
+
+    if (error) {
+      setErrors({ submit: error })
+      return
+    }
+
+    onAdjusted(data)
+  }
+
+  const amount = Number(formData.amount)
+  const canPreview = formData.amount !== '' && Number.isInteger(amount) && amount >= 0
+
+  return (
+    <div className="bg-gray-800 border border-gray-700 rounded-md p-3">
+      <form onSubmit={handleSubmit} className="flex flex-wrap items-start gap-3">
+        <select
+          name="mode"
+          value={formData.mode}
+          onChange={handleChange}
+          className="px-2 py-1 bg-gray-700 border border-gray-600 rounded text-gray-100 text-xs"
+        >
+          {ADJUSTMENT_MODES.map(mode => (
+            <option key={mode.value} value={mode.value}>{mode.label}</option>
+          ))}
+        </select>
+
+        <div>
+          <input
+            type="number"
+            name="amount"
+            min="0"
+            step="1"
+            value={formData.amount}
+            onChange={handleChange}
+            placeholder="Amount"
+            className={`w-24 px-2 py-1 bg-gray-700 border rounded text-gray-100 text-xs ${errors.amount ? 'border-red-500' : 'border-gray-600'}`}
+          />
+          {errors.amount && <p className="text-xs text-red-400 mt-1">{errors.amount}</p>}
+        </div>
+
+        <div className="flex-1 min-w-[12rem]">
+          <input
+            type="text"
+            name="reason"
+            value={formData.reason}
+            onChange={handleChange}
+            placeholder="Reason (e.g. support ticket #)"
+            className={`w-full px-2 py-1 bg-gray-700 border rounded text-gray-100 text-xs ${errors.reason ? 'border-red-500' : 'border-gray-600'}`}
+          />
+          {errors.reason && <p className="text-xs text-red-400 mt-1">{errors.reason}</p>}
+        </div>
+
+        <span className="py-1 text-xs text-gray-400">
+          {session.rewards_left} → {canPreview ? previewRewards(session.rewards_left, formData.mode, amount) : '?'}
+        </span>
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="px-3 py-1 bg-purple-600 text-white text-xs rounded hover:bg-purple-700 disabled:opacity-50"
+        >
+          {isSubmitting ? 'Saving...' : 'Apply'}
+        </button>
+        <button type="button" onClick={onCancel} className="py-1 text-gray-400 hover:text-gray-300 text-xs font-medium">
+          Cancel
+        </button>
+      </form>
+
+      {errors.submit && <p className="text-xs text-red-400 mt-2">{errors.submit}</p>}
+
+      {adjustments.length > 0 && (
+        <ul className="mt-3 space-y-1 text-xs text-gray-400">
+          {adjustments.map(adjustment => (
+            <li key={adjustment.id}>
+              {formatTimestamp(adjustment.created_at)} · {adjustment.mode} {adjustment.amount} ({adjustment.previous_rewards} → {adjustment.new_rewards}) · {adjustment.reason}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default RewardAdjustmentForm
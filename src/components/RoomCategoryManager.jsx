@@ -0,0 +1,187 @@
+import React, { useState } from 'react'
+import { roomCategoryService } from '../lib/supabase'
+
+const getEmptyForm = () => ({
+  name: '',
+  default_price_inr: '',
+  default_max_users: '',
+  description_template: ''
+})
+
+const RoomCategoryManager = ({ categories, onNotify }) => {
+  const [formData, setFormData] = useState(getEmptyForm)
+  const [errors, setErrors] = useState({})
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [editingCategory, setEditingCategory] = useState(null)
+
+  const validateForm = () => {
+    const newErrors = {}
+    const name = formData.name.trim().toLowerCase()
+
+    if (!name) {
+      newErrors.name = 'Category name is required'
+    } else if (categories.some(category => category.name.toLowerCase() === name && category.id !== editingCategory?.id)) {
+      newErrors.name = 'A category with this name already exists'
+    }
+
+    if (formData.default_price_inr !== '' && !(parseInt(formData.default_price_inr) > 0)) {
+      newErrors.default_price_inr = 'Price must be greater than 0'
+    }
+
+    if (formData.default_max_users !== '' && !(parseInt(formData.default_max_users) > 0)) {
+      newErrors.default_max_users = 'Max users must be at least 1'
+    }
+
+    setErrors(newErrors)
+    return Object.keys(newErrors).length === 0
+  }
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setFormData(prev => ({ ...prev, [name]: value }))
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }))
+    }
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (isSubmitting || !validateForm()) return
+
+    setIsSubmitting(true)
+
+    // Blank defaults are stored as NULL so the form leaves those fields alone
+    const categoryPayload = {
+      name: formData.name.trim(),
+      default_price_inr: formData.default_price_inr === '' ? null : parseInt(formData.default_price_inr),
+      default_max_users: formData.default_max_users === '' ? null : parseInt(formData.default_max_users),
+      description_template: formData.description_template.trim() || null
+    }
+
+    const { error } = editingCategory
+      ? await roomCategoryService.updateCategory(editingCategory.id, categoryPayload)
+      : await roomCategoryService.addCategory(categoryPayload)
+
+    setIsSubmitting(false)
+
+    if (error) {
+      onNotify('❌ Failed to save category', 'error')
+      return
+    }
+
+    onNotify(editingCategory ? '✅ Category updated' : '✅ Category added', 'success')
+    handleCancelEdit()
+  }
+
+  const handleEditClick = (category) => {
+    setEditingCategory(category)
+    setFormData({
+      name: category.name,
+      default_price_inr: category.default_price_inr ?? '',
+      default_max_users: category.default_max_users ?? '',
+      description_template: category.description_template || ''
+    })
+    setErrors({})
+  }
+
+  const handleCancelEdit = () => {
+    setEditingCategory(null)
+    setFormData(getEmptyForm())
+    setErrors({})
+  }
+
+  const handleDelete = async (category) => {
+    if (!window.confirm(`Delete the category "${category.name}"? Its rooms will be kept without a category.`)) return
+
+    const { error } = await roomCategoryService.deleteCategory(category.id)
+    if (error) {
+      onNotify('❌ Failed to delete category', 'error')
+      return
+    }
+    onNotify('✅ Category deleted', 'success')
+  }
+
+  const inputClass = (field) =>
+    `w-full px-3 py-2 bg-gray-700 border ${errors[field] ? 'border-red-500' : 'border-gray-600'} rounded-md text-gray-100 focus:outline-none focus:ring-2 focus:ring-purple-500`
+
+  return (
+    <div className="card p-6 mt-8 bg-gray-800 text-gray-100 border border-purple-700 rounded-lg shadow-lg">
+      <h2 className="text-xl font-semibold text-purple-400 mb-1">Room Categories</h2>
+      <p className="text-sm text-gray-400 mb-6">
+        Group rooms by creator, theme or price tier. A category's defaults are filled in when it is picked in Add New Room.
+      </p>
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div className="md:col-span-2">
+            <label htmlFor="category_name" className="block text-sm font-medium text-gray-300 mb-1">Category Name *</label>
+            <input id="category_name" type="text" name="name" value={formData.name} onChange={handleChange} className={inputClass('name')} placeholder="Premium face swap" disabled={isSubmitting} />
+            {errors.name && <p className="mt-1 text-sm text-red-400">{errors.name}</p>}
+          </div>
+
+          <div>
+            <label htmlFor="category_default_price_inr" className="block text-sm font-medium text-gray-300 mb-1">Default Price (INR)</label>
+            <input id="category_default_price_inr" type="number" name="default_price_inr" min="1" step="1" value={formData.default_price_inr} onChange={handleChange} className={inputClass('default_price_inr')} disabled={isSubmitting} />
+            {errors.default_price_inr && <p className="mt-1 text-sm text-red-400">{errors.default_price_inr}</p>}
+          </div>
+
+          <div>
+            <label htmlFor="category_default_max_users" className="block text-sm font-medium text-gray-300 mb-1">Default Max Users</label>
+            <input id="category_default_max_users" type="number" name="default_max_users" min="1" value={formData.default_max_users} onChange={handleChange} className={inputClass('default_max_users')} disabled={isSubmitting} />
+            {errors.default_max_users && <p className="mt-1 text-sm text-red-400">{errors.default_max_users}</p>}
+          </div>
+        </div>
+
+        <div>
+          <label htmlFor="category_description_template" className="block text-sm font-medium text-gray-300 mb-1">Description Template</label>
+          <textarea id="category_description_template" name="description_template" rows={2} value={formData.description_template} onChange={handleChange} className={`${inputClass('description_template')} resize-none`} placeholder="Starting description for new rooms in this category" disabled={isSubmitting} />
+        </div>
+
+        <div className="flex justify-end gap-2">
+          {editingCategory && (
+            <button type="button" onClick={handleCancelEdit} className="px-4 py-2 bg-gray-700 text-white rounded-md hover:bg-gray-600 focus:outline-none">
+              Cancel
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-purple-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSubmitting ? 'Saving...' : editingCategory ? 'Save Category' : 'Add Category'}
+          </button>
+        </div>
+      </form>
+
+      {/* Category List */}
+      <div className="mt-8">
+        {categories.length === 0 ? (
+          <p className="text-gray-400 text-sm">No categories yet.</p>
+        ) : (
+          <div className="divide-y divide-gray-700 border border-gray-700 rounded-md">
+            {categories.map(category => (
+              <div key={category.id} className="p-4 flex flex-wrap justify-between items-center gap-2">
+                <div>
+                  <span className="font-medium text-gray-100">{category.name}</span>
+                  <div className="text-sm text-gray-400 mt-1">
+                    {[
+                      category.default_price_inr && `₹${category.default_price_inr}/hr`,
+                      category.default_max_users && `${category.default_max_users} users`,
+                      category.description_template && 'description template'
+                    ].filter(Boolean).join(' · ') || 'No defaults'}
+                  </div>
+                </div>
+                <div className="flex space-x-3">
+                  <button onClick={() => handleEditClick(category)} className="text-purple-400 hover:text-purple-300 text-sm font-medium">Edit</button>
+                  <button onClick={() => handleDelete(category)} className="text-red-400 hover:text-red-300 text-sm font-medium">Delete</button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default RoomCategoryManager
@@ -0,0 +1,227 @@
+import React, { useState, useEffect } from 'react'
+import { supabase, closeOutService } from '../lib/supabase'
+import { formatSessionRange } from '../lib/schedule'
+import { formatMinutes } from '../lib/roomStatus'
+import { formatInr } from '../lib/revenue'
+import { GRACE_PERIOD_OPTIONS, isCloseOutDue } from '../lib/closeouts'
+import useNow from '../hooks/useNow'
+
+// Reloaded every minute so rooms extended or closed elsewhere drop off the due list
+const REFRESH_INTERVAL_MS = 60000
+
+const formatTimestamp = (timestamp) =>
+  new Date(timestamp).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })
+
+// Close out rooms one at a time. Returns the number closed and the last error.
+const closeOutRooms = async (rooms) => {
+  let closed = 0
+  let lastError = null
+
+  for (const room of rooms) {
+    const { error } = await closeOutService.closeOutRoom(room.id)
+    if (error) {
+      lastError = error
+      continue
+    }
+    closed++
+  }
+
+  return { closed, lastError }
+}
+
+// Automatic close-out runs in the database (run_scheduled_closeouts); this panel
+// lists due rooms, closes them out by hand and edits the shared policy.
+const RoomCloseouts = ({ settings, onUpdateSettings, onNotify }) => {
+  const [openRooms, setOpenRooms] = useState([])
+  const [closeOuts, setCloseOuts] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [closingRoomId, setClosingRoomId] = useState(null) // 'all' while closing every due room
+  const [error, setError] = useState(null)
+  const now = useNow()
+
+  const dueRooms = openRooms.filter(room => isCloseOutDue(room, settings.grace_minutes, now))
+
+  useEffect(() => {
+    loadCloseOuts()
+
+    const refreshInterval = setInterval(loadCloseOuts, REFRESH_INTERVAL_MS)
+
+    // Close-outs made from another tab (or automatically) show up here too
+    const closeOutSubscription = supabase
+      .channel('room-closeouts-changes')
+      .on(
+        'postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'room_closeouts'
+        },
+        (payload) => {
+          setCloseOuts((prev) => [payload.new, ...prev.filter((closeOut) => closeOut.id !== payload.new.id)])
+          setOpenRooms((prev) => prev.filter((room) => room.id !== payload.new.room_id))
+        }
+      )
+      .subscribe()
+
+    return () => {
+      clearInterval(refreshInterval)
+      supabase.removeChannel(closeOutSubscription)
+    }
+  }, [])
+
+  const loadCloseOuts = async () => {
+    setError(null)
+
+    const [roomsResult, closeOutsResult] = await Promise.all([
+      closeOutService.getOpenRooms(),
+      closeOutService.getCloseOuts()
+    ])
+
+    if (roomsResult.error || closeOutsResult.error) {
+      setError('Failed to load close-outs')
+    } else {
+      setOpenRooms(roomsResult.data || [])
+      setCloseOuts(closeOutsResult.data || [])
+    }
+
+    setIsLoading(false)
+  }
+
+  // Close out one room, or every due room when room is null
+  const handleCloseOut = async (room = null) => {
+    const rooms = room ? [room] : dueRooms
+    const label = room ? `"${room.name}"` : `${rooms.length} ${rooms.length === 1 ? 'room' : 'rooms'}`
+    if (!window.confirm(`Close out ${label}? Remaining sessions will be ended and their rewards reset to 0.`)) return
+
+    setClosingRoomId(room ? room.id : 'all')
+    const { closed, lastError } = await closeOutRooms(rooms)
+    setClosingRoomId(null)
+
+    if (lastError) {
+      onNotify(`❌ Closed out ${closed} of ${rooms.length}: ${lastError}`, 'error')
+    } else {
+      onNotify(`✅ Closed out ${closed} ${closed === 1 ? 'room' : 'rooms'}`, 'success')
+    }
+    loadCloseOuts()
+  }
+
+  return (
+    <div className="card mt-8 bg-gray-800 text-gray-100 border border-purple-700 rounded-lg shadow-lg">
+      <div className="px-6 py-4 border-b border-gray-600 flex flex-wrap justify-between items-end gap-4">
+        <div>
+          <h2 className="text-xl font-semibold text-purple-400">Session Close-out</h2>
+          <p className="text-sm text-gray-400 mt-1">
+            Ends the remaining sessions of rooms whose end time has passed and records a summary
+          </p>
+        </div>
+
+        <div className="flex flex-wrap items-end gap-3">
+          <div>
+            <label htmlFor="closeout_grace" className="block text-xs font-medium text-gray-400 mb-1">Grace period</label>
+            <select
+              id="closeout_grace"
+              value={settings.grace_minutes}
+              onChange={(e) => onUpdateSettings({ grace_minutes: parseInt(e.target.value, 10) })}
+              className="px-3 py-1.5 bg-gray-700 border border-gray-600 rounded-md text-gray-100 text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+            >
+              {GRACE_PERIOD_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <label className="flex items-center gap-2 py-1.5 text-sm text-gray-300">
+            <input
+              type="checkbox"
+              checked={settings.auto_close}
+              onChange={(e) => onUpdateSettings({ auto_close: e.target.checked })}
+              className="rounded border-gray-600 bg-gray-700 text-purple-600 focus:ring-purple-500"
+            />
+            Close out automatically
+          </label>
+          <button
+            onClick={() => handleCloseOut()}
+            disabled={closingRoomId !== null || dueRooms.length === 0}
+            className="px-3 py-1.5 bg-purple-600 text-white text-sm rounded-md hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {closingRoomId === 'all' ? 'Closing out...' : `Close out all (${dueRooms.length})`}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mx-6 mt-4 p-3 bg-red-900/30 border border-red-500 rounded text-sm text-red-400">{error}</div>
+      )}
+
+      <div className="px-6 py-4 border-b border-gray-700">
+        <h3 className="text-sm font-medium text-purple-300 mb-2">Awaiting close-out</h3>
+        {isLoading ? (
+          <p className="text-sm text-gray-400">Checking for ended rooms...</p>
+        ) : dueRooms.length === 0 ? (
+          <p className="text-sm text-gray-400">No ended rooms are waiting to be closed out.</p>
+        ) : (
+          <ul className="divide-y divide-gray-700 text-sm">
+            {dueRooms.map(room => (
+              <li key={room.id} className="py-2 flex justify-between items-center gap-4">
+                <span>
+                  <span className="font-medium text-gray-100">{room.name}</span>
+                  <span className="text-gray-400"> · {formatSessionRange(room)} · {room.current_users || 0} users still in</span>
+                </span>
+                <button
+                  onClick={() => handleCloseOut(room)}
+                  disabled={closingRoomId !== null}
+                  className="text-red-400 hover:text-red-300 text-sm font-medium whitespace-nowrap disabled:opacity-50"
+                >
+                  {closingRoomId === room.id ? 'Closing out...' : 'Close out'}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        {settings.grace_minutes > 0 && (
+          <p className="mt-2 text-xs text-gray-500">
+            Rooms are listed {formatMinutes(settings.grace_minutes)} after their end time. Extend a room from the room list to keep it open.
+          </p>
+        )}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-700">
+          <thead className="bg-gray-700">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-purple-300 uppercase tracking-wider">Room</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-purple-300 uppercase tracking-wider">Duration</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-purple-300 uppercase tracking-wider">Peak Users</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-purple-300 uppercase tracking-wider">Sessions Ended</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-purple-300 uppercase tracking-wider">Net Revenue</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-purple-300 uppercase tracking-wider">Closed</th>
+            </tr>
+          </thead>
+          <tbody className="bg-gray-800 divide-y divide-gray-700">
+            {closeOuts.length === 0 ? (
+              <tr>
+                <td colSpan={6} className="px-6 py-8 text-center text-gray-400 text-sm">No rooms have been closed out yet.</td>
+              </tr>
+            ) : (
+              closeOuts.map(closeOut => (
+                <tr key={closeOut.id} className="hover:bg-gray-700">
+                  <td className="px-6 py-3 text-sm text-gray-100">{closeOut.room_name || 'Deleted room'}</td>
+                  <td className="px-6 py-3 text-sm text-gray-300 text-right">{formatMinutes(closeOut.duration_minutes)}</td>
+                  <td className="px-6 py-3 text-sm text-gray-300 text-right">{closeOut.peak_users}</td>
+                  <td className="px-6 py-3 text-sm text-gray-300 text-right">
+                    {closeOut.sessions_ended} of {closeOut.total_sessions}
+                  </td>
+                  <td className="px-6 py-3 text-sm font-medium text-green-400 text-right">{formatInr(closeOut.net_inr)}</td>
+                  <td className="px-6 py-3 text-sm text-gray-400 whitespace-nowrap">
+                    {formatTimestamp(closeOut.closed_at)} · {closeOut.source === 'auto' ? 'automatic' : 'manual'}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+export default RoomCloseouts
@@ -0,0 +1,193 @@
+import React, { useState, useRef } from 'react'
+import { roomService } from '../lib/supabase'
+import { parseCsvObjects, toCsv, downloadCsv } from '../lib/csv'
+import { ROOM_CSV_COLUMNS, csvRecordToRoomValues } from '../lib/roomCsv'
+import { validateRoomFields, buildRoomPayload } from '../lib/roomFields'
+import { getBusinessDate } from '../lib/schedule'
+
+const RoomCsvImport = ({ onNotify }) => {
+  const [fileName, setFileName] = useState('')
+  const [rows, setRows] = useState([])
+  const [isImporting, setIsImporting] = useState(false)
+  const fileInputRef = useRef(null)
+
+  const validRows = rows.filter(row => Object.keys(row.errors).length === 0 && row.status !== 'imported')
+
+  // Parse the chosen file and validate every row exactly like the Add Room form
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+
+    try {
+      const text = await file.text()
+      const records = parseCsvObjects(text)
+
+      setFileName(file.name)
+      setRows(records.map((record, index) => {
+        const values = csvRecordToRoomValues(record)
+        return {
+          line: index + 2, // +1 for the header, +1 for 1-based line numbers
+          values,
+          errors: validateRoomFields(values),
+          status: 'pending'
+        }
+      }))
+    } catch (err) {
+      console.error('Error reading CSV file:', err)
+      onNotify('❌ Could not read the CSV file', 'error')
+    }
+  }
+
+  const handleImport = async () => {
+    if (isImporting || validRows.length === 0) return
+
+    setIsImporting(true)
+    let imported = 0
+
+    for (const row of validRows) {
+      const { error } = await roomService.addRoom(buildRoomPayload(row.values))
+
+      setRows(prev => prev.map(r =>
+        r.line === row.line ? { ...r, status: error ? 'failed' : 'imported' } : r
+      ))
+      if (!error) imported++
+    }
+
+    setIsImporting(false)
+    onNotify(
+      imported === validRows.length ? `✅ Imported ${imported} rooms` : `❌ Imported ${imported} of ${validRows.length} rooms`,
+      imported === validRows.length ? 'success' : 'error'
+    )
+  }
+
+  const handleClear = () => {
+    setRows([])
+    setFileName('')
+    if (fileInputRef.current) fileInputRef.current.value = ''
+  }
+
+  const handleDownloadTemplate = () => {
+    const today = getBusinessDate()
+    downloadCsv('rooms-template.csv', toCsv([{
+      name: 'Evening Room',
+      description: 'Face swap session',
+      url: 'https://example.runpod.io',
+      max_users: 100,
+      price_inr: 50,
+      date: today,
+      start: '18:00',
+      end: '22:00',
+      end_date: '',
+      tags: 'face swap'
+    }], ROOM_CSV_COLUMNS))
+  }
+
+  return (
+    <div className="card p-6 mb-8 bg-gray-800 text-gray-100 border border-purple-700 rounded-lg shadow-lg">
+      <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-purple-400">Import Rooms from CSV</h2>
+          <p className="text-sm text-gray-400 mt-1">Columns: {ROOM_CSV_COLUMNS.join(', ')}</p>
+        </div>
+        <button
+          type="button"
+          onClick={handleDownloadTemplate}
+          className="text-purple-400 hover:text-purple-300 text-sm font-medium"
+        >
+          Download template
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,text/csv"
+          onChange={handleFileChange}
+          disabled={isImporting}
+          className="text-sm text-gray-300 file:mr-3 file:px-3 file:py-1.5 file:rounded-md file:border-0 file:bg-gray-700 file:text-gray-100 hover:file:bg-gray-600"
+        />
+        {rows.length > 0 && (
+          <>
+            <button
+              type="button"
+              onClick={handleImport}
+              disabled={isImporting || validRows.length === 0}
+              className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 focus:outline-none disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isImporting ? 'Importing...' : `Import ${validRows.length} valid rows`}
+            </button>
+            <button
+              type="button"
+              onClick={handleClear}
+              disabled={isImporting}
+              className="px-4 py-2 bg-gray-700 text-white rounded-md hover:bg-gray-600 focus:outline-none disabled:opacity-50"
+            >
+              Clear
+            </button>
+          </>
+        )}
+      </div>
+
+      {rows.length > 0 && (
+        <div className="mt-4">
+          <p className="text-sm text-gray-400 mb-2">
+            {fileName}: {rows.length} rows, {rows.filter(row => Object.keys(row.errors).length > 0).length} with errors
+          </p>
+          <div className="overflow-x-auto border border-gray-700 rounded-md">
+            <table className="min-w-full divide-y divide-gray-700 text-sm">
+              <thead className="bg-gray-700">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-purple-300 uppercase">Line</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-purple-300 uppercase">Room</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-purple-300 uppercase">Session</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-purple-300 uppercase">Users / Price</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-purple-300 uppercase">Result</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-700">
+                {rows.map((row) => {
+                  const errorMessages = Object.entries(row.errors)
+
+                  return (
+                    <tr key={row.line} className={errorMessages.length > 0 ? 'bg-red-900/10' : ''}>
+                      <td className="px-3 py-2 text-gray-400">{row.line}</td>
+                      <td className="px-3 py-2">
+                        <div className="text-gray-100">{row.values.name || '—'}</div>
+                        <div className="text-xs text-gray-500 break-all">{row.values.url}</div>
+                      </td>
+                      <td className="px-3 py-2 text-gray-300 whitespace-nowrap">
+                        {row.values.session_date} {row.values.start_time}–{row.values.end_time}
+                        {row.values.session_end_date && ` (ends ${row.values.session_end_date})`}
+                      </td>
+                      <td className="px-3 py-2 text-gray-300 whitespace-nowrap">
+                        {row.values.max_users} · ₹{row.values.price_inr}
+                      </td>
+                      <td className="px-3 py-2">
+                        {errorMessages.length > 0 ? (
+                          <ul className="text-xs text-red-400 space-y-0.5">
+                            {errorMessages.map(([field, message]) => (
+                              <li key={field}>{field}: {message}</li>
+                            ))}
+                          </ul>
+                        ) : row.status === 'imported' ? (
+                          <span className="text-xs text-green-400">Imported</span>
+                        ) : row.status === 'failed' ? (
+                          <span className="text-xs text-red-400">Failed to save</span>
+                        ) : (
+                          <span className="text-xs text-gray-400">Ready</span>
+                        )}
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default RoomCsvImport
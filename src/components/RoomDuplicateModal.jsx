@@ -0,0 +1,174 @@
+import React, { useState } from 'react'
+import { motion } from 'framer-motion'
+import { roomToFormValues, validateRoomFields, buildRoomPayload } from '../lib/roomFields'
+import { addDays, getBusinessDate, getDaysBetween, isOvernight } from '../lib/schedule'
+
+// Prefilled copy of a room that can be placed on one or more new dates.
+// Occupancy and live session state are never copied: the payload is rebuilt
+// from the room's definition only and roomService.addRoom starts at 0 users.
+const RoomDuplicateModal = ({ room, onDuplicate, onClose }) => {
+  const [formData, setFormData] = useState(() => {
+    const { session_date, session_end_date, ...values } = roomToFormValues(room)
+    return {
+      ...values,
+      // Multi-day rooms keep their length on every new date
+      span_days: session_end_date ? getDaysBetween(session_date, session_end_date) : 0
+    }
+  })
+  const [dates, setDates] = useState(() => [addDays(getBusinessDate(), 1)])
+  const [errors, setErrors] = useState({})
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const getValuesForDate = (date) => ({
+    ...formData,
+    session_date: date,
+    session_end_date: formData.span_days > 0 ? addDays(date, formData.span_days) : ''
+  })
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setFormData(prev => ({ ...prev, [name]: value }))
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }))
+    }
+  }
+
+  const handleDateChange = (index, value) => {
+    setDates(prev => prev.map((date, i) => (i === index ? value : date)))
+    setErrors(prev => ({ ...prev, dates: '' }))
+  }
+
+  const handleAddDate = () => {
+    const lastDate = dates[dates.length - 1] || getBusinessDate()
+    setDates(prev => [...prev, addDays(lastDate, 1)])
+  }
+
+  const handleRemoveDate = (index) => {
+    setDates(prev => prev.filter((_, i) => i !== index))
+  }
+
+  const validate = () => {
+    const newErrors = {}
+
+    if (dates.length === 0) {
+      newErrors.dates = 'Pick at least one date'
+    } else if (new Set(dates).size !== dates.length) {
+      newErrors.dates = 'Each date can only be used once'
+    }
+
+    // Every copy must pass the same checks as a room added through the form
+    for (const date of dates) {
+      const dateErrors = validateRoomFields(getValuesForDate(date))
+      const { session_date: dateError, ...fieldErrors } = dateErrors
+
+      if (dateError && !newErrors.dates) {
+        newErrors.dates = `${date || 'Date'}: ${dateError}`
+      }
+      Object.assign(newErrors, fieldErrors)
+    }
+
+    setErrors(newErrors)
+    return Object.keys(newErrors).length === 0
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (isSubmitting || !validate()) return
+
+    setIsSubmitting(true)
+    try {
+      await onDuplicate(dates.map(date => buildRoomPayload(getValuesForDate(date))))
+      onClose()
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50">
+      <motion.div
+        initial={{ scale: 0.9, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        className="bg-gray-800 border border-purple-700 rounded-lg p-6 max-w-lg w-full mx-4 max-h-[90vh] overflow-y-auto text-gray-100"
+      >
+        <h3 className="text-xl font-bold text-white mb-1">Duplicate Room</h3>
+        <p className="text-sm text-gray-400 mb-4">Copies start empty, with no users or sessions.</p>
+
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <div>
+            <label htmlFor="duplicate_name" className="block text-sm font-medium text-gray-300 mb-1">Room Name</label>
+            <input id="duplicate_name" name="name" type="text" value={formData.name} onChange={handleChange} className={`input-field text-sm bg-gray-700 text-gray-100 ${errors.name ? 'border-red-500' : 'border-gray-600'}`} />
+            {errors.name && <p className="text-xs text-red-400 mt-1">{errors.name}</p>}
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label htmlFor="duplicate_start_time" className="block text-sm font-medium text-gray-300 mb-1">Start Time</label>
+              <input id="duplicate_start_time" name="start_time" type="time" value={formData.start_time} onChange={handleChange} className={`input-field text-sm bg-gray-700 text-gray-100 ${errors.start_time ? 'border-red-500' : 'border-gray-600'}`} />
+              {errors.start_time && <p className="text-xs text-red-400 mt-1">{errors.start_time}</p>}
+            </div>
+            <div>
+              <label htmlFor="duplicate_end_time" className="block text-sm font-medium text-gray-300 mb-1">End Time</label>
+              <input id="duplicate_end_time" name="end_time" type="time" value={formData.end_time} onChange={handleChange} className={`input-field text-sm bg-gray-700 text-gray-100 ${errors.end_time ? 'border-red-500' : 'border-gray-600'}`} />
+              {errors.end_time ? (
+                <p className="text-xs text-red-400 mt-1">{errors.end_time}</p>
+              ) : formData.span_days === 0 && isOvernight(formData.start_time, formData.end_time) && (
+                <p className="text-xs text-purple-300 mt-1">Ends the next day</p>
+              )}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">
+              Dates{formData.span_days > 0 && ` (each copy runs ${formData.span_days + 1} days)`}
+            </label>
+            <div className="space-y-2">
+              {dates.map((date, index) => (
+                <div key={index} className="flex gap-2">
+                  <input
+                    type="date"
+                    value={date}
+                    min={getBusinessDate()}
+                    onChange={(e) => handleDateChange(index, e.target.value)}
+                    className="input-field text-sm bg-gray-700 text-gray-100 border-gray-600"
+                  />
+                  {dates.length > 1 && (
+                    <button type="button" onClick={() => handleRemoveDate(index)} className="text-red-400 hover:text-red-300 text-sm">
+                      Remove
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+            <button type="button" onClick={handleAddDate} className="mt-2 text-purple-400 hover:text-purple-300 text-sm font-medium">
+              + Add another date
+            </button>
+            {errors.dates && <p className="text-xs text-red-400 mt-1">{errors.dates}</p>}
+          </div>
+
+          {/* Remaining definition errors (e.g. a legacy room with a bad URL) */}
+          {['description', 'url', 'max_users', 'price_inr'].some(field => errors[field]) && (
+            <p className="text-xs text-red-400">
+              {['description', 'url', 'max_users', 'price_inr'].map(field => errors[field]).filter(Boolean).join('. ')}. Edit the original room first.
+            </p>
+          )}
+
+          <div className="flex justify-end space-x-4 pt-2">
+            <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-700 text-white rounded hover:bg-gray-600 transition-colors">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="px-4 py-2 bg-purple-600 text-white rounded hover:bg-purple-500 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isSubmitting ? 'Duplicating...' : `Create ${dates.length} ${dates.length === 1 ? 'copy' : 'copies'}`}
+            </button>
+          </div>
+        </form>
+      </motion.div>
+    </div>
+  )
+}
+
+export default RoomDuplicateModal
@@ -0,0 +1,219 @@
+import React, { useState, useEffect } from 'react'
+import { roomService } from '../lib/supabase'
+import { addDays, getBusinessDate, getSessionWindow, formatSessionRange } from '../lib/schedule'
+import { downloadCsv } from '../lib/csv'
+import { roomsToCsv } from '../lib/roomCsv'
+
+const PAGE_SIZE = 20
+const EXPORT_PAGE_SIZE = 1000
+
+// Session length as e.g. "4h 30m"
+const formatDuration = (room) => {
+  const window = getSessionWindow(room)
+  if (!window) return '—'
+
+  const minutes = Math.round((window.end - window.start) / 60000)
+  const hours = Math.floor(minutes / 60)
+  const rest = minutes % 60
+
+  if (hours === 0) return `${rest}m`
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`
+}
+
+const RoomHistory = () => {
+  const [fromDate, setFromDate] = useState(() => addDays(getBusinessDate(), -7))
+  const [toDate, setToDate] = useState(() => addDays(getBusinessDate(), 7))
+  const [page, setPage] = useState(0)
+  const [rooms, setRooms] = useState([])
+  const [totalCount, setTotalCount] = useState(0)
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [isExporting, setIsExporting] = useState(false)
+
+  const totalPages = Math.max(1, Math.ceil(totalCount / PAGE_SIZE))
+
+  // Reload whenever the range or page changes; the range is applied server-side
+  useEffect(() => {
+    loadHistory()
+  }, [fromDate, toDate, page])
+
+  const loadHistory = async () => {
+    setIsLoading(true)
+    setError(null)
+
+    const { data, count, error } = await roomService.getAllRoomsHistory({
+      fromDate: fromDate || null,
+      toDate: toDate || null,
+      page,
+      pageSize: PAGE_SIZE
+    })
+
+    if (error) {
+      setError('Failed to load room history')
+      setRooms([])
+      setTotalCount(0)
+    } else {
+      setRooms(data || [])
+      setTotalCount(count || 0)
+    }
+
+    setIsLoading(false)
+  }
+
+  // Export every room in the selected range, not just the visible page
+  const handleExport = async () => {
+    setIsExporting(true)
+    const allRooms = []
+
+    for (let exportPage = 0; ; exportPage++) {
+      const { data, count, error } = await roomService.getAllRoomsHistory({
+        fromDate: fromDate || null,
+        toDate: toDate || null,
+        page: exportPage,
+        pageSize: EXPORT_PAGE_SIZE
+      })
+
+      if (error) {
+        setError('Failed to export room history')
+        setIsExporting(false)
+        return
+      }
+
+      allRooms.push(...(data || []))
+      if (allRooms.length >= count || !data || data.length === 0) break
+    }
+
+    downloadCsv(`rooms-${fromDate || 'start'}-to-${toDate || 'end'}.csv`, roomsToCsv(allRooms))
+    setIsExporting(false)
+  }
+
+  const handleRangeChange = (setter) => (e) => {
+    setter(e.target.value)
+    setPage(0)
+  }
+
+  const today = getBusinessDate()
+
+  return (
+    <div className="card mt-8 bg-gray-800 text-gray-100 border border-purple-700 rounded-lg shadow-lg">
+      <div className="px-6 py-4 border-b border-gray-600 flex flex-wrap justify-between items-end gap-4">
+        <div>
+          <h2 className="text-xl font-semibold text-purple-400">Room History</h2>
+          <p className="text-sm text-gray-400 mt-1">{totalCount} rooms in range</p>
+        </div>
+
+        <div className="flex flex-wrap items-end gap-3">
+          <div>
+            <label htmlFor="history_from" className="block text-xs font-medium text-gray-400 mb-1">From</label>
+            <input
+              id="history_from"
+              type="date"
+              value={fromDate}
+              max={toDate || undefined}
+              onChange={handleRangeChange(setFromDate)}
+              className="px-3 py-1.5 bg-gray-700 border border-gray-600 rounded-md text-gray-100 text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+            />
+          </div>
+          <div>
+            <label htmlFor="history_to" className="block text-xs font-medium text-gray-400 mb-1">To</label>
+            <input
+              id="history_to"
+              type="date"
+              value={toDate}
+              min={fromDate || undefined}
+              onChange={handleRangeChange(setToDate)}
+              className="px-3 py-1.5 bg-gray-700 border border-gray-600 rounded-md text-gray-100 text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+            />
+          </div>
+          <button
+            onClick={handleExport}
+            disabled={isExporting || totalCount === 0}
+            className="px-3 py-1.5 bg-gray-700 text-purple-300 text-sm rounded-md hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isExporting ? 'Exporting...' : 'Export CSV'}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mx-6 mt-4 p-3 bg-red-900/30 border border-red-500 rounded text-sm text-red-400">{error}</div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-700">
+          <thead className="bg-gray-700">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-purple-300 uppercase tracking-wider">Room</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-purple-300 uppercase tracking-wider">Session Time</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-purple-300 uppercase tracking-wider">Duration</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-purple-300 uppercase tracking-wider">Occupancy</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-purple-300 uppercase tracking-wider">Price</th>
+            </tr>
+          </thead>
+          <tbody className="bg-gray-800 divide-y divide-gray-700">
+            {isLoading ? (
+              <tr>
+                <td colSpan={5} className="px-6 py-8 text-center text-gray-400 text-sm">Loading history...</td>
+              </tr>
+            ) : rooms.length === 0 ? (
+              <tr>
+                <td colSpan={5} className="px-6 py-8 text-center text-gray-400 text-sm">No rooms in this date range.</td>
+              </tr>
+            ) : (
+              rooms.map((room) => {
+                const occupancy = room.max_users > 0 ? Math.round(((room.current_users || 0) / room.max_users) * 100) : 0
+
+                return (
+                  <tr key={room.id} className="hover:bg-gray-700">
+                    <td className="px-6 py-4">
+                      <div className="text-sm font-medium text-gray-100">{room.name}</div>
+                      <div className="text-xs text-gray-400 mt-1">
+                        {room.session_date < today ? 'Past' : room.session_date > today ? 'Upcoming' : 'Today'}
+                        {room.archived_at && ' · Archived'}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-100">{formatSessionRange(room)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">{formatDuration(room)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm text-gray-100">
+                        <span className="font-medium">{room.current_users || 0}</span>
+                        <span className="text-gray-400"> / {room.max_users}</span>
+                        <span className="text-gray-500 ml-2">({occupancy}%)</span>
+                      </div>
+                      <div className="w-24 bg-gray-700 h-1 mt-1 rounded">
+                        <div className="bg-gradient-to-r from-purple-500 to-blue-500 h-1 rounded" style={{ width: `${Math.min(occupancy, 100)}%` }}></div>
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-100">₹{room.price_inr}/hr</td>
+                  </tr>
+                )
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="px-6 py-3 border-t border-gray-600 flex justify-between items-center text-sm">
+        <span className="text-gray-400">Page {page + 1} of {totalPages}</span>
+        <div className="flex space-x-2">
+          <button
+            onClick={() => setPage(prev => prev - 1)}
+            disabled={page === 0 || isLoading}
+            className="px-3 py-1 bg-gray-700 text-white rounded hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Previous
+          </button>
+          <button
+            onClick={() => setPage(prev => prev + 1)}
+            disabled={page + 1 >= totalPages || isLoading}
+            className="px-3 py-1 bg-gray-700 text-white rounded hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default RoomHistory
@@ -1,68 +1,45 @@
-import React, { useState } from 'react'
+import React, { useState, useEffect } from 'react'
+import {
+  getBusinessDate,
+  isOvernight,
+  formatSessionRange,
+  formatCalendarDate
+} from '../lib/schedule'
+import { downloadCsv } from '../lib/csv'
+import { roomsToCsv } from '../lib/roomCsv'
+import { roomToFormValues, validateRoomFields, buildRoomPayload } from '../lib/roomFields'
+import { getCategoryName } from '../lib/roomCategories'
+import { computeEffectivePrice } from '../lib/pricing'
+import { ROOM_STATUSES, ACTIVE_STATUSES, getRoomStatus, countRoomStatuses, formatMinutes } from '../lib/roomStatus'
+import { EXTEND_OPTIONS } from '../lib/closeouts'
+import { SORT_OPTIONS, DEFAULT_VIEW, readRoomListView, writeRoomListView, filterRooms, sortRooms } from '../lib/roomListView'
+import useNow from '../hooks/useNow'
+import RoomDuplicateModal from './RoomDuplicateModal'
+import RoomSessionsPanel from './RoomSessionsPanel'
 
-const RoomList = ({ rooms, onEditRoom, onDeleteRoom, isLoading }) => {
+const RoomList = ({ rooms, onEditRoom, onArchiveRoom, onDetachRoom, onExtendRoom, onDuplicateRoom, pricingRules = [], categories = [], idleMinutes, isLoading }) => {
   const [editingRoom, setEditingRoom] = useState(null)
   const [editFormData, setEditFormData] = useState({})
   const [errors, setErrors] = useState({})
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [submitLock, setSubmitLock] = useState(false) // Prevent double submissions
+  const [duplicatingRoom, setDuplicatingRoom] = useState(null)
+  const [expandedRoomId, setExpandedRoomId] = useState(null) // Only one room's sessions are shown at a time
+  const [view, setView] = useState(() => readRoomListView())
+  const [extendingRoomId, setExtendingRoomId] = useState(null)
+  const [isExtending, setIsExtending] = useState(false)
+  const now = useNow()
+
+  // Keep the current search, sort and filters in the URL so the view can be shared
+  useEffect(() => {
+    writeRoomListView(view)
+  }, [view])
+
+  const updateView = (changes) => setView(prev => ({ ...prev, ...changes }))
 
   const handleEditClick = (room) => {
-    // Extract time from timestamps if they exist
-    let startTime = '09:00'
-    let endTime = '17:00'
-    let dateOption = 'today'
-    
-    if (room.session_start_time) {
-      const startDate = new Date(room.session_start_time)
-      startTime = startDate.getHours().toString().padStart(2, '0') + ':' + 
-                 startDate.getMinutes().toString().padStart(2, '0')
-    }
-    
-    if (room.session_end_time) {
-      const endDate = new Date(room.session_end_time)
-      endTime = endDate.getHours().toString().padStart(2, '0') + ':' + 
-               endDate.getMinutes().toString().padStart(2, '0')
-    }
-    
-    // Determine date option based on session_date if available
-    if (room.session_date) {
-      const sessionDate = new Date(room.session_date)
-      const today = new Date()
-      today.setHours(0, 0, 0, 0)
-      
-      const tomorrow = new Date(today)
-      tomorrow.setDate(tomorrow.getDate() + 1)
-      
-      const dayAfterTomorrow = new Date(today)
-      dayAfterTomorrow.setDate(dayAfterTomorrow.getDate() + 2)
-      
-      // Compare dates to determine the date option
-      const sessionDateStr = sessionDate.toISOString().split('T')[0]
-      const todayStr = today.toISOString().split('T')[0]
-      const tomorrowStr = tomorrow.toISOString().split('T')[0]
-      const dayAfterTomorrowStr = dayAfterTomorrow.toISOString().split('T')[0]
-      
-      if (sessionDateStr === todayStr) {
-        dateOption = 'today'
-      } else if (sessionDateStr === tomorrowStr) {
-        dateOption = 'tomorrow'
-      } else if (sessionDateStr === dayAfterTomorrowStr) {
-        dateOption = 'day_after_tomorrow'
-      }
-    }
-    
     setEditingRoom(room.id)
-    setEditFormData({
-      name: room.name,
-      description: room.description,
-      url: room.url,
-      max_users: room.max_users,
-      price_inr: room.price_inr,
-      date_option: dateOption,
-      start_time: startTime,
-      end_time: endTime
-    })
+    setEditFormData(roomToFormValues(room))
     setErrors({})
   }
 
@@ -72,57 +49,14 @@ const RoomList = ({ rooms, onEditRoom, onDeleteRoom, isLoading }) => {
     setErrors({})
   }
 
-  const validateEditForm = () => {
-    const newErrors = {}
-    
-    if (!editFormData.name?.trim()) {
-      newErrors.name = 'Room name is required'
-    }
-    
-    if (!editFormData.description?.trim()) {
-      newErrors.description = 'Description is required'
-    }
-    
-    if (!editFormData.url?.trim()) {
-      newErrors.url = 'URL is required'
-    } else if (!isValidUrl(editFormData.url)) {
-      newErrors.url = 'Please enter a valid URL'
-    }
-    
-    if (!editFormData.max_users || editFormData.max_users < 1) {
-      newErrors.max_users = 'Max users must be at least 1'
-    }
-    
-    if (!editFormData.price_inr || parseFloat(editFormData.price_inr) <= 0) {
-      newErrors.price_inr = 'Price must be greater than 0'
-    }
-    
-    if (!editFormData.start_time) {
-      newErrors.start_time = 'Start time is required'
-    }
-
-    if (!editFormData.end_time) {
-      newErrors.end_time = 'End time is required'
-    }
-
-    if (editFormData.start_time && editFormData.end_time && 
-        editFormData.start_time >= editFormData.end_time) {
-      newErrors.end_time = 'End time must be after start time'
-    }
-    
+  // Same rules as adding a room, except past dates are allowed and capacity
+  // can't drop below the users already in the room
+  const validateEditForm = (room) => {
+    const newErrors = validateRoomFields(editFormData, { mode: 'edit', currentUsers: room.current_users || 0 })
     setErrors(newErrors)
     return Object.keys(newErrors).length === 0
   }
 
-  const isValidUrl = (string) => {
-    try {
-      new URL(string)
-      return true
-    } catch (_) {
-      return false
-    }
-  }
-
   const handleEditChange = (e) => {
     const { name, value } = e.target
     setEditFormData(prev => ({
@@ -138,61 +72,13 @@ const RoomList = ({ rooms, onEditRoom, onDeleteRoom, isLoading }) => {
     }
   }
 
-  // Convert date_option to an actual date string in YYYY-MM-DD format
-  const getSessionDate = (dateOption) => {
-    // Create date object for the current date in UTC
-    const now = new Date()
-    
-    // Create a UTC date at 00:00:00 for today
-    const today = new Date(Date.UTC(
-      now.getUTCFullYear(),
-      now.getUTCMonth(),
-      now.getUTCDate(),
-      0, 0, 0
-    ))
-    
-    // Create a new date object for the session date
-    let sessionDate = new Date(today)
-    
-    // Adjust the date based on the option
-    if (dateOption === 'tomorrow') {
-      sessionDate.setUTCDate(today.getUTCDate() + 1)
-    } else if (dateOption === 'day_after_tomorrow') {
-      sessionDate.setUTCDate(today.getUTCDate() + 2)
-    }
-    
-    // Format as YYYY-MM-DD using UTC components
-    const year = sessionDate.getUTCFullYear()
-    // getUTCMonth() is 0-indexed, so add 1
-    const month = String(sessionDate.getUTCMonth() + 1).padStart(2, '0')
-    const day = String(sessionDate.getUTCDate()).padStart(2, '0')
-    
-    // Log for debugging
-    console.log(`Date option: ${dateOption}, UTC date: ${year}-${month}-${day}, Local time: ${new Date().toString()}`)
-    
-    return `${year}-${month}-${day}`
-  }
-
-  // Format time string to HH:MM:SS format for Supabase TIME column
-  const formatTimeForSupabase = (timeString) => {
-    // Ensure the timeString is in the format HH:MM
-    const [hours, minutes] = timeString.split(':').map(Number)
-    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:00`
-  }
-  
-  // Validate time input
-  const isValidTimeFormat = (timeString) => {
-    // Check if the time string matches the format HH:MM
-    const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/
-    return timeRegex.test(timeString)
-  }
-
   const handleSaveEdit = async (roomId) => {
     // Prevent double submissions
     if (submitLock) return
     setSubmitLock(true)
     
-    if (!validateEditForm()) {
+    const room = rooms.find(r => r.id === roomId)
+    if (!validateEditForm(room)) {
       setSubmitLock(false)
       return
     }
@@ -200,36 +86,15 @@ const RoomList = ({ rooms, onEditRoom, onDeleteRoom, isLoading }) => {
     setIsSubmitting(true)
     
     try {
-      // Format time values for Supabase TIME columns
-      if (!isValidTimeFormat(editFormData.start_time) || !isValidTimeFormat(editFormData.end_time)) {
-        setErrors({
-          ...errors,
-          start_time: !isValidTimeFormat(editFormData.start_time) ? 'Invalid time format' : '',
-          end_time: !isValidTimeFormat(editFormData.end_time) ? 'Invalid time format' : ''
-        })
-        setSubmitLock(false)
-        return
-      }
-      
-      // Format times to HH:MM:SS for Supabase
-      const sessionStartTime = formatTimeForSupabase(editFormData.start_time)
-      const sessionEndTime = formatTimeForSupabase(editFormData.end_time)
-      
-      // Get the session date based on the selected date option
-      const sessionDate = getSessionDate(editFormData.date_option)
-      
-      await onEditRoom(roomId, {
-        name: editFormData.name,
-        description: editFormData.description,
-        url: editFormData.url,
-        max_users: parseInt(editFormData.max_users),
-        price_inr: parseFloat(editFormData.price_inr),
-        session_date: sessionDate, // Add the session date
-        session_start_time: sessionStartTime,
-        session_end_time: sessionEndTime,
-        date_option: editFormData.date_option // Keep this for UI purposes only
+      // Editing one occurrence of a recurring schedule detaches it from the series
+      const saved = await onEditRoom(roomId, {
+        ...buildRoomPayload(editFormData),
+        ...(room?.series_id && { series_detached: true })
       })
       
+      // Keep the form open when the save was rejected so nothing typed is lost
+      if (saved === false) return
+
       setEditingRoom(null)
       setEditFormData({})
       setErrors({})
@@ -242,150 +107,54 @@ const RoomList = ({ rooms, onEditRoom, onDeleteRoom, isLoading }) => {
     }
   }
 
-  const handleDeleteClick = async (roomId, roomName) => {
-    if (window.confirm(`Are you sure you want to delete "${roomName}"? This action cannot be undone.`)) {
-      await onDeleteRoom(roomId)
+  const handleArchiveClick = async (roomId, roomName) => {
+    if (window.confirm(`Archive "${roomName}"? It will be hidden from this list and can be restored from Archived Rooms.`)) {
+      await onArchiveRoom(roomId)
     }
   }
 
-  // Format session time for display
-  const formatSessionTime = (room) => {
-    if (!room.session_start_time || !room.session_end_time) {
-      return 'No session scheduled'
-    }
-    
-    // Parse time strings from database
-    // The session_start_time and session_end_time are stored as time strings in format HH:MM:SS
-    const parseTimeString = (timeStr) => {
-      if (!timeStr) return null;
-      
-      // Handle different possible formats
-      if (timeStr.includes('T')) {
-        // If it's a full ISO datetime string
-        return new Date(timeStr);
-      } else {
-        // If it's just a time string like "09:00:00"
-        const [hours, minutes, seconds] = timeStr.split(':').map(Number);
-        const date = new Date();
-        date.setHours(hours, minutes, seconds || 0);
-        return date;
-      }
-    };
-    
-    const startTime = parseTimeString(room.session_start_time);
-    const endTime = parseTimeString(room.session_end_time);
-    
-    if (!startTime || !endTime) {
-      return 'Invalid session time';
+  const handleDetachClick = async (room) => {
+    if (window.confirm(`Detach "${room.name}" on ${room.session_date} from its recurring schedule? Schedule edits will no longer change this room.`)) {
+      await onDetachRoom(room.id)
     }
-    
-    // Format time
-    const formatTime = (date) => {
-      let hours = date.getHours();
-      const minutes = date.getMinutes();
-      const ampm = hours >= 12 ? 'PM' : 'AM';
-      hours = hours % 12;
-      hours = hours ? hours : 12; // the hour '0' should be '12'
-      return `${hours}:${minutes.toString().padStart(2, '0')} ${ampm}`;
-    };
-    
-    // Get session date for display
-    let sessionDateStr = 'Today';
-    if (room.session_date) {
-      // Format the date in a more readable way
-      // Parse the session_date (YYYY-MM-DD format)
-      const dateParts = room.session_date.split('-');
-      const sessionDate = new Date(dateParts[0], dateParts[1] - 1, dateParts[2]); // Month is 0-indexed
-      
-      // Format the date as "Day, Month Date" (e.g., "Mon, Jan 1")
-      sessionDateStr = sessionDate.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
-    }
-    
-    return `${sessionDateStr}, ${formatTime(startTime)} – ${formatTime(endTime)}`;
-  };
+  }
+
+  // Running rooms, and ended rooms still in their grace period, can run longer
+  const canExtend = (room) => {
+    if (!onExtendRoom || room.closed_out_at) return false
+    const { status } = getRoomStatus(room, now)
+    return ACTIVE_STATUSES.includes(status) || status === 'ended'
+  }
+
+  const handleExtend = async (room, minutes) => {
+    setIsExtending(true)
+    await onExtendRoom(room, minutes)
+    setIsExtending(false)
+    setExtendingRoomId(null)
+  }
+
+  // Price a user joining right now would pay, with the base price struck through when rules apply
+  const renderPrice = (room) => {
+    const { price, applied } = computeEffectivePrice(room, pricingRules, { at: now })
+    if (applied.length === 0) return `₹${room.price_inr}/hr`
+
+    return (
+      <span title={applied.map(({ rule }) => rule.name).join(', ')}>
+        ₹{price}/hr <span className="text-xs text-gray-400 line-through">₹{room.price_inr}</span>
+      </span>
+    )
+  }
 
   const getStatusBadge = (room) => {
-    // Parse time strings from database
-    const parseTimeString = (timeStr) => {
-      if (!timeStr) return null;
-      
-      // Handle different possible formats
-      if (timeStr.includes('T')) {
-        // If it's a full ISO datetime string
-        return new Date(timeStr);
-      } else {
-        // If it's just a time string like "09:00:00"
-        const [hours, minutes, seconds] = timeStr.split(':').map(Number);
-        const date = new Date();
-        date.setHours(hours, minutes, seconds || 0);
-        return date;
-      }
-    };
-    
-    const currentTime = new Date();
-    const startTime = parseTimeString(room.session_start_time);
-    const endTime = parseTimeString(room.session_end_time);
-    const isFull = room.current_users >= room.max_users;
-    
-    // Check if session is active based on both date and time
-    let isActive = false;
-    
-    if (startTime && endTime) {
-      // First check if today is the correct session date
-      // Get today's date in YYYY-MM-DD format using local timezone
-      const today = new Date();
-      const year = today.getFullYear();
-      const month = String(today.getMonth() + 1).padStart(2, '0');
-      const day = String(today.getDate()).padStart(2, '0');
-      const todayFormatted = `${year}-${month}-${day}`;
-      
-      const sessionDate = room.session_date || null;
-      
-      // Room is only active if session_date matches today's date
-      const isCorrectDate = sessionDate === todayFormatted;
-      
-      // Then check if current time is within session time range
-      const currentMinutes = currentTime.getHours() * 60 + currentTime.getMinutes();
-      const startMinutes = startTime.getHours() * 60 + startTime.getMinutes();
-      const endMinutes = endTime.getHours() * 60 + endTime.getMinutes();
-      
-      const isWithinTimeRange = currentMinutes >= startMinutes && currentMinutes <= endMinutes;
-      
-      // Room is active only if both date and time conditions are met
-      isActive = isCorrectDate && isWithinTimeRange;
-    }
-    
-    // Debug log to help troubleshoot
-    console.log('Room status check:', {
-      room: room.name,
-      currentDate: `${new Date().getFullYear()}-${String(new Date().getMonth() + 1).padStart(2, '0')}-${String(new Date().getDate()).padStart(2, '0')}`,
-      sessionDate: room.session_date || 'unknown',
-      currentTime: `${currentTime.getHours()}:${currentTime.getMinutes()}`,
-      startTime: startTime ? `${startTime.getHours()}:${startTime.getMinutes()}` : null,
-      endTime: endTime ? `${endTime.getHours()}:${endTime.getMinutes()}` : null,
-      isActive
-    });
-    
-    if (!isActive) {
-      return (
-        <span className="px-2 py-1 text-xs font-medium rounded-full bg-gray-200 text-gray-800">
-          Inactive
-        </span>
-      );
-    } else if (isFull) {
-      return (
-        <span className="px-2 py-1 text-xs font-medium rounded-full bg-red-200 text-red-800">
-          Full
-        </span>
-      );
-    } else {
-      return (
-        <span className="px-2 py-1 text-xs font-medium rounded-full bg-green-200 text-green-800">
-          Active
-        </span>
-      );
-    }
-  };
+    const { status, label } = getRoomStatus(room, now)
+
+    return (
+      <span className={`px-2 py-1 text-xs font-medium rounded-full whitespace-nowrap ${ROOM_STATUSES[status].badgeClass}`}>
+        {label}
+      </span>
+    )
+  }
+
 
   const getFullRoomMessage = (room) => {
     if (room.current_users >= room.max_users) {
@@ -398,7 +167,9 @@ const RoomList = ({ rooms, onEditRoom, onDeleteRoom, isLoading }) => {
     return null
   }
 
-  if (isLoading) {
+  // The spinner only covers the first load; refreshes keep the list (and any open
+  // session panel or duplicate dialog) mounted
+  if (isLoading && (!rooms || rooms.length === 0)) {
     return (
       <div className="card p-6">
         <div className="flex items-center justify-center py-8">
@@ -428,10 +199,116 @@ const RoomList = ({ rooms, onEditRoom, onDeleteRoom, isLoading }) => {
     )
   }
 
+  // Status chips count the rooms left after the search and date filters
+  const searchedRooms = filterRooms(rooms, { ...view, status: 'all' }, now)
+  const statusCounts = countRoomStatuses(searchedRooms, now)
+  const visibleRooms = sortRooms(filterRooms(searchedRooms, view, now), view, {
+    now,
+    priceOf: room => computeEffectivePrice(room, pricingRules, { at: now }).price
+  })
+
+  // Only statuses some room is in right now get a chip (plus the selected one).
+  // Live counts every running room, so ending-soon and full rooms are in it too.
+  const chipCount = (status) => (status === 'live' ? statusCounts.active : statusCounts[status])
+  const statusFilters = [
+    { status: 'all', label: 'All', count: searchedRooms.length },
+    ...Object.entries(ROOM_STATUSES)
+      .filter(([status]) => chipCount(status) > 0 || status === view.status)
+      .map(([status, { label }]) => ({ status, label, count: chipCount(status) }))
+  ]
+
+  // Dates the listed rooms start on; overnight rooms from yesterday add a second date
+  const sessionDates = [...new Set([...rooms.map(room => room.session_date), view.date].filter(Boolean))].sort()
+
+  const chipClass = (isSelected) => `px-3 py-1 text-xs rounded-full border ${
+    isSelected
+      ? 'bg-purple-600 border-purple-400 text-white'
+      : 'bg-gray-800 border-gray-600 text-gray-300 hover:border-gray-500'
+  }`
+
   return (
     <div className="card bg-gray-800 text-gray-100 border border-purple-700 rounded-lg shadow-lg">
-      <div className="px-6 py-4 border-b border-gray-600">
-        <h2 className="text-xl font-semibold text-purple-400">Rooms ({rooms.length})</h2>
+      <div className="px-6 py-4 border-b border-gray-600 flex justify-between items-center">
+        <h2 className="text-xl font-semibold text-purple-400">
+          Rooms ({visibleRooms.length === rooms.length ? rooms.length : `${visibleRooms.length} of ${rooms.length}`})
+        </h2>
+        <button
+          onClick={() => downloadCsv(`rooms-${getBusinessDate()}.csv`, roomsToCsv(visibleRooms))}
+          className="text-purple-400 hover:text-purple-300 text-sm font-medium"
+        >
+          Export CSV
+        </button>
+      </div>
+
+      <div className="px-6 py-3 border-b border-gray-700 space-y-3">
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            type="search"
+            value={view.q}
+            onChange={(e) => updateView({ q: e.target.value })}
+            placeholder="Search name, description or URL"
+            className="flex-1 min-w-[12rem] px-3 py-1.5 bg-gray-700 border border-gray-600 rounded-md text-gray-100 text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+          />
+          <select
+            value={view.sort}
+            onChange={(e) => updateView({ sort: e.target.value })}
+            aria-label="Sort rooms by"
+            className="px-3 py-1.5 bg-gray-700 border border-gray-600 rounded-md text-gray-100 text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+          >
+            {SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => updateView({ dir: view.dir === 'asc' ? 'desc' : 'asc' })}
+            title={view.dir === 'asc' ? 'Ascending' : 'Descending'}
+            className="px-3 py-1.5 bg-gray-700 border border-gray-600 rounded-md text-gray-300 text-sm hover:border-gray-500"
+          >
+            {view.dir === 'asc' ? '↑' : '↓'}
+          </button>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          {statusFilters.map(({ status, label, count }) => (
+            <button key={status} onClick={() => updateView({ status })} className={chipClass(view.status === status)}>
+              {label} ({count})
+            </button>
+          ))}
+        </div>
+
+        {(categories.length > 0 || view.category || view.tag) && (
+          <div className="flex flex-wrap gap-2">
+            <button onClick={() => updateView({ category: '', tag: '' })} className={chipClass(!view.category && !view.tag)}>
+              All categories
+            </button>
+            {categories.map(category => (
+              <button key={category.id} onClick={() => updateView({ category: category.id })} className={chipClass(view.category === category.id)}>
+                {category.name}
+              </button>
+            ))}
+            <button onClick={() => updateView({ category: 'none' })} className={chipClass(view.category === 'none')}>
+              Uncategorised
+            </button>
+            {view.tag && (
+              <button onClick={() => updateView({ tag: '' })} className={chipClass(true)} title="Clear tag filter">
+                #{view.tag} ✕
+              </button>
+            )}
+          </div>
+        )}
+
+        {sessionDates.length > 1 && (
+          <div className="flex flex-wrap gap-2">
+            <button onClick={() => updateView({ date: '' })} className={chipClass(!view.date)}>
+              All dates
+            </button>
+            {sessionDates.map(date => (
+              <button key={date} onClick={() => updateView({ date })} className={chipClass(view.date === date)}>
+                {date === getBusinessDate() ? 'Today' : formatCalendarDate(date)}
+              </button>
+            ))}
+          </div>
+        )}
       </div>
       
       <div className="overflow-x-auto">
@@ -459,8 +336,19 @@ const RoomList = ({ rooms, onEditRoom, onDeleteRoom, isLoading }) => {
             </tr>
           </thead>
           <tbody className="bg-gray-800 divide-y divide-gray-700">
-            {rooms.map((room) => (
-              <tr key={room.id} className="hover:bg-gray-700">
+            {visibleRooms.length === 0 && (
+              <tr>
+                <td colSpan={6} className="px-6 py-8 text-center text-gray-400 text-sm">
+                  No rooms match this view.{' '}
+                  <button onClick={() => setView({ ...DEFAULT_VIEW, sort: view.sort, dir: view.dir })} className="text-purple-400 hover:text-purple-300">
+                    Clear filters
+                  </button>
+                </td>
+              </tr>
+            )}
+            {visibleRooms.map((room) => (
+              <React.Fragment key={room.id}>
+              <tr className="hover:bg-gray-700">
                 <td className="px-6 py-4">
                   {editingRoom === room.id ? (
                     <div className="space-y-2">
@@ -493,10 +381,59 @@ const RoomList = ({ rooms, onEditRoom, onDeleteRoom, isLoading }) => {
                         placeholder="URL"
                       />
                       {errors.url && <p className="text-xs text-red-600">{errors.url}</p>}
+
+                      <select
+                        name="category_id"
+                        value={editFormData.category_id || ''}
+                        onChange={handleEditChange}
+                        className="input-field text-sm"
+                      >
+                        <option value="">No category</option>
+                        {categories.map(category => (
+                          <option key={category.id} value={category.id}>{category.name}</option>
+                        ))}
+                      </select>
+
+                      <input
+                        type="text"
+                        name="tags"
+                        value={editFormData.tags || ''}
+                        onChange={handleEditChange}
+                        className="input-field text-sm"
+                        placeholder="Tags, comma-separated"
+                      />
                     </div>
                   ) : (
                     <div>
-                      <div className="text-sm font-medium text-gray-100">{room.name}</div>
+                      <div className="text-sm font-medium text-gray-100">
+                        {room.name}
+                        {room.series_id && (
+                          <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-purple-900/40 text-purple-300 border border-purple-600">
+                            {room.series_detached ? 'Detached' : 'Recurring'}
+                          </span>
+                        )}
+                      </div>
+                      {(getCategoryName(room, categories) || room.tags?.length > 0) && (
+                        <div className="flex flex-wrap gap-1 mt-1">
+                          {getCategoryName(room, categories) && (
+                            <button
+                              onClick={() => updateView({ category: room.category_id })}
+                              className="px-2 py-0.5 text-xs rounded bg-blue-900/40 text-blue-300 hover:bg-blue-900/60"
+                            >
+                              {getCategoryName(room, categories)}
+                            </button>
+                          )}
+                          {(room.tags || []).map(tag => (
+                            <button
+                              key={tag}
+                              onClick={() => updateView({ tag })}
+                              className="px-2 py-0.5 text-xs rounded bg-gray-700 text-gray-300 hover:bg-gray-600"
+                            >
+                              #{tag}
+                            </button>
+                          ))}
+                        </div>
+                      )}
                       <div className="text-sm text-gray-400 mt-1">{room.description}</div>
                       <div className="text-xs text-purple-400 mt-1 break-all">
                         <a href={room.url} target="_blank" rel="noopener noreferrer" className="hover:underline">
@@ -515,16 +452,14 @@ const RoomList = ({ rooms, onEditRoom, onDeleteRoom, isLoading }) => {
                 <td className="px-6 py-4 whitespace-nowrap">
                   {editingRoom === room.id ? (
                     <div className="space-y-2">
-                      <select
-                        name="date_option"
-                        value={editFormData.date_option || 'today'}
+                      <input
+                        type="date"
+                        name="session_date"
+                        value={editFormData.session_date || ''}
                         onChange={handleEditChange}
-                        className="input-field text-sm w-full"
-                      >
-                        <option value="today">Today</option>
-                        <option value="tomorrow">Tomorrow</option>
-                        <option value="day_after_tomorrow">Day After Tomorrow</option>
-                      </select>
+                        className={`input-field text-sm w-full ${errors.session_date ? 'border-red-500' : ''}`}
+                      />
+                      {errors.session_date && <p className="text-xs text-red-600 mt-1">{errors.session_date}</p>}
                       
                       <div className="grid grid-cols-2 gap-2">
                         <div>
@@ -548,10 +483,23 @@ const RoomList = ({ rooms, onEditRoom, onDeleteRoom, isLoading }) => {
                           {errors.end_time && <p className="text-xs text-red-600 mt-1">{errors.end_time}</p>}
                         </div>
                       </div>
+                      
+                      <input
+                        type="date"
+                        name="session_end_date"
+                        value={editFormData.session_end_date || ''}
+                        min={editFormData.session_date}
+                        onChange={handleEditChange}
+                        className="input-field text-sm w-full"
+                        title="End date for multi-day sessions"
+                      />
+                      {!editFormData.session_end_date && isOvernight(editFormData.start_time, editFormData.end_time) && (
+                        <p className="text-xs text-purple-300">Ends the next day</p>
+                      )}
                     </div>
                   ) : (
                     <div className="text-sm text-gray-100">
-                      {formatSessionTime(room)}
+                      {formatSessionRange(room)}
                     </div>
                   )}
                 </td>
@@ -595,7 +543,7 @@ const RoomList = ({ rooms, onEditRoom, onDeleteRoom, isLoading }) => {
                     </div>
                   ) : (
                     <div className="text-sm font-medium text-gray-100">
-                      ₹{room.price_inr}/hr
+                      {renderPrice(room)}
                     </div>
                   )}
                 </td>
@@ -618,6 +566,27 @@ const RoomList = ({ rooms, onEditRoom, onDeleteRoom, isLoading }) => {
                         Cancel
                       </button>
                     </div>
+                  ) : extendingRoomId === room.id ? (
+                    <div className="flex items-center space-x-2">
+                      <span className="text-xs text-gray-400">Extend by</span>
+                      {EXTEND_OPTIONS.map(minutes => (
+                        <button
+                          key={minutes}
+                          onClick={() => handleExtend(room, minutes)}
+                          disabled={isExtending}
+                          className="text-green-400 hover:text-green-300 text-sm font-medium disabled:opacity-50"
+                        >
+                          +{formatMinutes(minutes)}
+                        </button>
+                      ))}
+                      <button
+                        onClick={() => setExtendingRoomId(null)}
+                        disabled={isExtending}
+                        className="text-gray-400 hover:text-gray-300 text-sm font-medium disabled:opacity-50"
+                      >
+                        Cancel
+                      </button>
+                    </div>
                   ) : (
                     <div className="flex space-x-2">
                       <button
@@ -627,19 +596,63 @@ const RoomList = ({ rooms, onEditRoom, onDeleteRoom, isLoading }) => {
                         Edit
                       </button>
                       <button
-                        onClick={() => handleDeleteClick(room.id, room.name)}
+                        onClick={() => setExpandedRoomId(expandedRoomId === room.id ? null : room.id)}
+                        className="text-green-400 hover:text-green-300 text-sm font-medium"
+                      >
+                        {expandedRoomId === room.id ? 'Hide sessions' : 'Sessions'}
+                      </button>
+                      {canExtend(room) && (
+                        <button
+                          onClick={() => setExtendingRoomId(room.id)}
+                          className="text-green-400 hover:text-green-300 text-sm font-medium"
+                        >
+                          Extend
+                        </button>
+                      )}
+                      <button
+                        onClick={() => setDuplicatingRoom(room)}
+                        className="text-blue-400 hover:text-blue-300 text-sm font-medium"
+                      >
+                        Duplicate
+                      </button>
+                      {room.series_id && !room.series_detached && (
+                        <button
+                          onClick={() => handleDetachClick(room)}
+                          className="text-yellow-400 hover:text-yellow-300 text-sm font-medium"
+                        >
+                          Detach
+                        </button>
+                      )}
+                      <button
+                        onClick={() => handleArchiveClick(room.id, room.name)}
                         className="text-red-400 hover:text-red-300 text-sm font-medium"
                       >
-                        Delete
+                        Archive
                       </button>
                     </div>
                   )}
                 </td>
               </tr>
+              {expandedRoomId === room.id && (
+                <tr>
+                  <td colSpan={6} className="px-6 pb-4">
+                    <RoomSessionsPanel room={room} rooms={rooms} idleMinutes={idleMinutes} />
+                  </td>
+                </tr>
+              )}
+              </React.Fragment>
             ))}
           </tbody>
         </table>
       </div>
+
+      {duplicatingRoom && (
+        <RoomDuplicateModal
+          room={duplicatingRoom}
+          onDuplicate={onDuplicateRoom}
+          onClose={() => setDuplicatingRoom(null)}
+        />
+      )}
     </div>
   )
 }
@@ -0,0 +1,456 @@
+import React, { useState, useEffect } from 'react'
+import { supabase, roomSeriesService } from '../lib/supabase'
+import {
+  RECURRENCE_OPTIONS,
+  WEEKDAY_LABELS,
+  SERIES_HORIZON_DAYS,
+  describeRecurrence
+} from '../lib/roomSeries'
+import { getBusinessDate, isOvernight, toTimeInput, toTimeColumn, formatCalendarDate } from '../lib/schedule'
+import { validateRoomFields } from '../lib/roomFields'
+
+// Form fields shared with rooms and checked by the room schema
+const SERIES_ROOM_FIELDS = ['name', 'description', 'url', 'max_users', 'price_inr', 'start_time', 'end_time']
+
+const getEmptyForm = () => ({
+  name: '',
+  description: '',
+  url: '',
+  max_users: 100,
+  price_inr: '',
+  start_time: '09:00',
+  end_time: '17:00',
+  recurrence: 'daily',
+  weekdays: [],
+  start_date: getBusinessDate(),
+  end_date: ''
+})
+
+// "Mon, Jan 1: reason; ..." for occurrences the service couldn't sync
+const describeFailures = (failed) =>
+  failed.map(({ session_date, error }) => session_date ? `${formatCalendarDate(session_date)}: ${error}` : error).join('; ')
+
+const RoomSeriesManager = ({ onNotify }) => {
+  const [seriesList, setSeriesList] = useState([])
+  const [formData, setFormData] = useState(getEmptyForm)
+  const [errors, setErrors] = useState({})
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [editingSeries, setEditingSeries] = useState(null)
+  const [expandedSeriesId, setExpandedSeriesId] = useState(null)
+  const [occurrences, setOccurrences] = useState([])
+
+  // Load series on mount, top up their occurrences and keep the list in sync
+  useEffect(() => {
+    loadSeries(true)
+
+    const seriesSubscription = supabase
+      .channel('room-series-changes')
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'room_series'
+        },
+        (payload) => {
+          if (payload.eventType === 'INSERT') {
+            setSeriesList((prev) => {
+              if (prev.some(series => series.id === payload.new.id)) return prev
+              return [payload.new, ...prev]
+            })
+          }
+
+          if (payload.eventType === 'UPDATE') {
+            setSeriesList((prev) =>
+              prev.map((series) => (series.id === payload.new.id ? payload.new : series))
+            )
+          }
+
+          if (payload.eventType === 'DELETE') {
+            setSeriesList((prev) => prev.filter((series) => series.id !== payload.old.id))
+          }
+        }
+      )
+      .subscribe()
+
+    return () => {
+      supabase.removeChannel(seriesSubscription)
+    }
+  }, [])
+
+  const loadSeries = async (generate = false) => {
+    setIsLoading(true)
+    try {
+      const { data, error } = await roomSeriesService.getAllSeries()
+      if (error) throw new Error(error)
+      setSeriesList(data || [])
+
+      // Generating is idempotent, so every admin load rolls the horizon forward
+      if (generate) {
+        for (const series of data || []) {
+          await roomSeriesService.generateOccurrences(series)
+        }
+      }
+    } catch (err) {
+      console.error('Error loading room series:', err)
+      onNotify('❌ Failed to load recurring schedules', 'error')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const loadOccurrences = async (seriesId) => {
+    const { data, error } = await roomSeriesService.getUpcomingOccurrences(seriesId)
+    if (error) {
+      onNotify('❌ Failed to load series occurrences', 'error')
+      return
+    }
+    setOccurrences(data || [])
+  }
+
+  const validateForm = () => {
+    // Occurrences are rooms, so the room fields follow the room schema. The first
+    // date stands in for every occurrence; dates themselves are checked below.
+    const roomErrors = validateRoomFields(
+      { ...formData, session_date: formData.start_date || getBusinessDate(), session_end_date: '' },
+      { mode: 'edit' }
+    )
+    const newErrors = Object.fromEntries(
+      Object.entries(roomErrors).filter(([field]) => SERIES_ROOM_FIELDS.includes(field))
+    )
+
+    if (formData.recurrence === 'custom' && formData.weekdays.length === 0) {
+      newErrors.weekdays = 'Pick at least one weekday'
+    }
+
+    if (!formData.start_date) {
+      newErrors.start_date = 'Start date is required'
+    }
+
+    if (formData.end_date && formData.end_date < formData.start_date) {
+      newErrors.end_date = 'End date must be on or after the start date'
+    }
+
+    setErrors(newErrors)
+    return Object.keys(newErrors).length === 0
+  }
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }))
+
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }))
+    }
+  }
+
+  const handleWeekdayToggle = (weekday) => {
+    setFormData(prev => ({
+      ...prev,
+      weekdays: prev.weekdays.includes(weekday)
+        ? prev.weekdays.filter(day => day !== weekday)
+        : [...prev.weekdays, weekday].sort()
+    }))
+    setErrors(prev => ({ ...prev, weekdays: '' }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (isSubmitting || !validateForm()) return
+
+    setIsSubmitting(true)
+
+    const seriesPayload = {
+      name: formData.name,
+      description: formData.description,
+      url: formData.url,
+      max_users: parseInt(formData.max_users),
+      price_inr: parseFloat(formData.price_inr),
+      session_start_time: toTimeColumn(formData.start_time),
+      session_end_time: toTimeColumn(formData.end_time),
+      recurrence: formData.recurrence,
+      weekdays: formData.recurrence === 'custom' ? formData.weekdays : [],
+      start_date: formData.start_date,
+      end_date: formData.end_date || null
+    }
+
+    try {
+      const { error, failed = [] } = editingSeries
+        ? await roomSeriesService.updateSeries(editingSeries.id, seriesPayload)
+        : await roomSeriesService.addSeries(seriesPayload)
+
+      if (error) throw new Error(error)
+
+      if (failed.length > 0) {
+        // Rooms that would fail validation (e.g. a URL clash on that date) keep their old details
+        // and rooms users have joined aren't archived; the schedule itself is saved either way
+        onNotify(`⚠️ Schedule ${editingSeries ? 'updated' : 'created'}, but ${failed.length} upcoming ${failed.length === 1 ? 'room was' : 'rooms were'} not synced – ${describeFailures(failed)}`, 'error')
+      } else {
+        onNotify(editingSeries ? '✅ Schedule updated for all upcoming rooms' : '✅ Recurring schedule created', 'success')
+      }
+      if (editingSeries && expandedSeriesId === editingSeries.id) {
+        loadOccurrences(editingSeries.id)
+      }
+      handleCancelEdit()
+    } catch (err) {
+      console.error('Error saving room series:', err)
+      onNotify('❌ Failed to save recurring schedule', 'error')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleEditClick = (series) => {
+    setEditingSeries(series)
+    setFormData({
+      name: series.name,
+      description: series.description || '',
+      url: series.url,
+      max_users: series.max_users,
+      price_inr: series.price_inr,
+      start_time: toTimeInput(series.session_start_time),
+      end_time: toTimeInput(series.session_end_time),
+      recurrence: series.recurrence,
+      weekdays: series.weekdays || [],
+      start_date: series.start_date,
+      end_date: series.end_date || ''
+    })
+    setErrors({})
+  }
+
+  const handleCancelEdit = () => {
+    setEditingSeries(null)
+    setFormData(getEmptyForm())
+    setErrors({})
+  }
+
+  const handleTogglePause = async (series) => {
+    const { error, failed = [] } = await roomSeriesService.setPaused(series.id, !series.is_paused)
+
+    if (error) {
+      onNotify(`❌ Failed to ${series.is_paused ? 'resume' : 'pause'} schedule`, 'error')
+      return
+    }
+
+    if (failed.length > 0) {
+      onNotify(`⚠️ Schedule ${series.is_paused ? 'resumed' : 'paused'}, but ${failed.length} upcoming ${failed.length === 1 ? 'room was' : 'rooms were'} not synced – ${describeFailures(failed)}`, 'error')
+    } else {
+      onNotify(series.is_paused ? '✅ Schedule resumed – upcoming rooms restored' : '✅ Schedule paused – upcoming rooms archived', 'success')
+    }
+    if (expandedSeriesId === series.id) {
+      loadOccurrences(series.id)
+    }
+  }
+
+  const handleToggleExpand = (seriesId) => {
+    if (expandedSeriesId === seriesId) {
+      setExpandedSeriesId(null)
+      setOccurrences([])
+      return
+    }
+    setExpandedSeriesId(seriesId)
+    setOccurrences([])
+    loadOccurrences(seriesId)
+  }
+
+  const inputClass = (field) =>
+    `w-full px-3 py-2 bg-gray-700 border ${errors[field] ? 'border-red-500' : 'border-gray-600'} rounded-md text-gray-100 focus:outline-none focus:ring-2 focus:ring-purple-500`
+
+  return (
+    <div className="card p-6 mb-8 bg-gray-800 text-gray-100 border border-purple-700 rounded-lg shadow-lg">
+      <h2 className="text-xl font-semibold text-purple-400 mb-1">Recurring Schedules</h2>
+      <p className="text-sm text-gray-400 mb-6">
+        Rooms are generated {SERIES_HORIZON_DAYS} days ahead. Editing a schedule updates every upcoming room that has not been detached.
+      </p>
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="series_name" className="block text-sm font-medium text-gray-300 mb-1">Room Name *</label>
+            <input id="series_name" type="text" name="name" value={formData.name} onChange={handleChange} className={inputClass('name')} disabled={isSubmitting} />
+            {errors.name && <p className="mt-1 text-sm text-red-400">{errors.name}</p>}
+          </div>
+
+          <div>
+            <label htmlFor="series_url" className="block text-sm font-medium text-gray-300 mb-1">URL *</label>
+            <input id="series_url" type="url" name="url" value={formData.url} onChange={handleChange} className={inputClass('url')} placeholder="https://example.runpod.io" disabled={isSubmitting} />
+            {errors.url && <p className="mt-1 text-sm text-red-400">{errors.url}</p>}
+          </div>
+        </div>
+
+        <div>
+          <label htmlFor="series_description" className="block text-sm font-medium text-gray-300 mb-1">Description *</label>
+          <textarea id="series_description" name="description" value={formData.description} onChange={handleChange} rows={2} className={`${inputClass('description')} resize-none`} disabled={isSubmitting} />
+          {errors.description && <p className="mt-1 text-sm text-red-400">{errors.description}</p>}
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <div>
+            <label htmlFor="series_max_users" className="block text-sm font-medium text-gray-300 mb-1">Max Users *</label>
+            <input id="series_max_users" type="number" name="max_users" min="1" value={formData.max_users} onChange={handleChange} className={inputClass('max_users')} disabled={isSubmitting} />
+            {errors.max_users && <p className="mt-1 text-sm text-red-400">{errors.max_users}</p>}
+          </div>
+
+          <div>
+            <label htmlFor="series_price_inr" className="block text-sm font-medium text-gray-300 mb-1">Price per Hour (INR) *</label>
+            <input id="series_price_inr" type="number" name="price_inr" min="0" step="1" value={formData.price_inr} onChange={handleChange} className={inputClass('price_inr')} disabled={isSubmitting} />
+            {errors.price_inr && <p className="mt-1 text-sm text-red-400">{errors.price_inr}</p>}
+          </div>
+
+          <div>
+            <label htmlFor="series_start_time" className="block text-sm font-medium text-gray-300 mb-1">Start Time *</label>
+            <input id="series_start_time" type="time" name="start_time" value={formData.start_time} onChange={handleChange} className={inputClass('start_time')} disabled={isSubmitting} />
+            {errors.start_time && <p className="mt-1 text-sm text-red-400">{errors.start_time}</p>}
+          </div>
+
+          <div>
+            <label htmlFor="series_end_time" className="block text-sm font-medium text-gray-300 mb-1">End Time *</label>
+            <input id="series_end_time" type="time" name="end_time" value={formData.end_time} onChange={handleChange} className={inputClass('end_time')} disabled={isSubmitting} />
+            {errors.end_time ? (
+              <p className="mt-1 text-sm text-red-400">{errors.end_time}</p>
+            ) : isOvernight(formData.start_time, formData.end_time) && (
+              <p className="mt-1 text-xs text-purple-300">Ends the next day</p>
+            )}
+          </div>
+        </div>
+
+        <div className="bg-gray-700 p-4 rounded-md border border-gray-600">
+          <h3 className="text-md font-medium text-purple-400 mb-3">Repeat</h3>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label htmlFor="series_recurrence" className="block text-sm font-medium text-gray-300 mb-1">Frequency</label>
+              <select id="series_recurrence" name="recurrence" value={formData.recurrence} onChange={handleChange} className={inputClass('recurrence')} disabled={isSubmitting}>
+                {RECURRENCE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label htmlFor="series_start_date" className="block text-sm font-medium text-gray-300 mb-1">Starts *</label>
+              <input id="series_start_date" type="date" name="start_date" value={formData.start_date} onChange={handleChange} className={inputClass('start_date')} disabled={isSubmitting} />
+              {errors.start_date && <p className="mt-1 text-sm text-red-400">{errors.start_date}</p>}
+            </div>
+
+            <div>
+              <label htmlFor="series_end_date" className="block text-sm font-medium text-gray-300 mb-1">Until (Optional)</label>
+              <input id="series_end_date" type="date" name="end_date" value={formData.end_date} onChange={handleChange} className={inputClass('end_date')} disabled={isSubmitting} />
+              {errors.end_date && <p className="mt-1 text-sm text-red-400">{errors.end_date}</p>}
+            </div>
+          </div>
+
+          {formData.recurrence === 'custom' && (
+            <div className="mt-4">
+              <div className="flex flex-wrap gap-2">
+                {WEEKDAY_LABELS.map((label, weekday) => (
+                  <button
+                    key={label}
+                    type="button"
+                    onClick={() => handleWeekdayToggle(weekday)}
+                    className={`px-3 py-1 text-sm rounded-full border ${
+                      formData.weekdays.includes(weekday)
+                        ? 'bg-purple-600 border-purple-400 text-white'
+                        : 'bg-gray-800 border-gray-600 text-gray-300'
+                    }`}
+                    disabled={isSubmitting}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              {errors.weekdays && <p className="mt-1 text-sm text-red-400">{errors.weekdays}</p>}
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-2 pt-2">
+          {editingSeries && (
+            <button
+              type="button"
+              onClick={handleCancelEdit}
+              className="px-4 py-2 bg-gray-700 text-white rounded-md hover:bg-gray-600 focus:outline-none"
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-purple-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSubmitting ? 'Saving...' : editingSeries ? 'Save Schedule' : 'Create Schedule'}
+          </button>
+        </div>
+      </form>
+
+      {/* Series List */}
+      <div className="mt-8">
+        {isLoading ? (
+          <p className="text-gray-400 text-sm">Loading schedules...</p>
+        ) : seriesList.length === 0 ? (
+          <p className="text-gray-400 text-sm">No recurring schedules yet.</p>
+        ) : (
+          <div className="divide-y divide-gray-700 border border-gray-700 rounded-md">
+            {seriesList.map((series) => (
+              <div key={series.id} className="p-4">
+                <div className="flex flex-wrap justify-between items-center gap-2">
+                  <div>
+                    <div className="flex items-center gap-2">
+                      <span className="font-medium text-gray-100">{series.name}</span>
+                      <span className={`px-2 py-0.5 text-xs rounded-full ${series.is_paused ? 'bg-yellow-900/30 text-yellow-400 border border-yellow-500' : 'bg-green-900/30 text-green-400 border border-green-500'}`}>
+                        {series.is_paused ? 'Paused' : 'Active'}
+                      </span>
+                    </div>
+                    <div className="text-sm text-gray-400 mt-1">
+                      {describeRecurrence(series)}, {toTimeInput(series.session_start_time)} – {toTimeInput(series.session_end_time)}
+                      {' · '}from {series.start_date}{series.end_date ? ` until ${series.end_date}` : ''}
+                    </div>
+                  </div>
+                  <div className="flex space-x-3">
+                    <button onClick={() => handleToggleExpand(series.id)} className="text-gray-300 hover:text-white text-sm font-medium">
+                      {expandedSeriesId === series.id ? 'Hide' : 'Upcoming'}
+                    </button>
+                    <button onClick={() => handleEditClick(series)} className="text-purple-400 hover:text-purple-300 text-sm font-medium">
+                      Edit
+                    </button>
+                    <button onClick={() => handleTogglePause(series)} className="text-yellow-400 hover:text-yellow-300 text-sm font-medium">
+                      {series.is_paused ? 'Resume' : 'Pause'}
+                    </button>
+                  </div>
+                </div>
+
+                {expandedSeriesId === series.id && (
+                  <ul className="mt-3 space-y-1 text-sm">
+                    {occurrences.length === 0 ? (
+                      <li className="text-gray-500">No upcoming rooms.</li>
+                    ) : (
+                      occurrences.map((room) => (
+                        <li key={room.id} className="flex justify-between text-gray-300">
+                          <span>{room.session_date}</span>
+                          <span className={room.series_detached ? 'text-yellow-400' : 'text-gray-500'}>
+                            {room.series_detached ? 'Detached' : 'Follows schedule'}
+                          </span>
+                        </li>
+                      ))
+                    )}
+                  </ul>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default RoomSeriesManager
@@ -0,0 +1,303 @@
+import React, { useState, useEffect } from 'react'
+import { supabase, userSessionService } from '../lib/supabase'
+import RewardAdjustmentForm from './RewardAdjustmentForm'
+import { isSessionIdle } from '../lib/idleSessions'
+
+const END_SESSION_REASON = 'Ended from the session inspector'
+
+// Active sessions first, then most recently updated
+const sortByActivity = (sessions) =>
+  [...sessions].sort((a, b) => {
+    const activeDiff = (b.rewards_left > 0) - (a.rewards_left > 0)
+    if (activeDiff !== 0) return activeDiff
+    return new Date(b.last_updated || 0) - new Date(a.last_updated || 0)
+  })
+
+// "just now", "4m ago", "2h ago", or a date for anything older than a day
+const formatLastActive = (timestamp) => {
+  if (!timestamp) return '—'
+
+  const minutes = Math.floor((Date.now() - new Date(timestamp)) / 60000)
+  if (minutes < 1) return 'just now'
+  if (minutes < 60) return `${minutes}m ago`
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`
+  return new Date(timestamp).toLocaleDateString('en-IN', { dateStyle: 'medium' })
+}
+
+// Live list of one room's user_sessions, shown when a room is expanded in RoomList
+const RoomSessionsPanel = ({ room, rooms, idleMinutes }) => {
+  const [sessions, setSessions] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [busySessionId, setBusySessionId] = useState(null)
+  const [movingSessionId, setMovingSessionId] = useState(null)
+  const [moveTargetId, setMoveTargetId] = useState('')
+  const [adjustingSessionId, setAdjustingSessionId] = useState(null)
+
+  const otherRooms = rooms.filter(other => other.id !== room.id)
+
+  useEffect(() => {
+    loadSessions()
+
+    // Unfiltered on purpose: sessions moved out of this room and deleted
+    // sessions only match on the client, since postgres_changes filters
+    // apply to the new row and are not applied to deletes.
+    const sessionSubscription = supabase
+      .channel('sessions-changes')
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'user_sessions'
+        },
+        (payload) => {
+          if (payload.eventType === 'DELETE') {
+            setSessions((prev) => prev.filter((session) => session.id !== payload.old.id))
+            return
+          }
+
+          const session = payload.new
+          setSessions((prev) => {
+            const others = prev.filter((existing) => existing.id !== session.id)
+            return session.room_id === room.id ? sortByActivity([session, ...others]) : others
+          })
+        }
+      )
+      .subscribe()
+
+    return () => {
+      supabase.removeChannel(sessionSubscription)
+    }
+  }, [room.id])
+
+  const loadSessions = async () => {
+    setIsLoading(true)
+    setError(null)
+
+    const { data, error } = await userSessionService.getRoomSessions(room.id)
+
+    if (error) {
+      setError('Failed to load sessions')
+    } else {
+      setSessions(sortByActivity(data || []))
+    }
+
+    setIsLoading(false)
+  }
+
+  // Run a session action and apply the returned row without waiting for realtime
+  const runAction = async (sessionId, action, failureMessage) => {
+    setBusySessionId(sessionId)
+    setError(null)
+
+    const { data, error } = await action()
+    setBusySessionId(null)
+
+    if (error) {
+      setError(`${failureMessage}: ${error}`)
+      return false
+    }
+
+    const updated = data?.[0]
+    if (updated) {
+      setSessions((prev) => {
+        const others = prev.filter((session) => session.id !== updated.id)
+        return updated.room_id === room.id ? sortByActivity([updated, ...others]) : others
+      })
+    }
+    return true
+  }
+
+  // Ending a session is a reward reset to 0, so it is logged with a reason like any other adjustment
+  const handleEnd = async (session) => {
+    const reason = window.prompt(
+      `End ${session.username}'s session? Their remaining rewards will be cleared.\n\nReason:`,
+      END_SESSION_REASON
+    )
+    if (reason === null) return
+
+    setBusySessionId(session.id)
+    setError(null)
+
+    const { data, error } = await userSessionService.endSession(session.id, reason.trim() || END_SESSION_REASON)
+    setBusySessionId(null)
+
+    if (error) {
+      setError(`Failed to end session: ${error}`)
+      return
+    }
+
+    handleAdjusted(data)
+  }
+
+  const handleFlag = (session) => {
+    if (session.flagged) {
+      runAction(session.id, () => userSessionService.setFlag(session.id, false), 'Failed to clear flag')
+      return
+    }
+
+    const reason = window.prompt(`Why are you flagging ${session.username}? (optional)`)
+    if (reason === null) return
+    runAction(session.id, () => userSessionService.setFlag(session.id, true, reason.trim() || null), 'Failed to flag session')
+  }
+
+  const handleStartMove = (session) => {
+    setMovingSessionId(session.id)
+    setMoveTargetId(otherRooms.find(other => other.current_users < other.max_users)?.id || '')
+  }
+
+  const handleConfirmMove = async (session) => {
+    const target = otherRooms.find(other => other.id === moveTargetId)
+    if (!target) return
+
+    // Quick check against the loaded count; move_user_session enforces it on the server
+    if (target.current_users >= target.max_users) {
+      setError(`${target.name} is full`)
+      return
+    }
+
+    const moved = await runAction(session.id, () => userSessionService.moveSession(session.id, target.id), 'Failed to move session')
+    if (moved) setMovingSessionId(null)
+  }
+
+  // The RPC returns the adjustment record; apply its result until the realtime update lands
+  const handleAdjusted = (adjustment) => {
+    setSessions((prev) => sortByActivity(prev.map((session) =>
+      session.id === adjustment.session_id ? { ...session, rewards_left: adjustment.new_rewards } : session
+    )))
+    setAdjustingSessionId(null)
+  }
+
+  const activeCount = sessions.filter(session => session.rewards_left > 0).length
+
+  return (
+    <div className="bg-gray-900/60 border border-gray-700 rounded-md p-4">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-sm font-medium text-purple-300">
+          Sessions · {activeCount} active of {sessions.length}
+        </h3>
+        <button onClick={loadSessions} disabled={isLoading} className="text-xs text-purple-400 hover:text-purple-300 disabled:opacity-50">
+          {isLoading ? 'Loading...' : 'Reload'}
+        </button>
+      </div>
+
+      {error && <p className="mb-3 text-xs text-red-400">{error}</p>}
+
+      {!isLoading && sessions.length === 0 ? (
+        <p className="text-sm text-gray-400">No sessions in this room yet.</p>
+      ) : (
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-400 uppercase">
+              <th className="py-1 pr-4 font-medium">User</th>
+              <th className="py-1 pr-4 font-medium">Rewards Left</th>
+              <th className="py-1 pr-4 font-medium">Last Active</th>
+              <th className="py-1 font-medium">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-800">
+            {sessions.map((session) => {
+              const isActive = session.rewards_left > 0
+              const isBusy = busySessionId === session.id
+
+              return (
+                <React.Fragment key={session.id}>
+                <tr className={isActive ? '' : 'text-gray-500'}>
+                  <td className="py-2 pr-4">
+                    <span className={isActive ? 'text-gray-100' : ''}>{session.username}</span>
+                    {isSessionIdle(session, idleMinutes) && (
+                      <span className="ml-2 px-1.5 py-0.5 text-xs rounded bg-yellow-900/40 text-yellow-300">Idle</span>
+                    )}
+                    {session.flagged && (
+                      <span className="ml-2 px-1.5 py-0.5 text-xs rounded bg-red-900/40 text-red-300" title={session.flag_reason || ''}>
+                        Flagged{session.flag_reason && `: ${session.flag_reason}`}
+                      </span>
+                    )}
+                  </td>
+                  <td className="py-2 pr-4">{session.rewards_left}</td>
+                  <td className="py-2 pr-4 whitespace-nowrap">{formatLastActive(session.last_updated)}</td>
+                  <td className="py-2 whitespace-nowrap">
+                    {movingSessionId === session.id ? (
+                      <div className="flex items-center space-x-2">
+                        <select
+                          value={moveTargetId}
+                          onChange={(e) => setMoveTargetId(e.target.value)}
+                          className="px-2 py-1 bg-gray-700 border border-gray-600 rounded text-gray-100 text-xs"
+                        >
+                          <option value="">Choose room</option>
+                          {otherRooms.map(other => (
+                            <option key={other.id} value={other.id} disabled={other.current_users >= other.max_users}>
+                              {other.name} ({other.current_users || 0}/{other.max_users})
+                            </option>
+                          ))}
+                        </select>
+                        <button
+                          onClick={() => handleConfirmMove(session)}
+                          disabled={isBusy || !moveTargetId}
+                          className="text-green-400 hover:text-green-300 text-xs font-medium disabled:opacity-50"
+                        >
+                          Move
+                        </button>
+                        <button onClick={() => setMovingSessionId(null)} className="text-gray-400 hover:text-gray-300 text-xs font-medium">
+                          Cancel
+                        </button>
+                      </div>
+                    ) : (
+                      <div className="flex space-x-3">
+                        {isActive && (
+                          <button
+                            onClick={() => handleEnd(session)}
+                            disabled={isBusy}
+                            className="text-red-400 hover:text-red-300 text-xs font-medium disabled:opacity-50"
+                          >
+                            End
+                          </button>
+                        )}
+                        <button
+                          onClick={() => setAdjustingSessionId(adjustingSessionId === session.id ? null : session.id)}
+                          disabled={isBusy}
+                          className="text-purple-400 hover:text-purple-300 text-xs font-medium disabled:opacity-50"
+                        >
+                          Rewards
+                        </button>
+                        <button
+                          onClick={() => handleStartMove(session)}
+                          disabled={isBusy || otherRooms.length === 0}
+                          className="text-blue-400 hover:text-blue-300 text-xs font-medium disabled:opacity-50"
+                        >
+                          Move
+                        </button>
+                        <button
+                          onClick={() => handleFlag(session)}
+                          disabled={isBusy}
+                          className="text-yellow-400 hover:text-yellow-300 text-xs font-medium disabled:opacity-50"
+                        >
+                          {session.flagged ? 'Unflag' : 'Flag'}
+                        </button>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+                {adjustingSessionId === session.id && (
+                  <tr>
+                    <td colSpan={4} className="pb-2">
+                      <RewardAdjustmentForm
+                        session={session}
+                        onAdjusted={handleAdjusted}
+                        onCancel={() => setAdjustingSessionId(null)}
+                      />
+                    </td>
+                  </tr>
+                )}
+                </React.Fragment>
+              )
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
+
+export default RoomSessionsPanel
@@ -0,0 +1,172 @@
+import React, { useState, useEffect } from 'react'
+import { userSessionService } from '../lib/supabase'
+import { IDLE_THRESHOLD_OPTIONS, getIdleCutoff } from '../lib/idleSessions'
+
+// Reloaded every minute: sessions cross the threshold without any row changing
+const REFRESH_INTERVAL_MS = 60000
+
+const formatIdleFor = (timestamp) => {
+  const minutes = Math.floor((Date.now() - new Date(timestamp)) / 60000)
+  if (minutes < 60) return `${minutes}m`
+  const hours = Math.floor(minutes / 60)
+  return hours < 24 ? `${hours}h ${minutes % 60}m` : `${Math.floor(hours / 24)}d ${hours % 24}h`
+}
+
+// Group stale sessions by room, busiest room first
+const groupByRoom = (sessions) => {
+  const groups = new Map()
+
+  for (const session of sessions) {
+    if (!groups.has(session.room_id)) {
+      groups.set(session.room_id, {
+        roomId: session.room_id,
+        roomName: session.rooms?.name || 'Unknown room',
+        archived: Boolean(session.rooms?.archived_at),
+        sessions: []
+      })
+    }
+    groups.get(session.room_id).sessions.push(session)
+  }
+
+  return [...groups.values()].sort((a, b) => b.sessions.length - a.sessions.length)
+}
+
+// Automatic expiry runs in the database (run_scheduled_idle_expiry); this panel
+// lists what is idle now and edits the shared threshold.
+const StaleSessions = ({ settings, onUpdateSettings, onNotify }) => {
+  const [sessions, setSessions] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [expiringRoomId, setExpiringRoomId] = useState(null) // 'all' while expiring every room
+  const [error, setError] = useState(null)
+
+  const groups = groupByRoom(sessions)
+
+  useEffect(() => {
+    loadStaleSessions()
+
+    const refreshInterval = setInterval(loadStaleSessions, REFRESH_INTERVAL_MS)
+    return () => clearInterval(refreshInterval)
+  }, [settings.idle_minutes])
+
+  const loadStaleSessions = async () => {
+    setError(null)
+
+    const { data, error } = await userSessionService.getStaleSessions(getIdleCutoff(settings.idle_minutes))
+
+    if (error) {
+      setError('Failed to load idle sessions')
+    } else {
+      setSessions(data || [])
+    }
+
+    setIsLoading(false)
+  }
+
+  // Expire one room's idle sessions, or every room's when roomId is null
+  const handleExpire = async (roomId = null) => {
+    const count = roomId ? groups.find(group => group.roomId === roomId)?.sessions.length : sessions.length
+    if (!window.confirm(`Expire ${count} idle ${count === 1 ? 'session' : 'sessions'}? Their remaining rewards will be reset to 0.`)) return
+
+    setExpiringRoomId(roomId || 'all')
+    const { data, error } = await userSessionService.expireIdleSessions(settings.idle_minutes, roomId)
+    setExpiringRoomId(null)
+
+    if (error) {
+      onNotify('❌ Failed to expire idle sessions', 'error')
+      return
+    }
+
+    onNotify(`✅ Expired ${data?.length || 0} idle sessions`, 'success')
+    loadStaleSessions()
+  }
+
+  return (
+    <div className="card mt-8 bg-gray-800 text-gray-100 border border-purple-700 rounded-lg shadow-lg">
+      <div className="px-6 py-4 border-b border-gray-600 flex flex-wrap justify-between items-end gap-4">
+        <div>
+          <h2 className="text-xl font-semibold text-purple-400">Idle Sessions</h2>
+          <p className="text-sm text-gray-400 mt-1">
+            Sessions with rewards left that haven't been active for {IDLE_THRESHOLD_OPTIONS.find(option => option.value === settings.idle_minutes)?.label || `${settings.idle_minutes} minutes`}
+          </p>
+        </div>
+
+        <div className="flex flex-wrap items-end gap-3">
+          <div>
+            <label htmlFor="idle_threshold" className="block text-xs font-medium text-gray-400 mb-1">Idle after</label>
+            <select
+              id="idle_threshold"
+              value={settings.idle_minutes}
+              onChange={(e) => onUpdateSettings({ idle_minutes: parseInt(e.target.value, 10) })}
+              className="px-3 py-1.5 bg-gray-700 border border-gray-600 rounded-md text-gray-100 text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+            >
+              {IDLE_THRESHOLD_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <label className="flex items-center gap-2 py-1.5 text-sm text-gray-300">
+            <input
+              type="checkbox"
+              checked={settings.auto_expire}
+              onChange={(e) => onUpdateSettings({ auto_expire: e.target.checked })}
+              className="rounded border-gray-600 bg-gray-700 text-purple-600 focus:ring-purple-500"
+            />
+            Expire automatically
+          </label>
+          <button
+            onClick={() => handleExpire()}
+            disabled={expiringRoomId !== null || sessions.length === 0}
+            className="px-3 py-1.5 bg-purple-600 text-white text-sm rounded-md hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {expiringRoomId === 'all' ? 'Expiring...' : `Expire all (${sessions.length})`}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mx-6 mt-4 p-3 bg-red-900/30 border border-red-500 rounded text-sm text-red-400">{error}</div>
+      )}
+
+      <div className="px-6 py-4">
+        {isLoading ? (
+          <p className="text-sm text-gray-400">Checking for idle sessions...</p>
+        ) : groups.length === 0 ? (
+          <p className="text-sm text-gray-400">No idle sessions.</p>
+        ) : (
+          <div className="space-y-4">
+            {groups.map(group => (
+              <div key={group.roomId} className="border border-gray-700 rounded-md">
+                <div className="px-4 py-2 bg-gray-700/50 flex justify-between items-center">
+                  <span className="text-sm font-medium text-gray-100">
+                    {group.roomName}
+                    {group.archived && <span className="text-xs text-gray-400"> · Archived</span>}
+                    <span className="text-gray-400 font-normal"> · {group.sessions.length} idle</span>
+                  </span>
+                  <button
+                    onClick={() => handleExpire(group.roomId)}
+                    disabled={expiringRoomId !== null}
+                    className="text-red-400 hover:text-red-300 text-sm font-medium disabled:opacity-50"
+                  >
+                    {expiringRoomId === group.roomId ? 'Expiring...' : 'Expire'}
+                  </button>
+                </div>
+                <ul className="divide-y divide-gray-700 text-sm">
+                  {group.sessions.map(session => (
+                    <li key={session.id} className="px-4 py-2 flex justify-between text-gray-300">
+                      <span>{session.username}</span>
+                      <span className="text-gray-400">
+                        {session.rewards_left} rewards · idle {formatIdleFor(session.last_updated)}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default StaleSessions
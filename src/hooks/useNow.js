@@ -0,0 +1,16 @@
+import { useState, useEffect } from 'react'
+
+// Current time, refreshed every `intervalMs` so time-based UI (room status,
+// countdowns) updates without waiting for a data change.
+const useNow = (intervalMs = 30000) => {
+  const [now, setNow] = useState(() => new Date())
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), intervalMs)
+    return () => clearInterval(timer)
+  }, [intervalMs])
+
+  return now
+}
+
+export default useNow
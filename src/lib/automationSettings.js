@@ -0,0 +1,11 @@
+// Settings of the scheduled database jobs, shared by every admin: the single
+// automation_settings row (see supabase/migrations). The admin panel loads it
+// once and passes it to the panels that edit it; these defaults match the
+// column defaults and are shown until the row has loaded.
+export const DEFAULT_AUTOMATION_SETTINGS = {
+  reconcile_minutes: 0,
+  idle_minutes: 30,
+  auto_expire: false,
+  grace_minutes: 15,
+  auto_close: false
+}
@@ -0,0 +1,33 @@
+// End-of-session close-out. After a room's session ends and the grace period
+// (automation_settings.grace_minutes) passes, its remaining sessions are ended
+// and a summary is recorded. close_out_room enforces the grace period and the
+// database closes rooms out on its own when auto_close is on; these helpers
+// only decide which rooms the panel lists as due.
+import { getSessionWindow } from './schedule'
+
+export const GRACE_PERIOD_OPTIONS = [
+  { value: 0, label: 'No grace period' },
+  { value: 5, label: '5 minutes' },
+  { value: 15, label: '15 minutes' },
+  { value: 30, label: '30 minutes' },
+  { value: 60, label: '1 hour' }
+]
+
+// Minutes offered by the Extend action in the room list
+export const EXTEND_OPTIONS = [15, 30, 60]
+
+// How far back to look for rooms that were never closed out (run_scheduled_closeouts uses the same)
+export const CLOSEOUT_LOOKBACK_DAYS = 7
+
+// When the room becomes due for close-out, or null when it has no valid session window
+export const getCloseOutDueAt = (room, graceMinutes) => {
+  const window = getSessionWindow(room)
+  return window ? new Date(window.end.getTime() + graceMinutes * 60000) : null
+}
+
+// Whether the room has ended, its grace period is over and it hasn't been closed out yet
+export const isCloseOutDue = (room, graceMinutes, now = new Date()) => {
+  if (room.closed_out_at || room.archived_at) return false
+  const dueAt = getCloseOutDueAt(room, graceMinutes)
+  return Boolean(dueAt) && now >= dueAt
+}
@@ -0,0 +1,92 @@
+// Minimal CSV reading and writing (RFC 4180 quoting) for imports and exports.
+
+// Parse CSV text into an array of rows, each an array of cell strings
+export const parseCsv = (text) => {
+  const rows = []
+  let row = []
+  let cell = ''
+  let inQuotes = false
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        cell += char
+      }
+      continue
+    }
+
+    if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell)
+    rows.push(row)
+  }
+
+  // Ignore blank lines
+  return rows.filter(cells => cells.some(value => value.trim() !== ''))
+}
+
+// Parse CSV text with a header row into objects keyed by lower-cased header names
+export const parseCsvObjects = (text) => {
+  const [header = [], ...rows] = parseCsv(text)
+  const keys = header.map(name => name.trim().toLowerCase())
+
+  return rows.map(cells =>
+    keys.reduce((record, key, index) => {
+      record[key] = (cells[index] ?? '').trim()
+      return record
+    }, {})
+  )
+}
+
+const escapeCell = (value) => {
+  const str = value === null || value === undefined ? '' : String(value)
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str
+}
+
+// Build CSV text from objects; columns is a list of { key, header } or plain keys
+export const toCsv = (records, columns) => {
+  const normalized = columns.map(column => (typeof column === 'string' ? { key: column, header: column } : column))
+  const lines = [
+    normalized.map(column => escapeCell(column.header)).join(','),
+    ...records.map(record => normalized.map(column => escapeCell(record[column.key])).join(','))
+  ]
+  return lines.join('\r\n')
+}
+
+// Offer CSV text to the browser as a file download
+export const downloadCsv = (filename, csvText) => {
+  const blob = new Blob([csvText], { type: 'text/csv;charset=utf-8;' })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  URL.revokeObjectURL(url)
+}
@@ -0,0 +1,21 @@
+// Idle session rules shared by the stale session list and the session inspector.
+// The threshold itself is automation_settings.idle_minutes, which the scheduled
+// expiry job uses too (see supabase/migrations/*_scheduled_idle_expiry.sql).
+
+export const IDLE_THRESHOLD_OPTIONS = [
+  { value: 15, label: '15 minutes' },
+  { value: 30, label: '30 minutes' },
+  { value: 60, label: '1 hour' },
+  { value: 120, label: '2 hours' },
+  { value: 240, label: '4 hours' }
+]
+
+// A session is idle when it still has rewards but hasn't been updated within the threshold
+export const isSessionIdle = (session, idleMinutes, now = new Date()) =>
+  session.rewards_left > 0 &&
+  Boolean(session.last_updated) &&
+  now - new Date(session.last_updated) > idleMinutes * 60000
+
+// Cut-off timestamp for server-side queries
+export const getIdleCutoff = (idleMinutes, now = new Date()) =>
+  new Date(now.getTime() - idleMinutes * 60000).toISOString()
@@ -0,0 +1,64 @@
+// Shaping occupancy samples for the timeline and heatmap charts.
+
+// Step points for a room's occupancy over its session window.
+// `samples` are ordered by sampled_at and may start before the window; the last
+// one before the window gives the starting value. The line stops at `now` for
+// sessions still running.
+export const getTimelinePoints = (samples, window, now = new Date()) => {
+  const end = now < window.end ? now : window.end
+  if (end <= window.start) return []
+
+  let users = 0
+  const points = []
+
+  for (const sample of samples) {
+    const time = new Date(sample.sampled_at)
+    if (time <= window.start) {
+      users = sample.current_users
+      continue
+    }
+    if (time > end) break
+
+    if (points.length === 0) points.push({ time: window.start, users })
+    users = sample.current_users
+    points.push({ time, users })
+  }
+
+  if (points.length === 0) points.push({ time: window.start, users })
+  points.push({ time: end, users })
+  return points
+}
+
+// Highest occupancy in a list of step points (the first time it was reached)
+export const getPeakPoint = (points) =>
+  points.reduce((peak, point) => (!peak || point.users > peak.users ? point : peak), null)
+
+// SVG path for step points, scaled into a width × height box
+export const getStepPath = (points, window, maxValue, width, height) => {
+  if (points.length === 0 || maxValue <= 0) return ''
+
+  const span = window.end - window.start
+  const x = (time) => ((time - window.start) / span) * width
+  const y = (users) => height - (Math.min(users, maxValue) / maxValue) * height
+
+  return points.reduce((path, point, index) => {
+    if (index === 0) return `M ${x(point.time)} ${y(point.users)}`
+    const previous = points[index - 1]
+    return `${path} L ${x(point.time)} ${y(previous.users)} L ${x(point.time)} ${y(point.users)}`
+  }, '')
+}
+
+// 7 × 24 grid (weekday 0 = Sunday, hour 0–23) from get_occupancy_heatmap rows; empty cells are null
+export const buildHeatmapGrid = (rows) => {
+  const grid = Array.from({ length: 7 }, () => Array(24).fill(null))
+
+  for (const row of rows) {
+    grid[row.weekday][row.hour] = {
+      peakUsers: row.peak_users,
+      peakPercent: row.peak_percent === null ? null : Number(row.peak_percent),
+      samples: row.sample_count
+    }
+  }
+
+  return grid
+}
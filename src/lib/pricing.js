@@ -0,0 +1,75 @@
+// Effective room price from the base price_inr and the active pricing rules.
+// Rule types and columns are described in supabase/migrations/*_pricing_rules.sql.
+import { getBusinessClock, getSessionWindow, toTimeInput } from './schedule'
+import { WEEKDAY_LABELS } from './roomSeries'
+
+export const RULE_TYPE_OPTIONS = [
+  { value: 'time_window', label: 'Time window (peak hours, weekends)' },
+  { value: 'early_bird', label: 'Early bird' },
+  { value: 'occupancy', label: 'Occupancy step' }
+]
+
+// Whether an HH:MM time falls in [start, end); windows may wrap past midnight
+export const isInTimeWindow = (time, start, end) => {
+  const from = toTimeInput(start)
+  const to = toTimeInput(end)
+  return from <= to ? time >= from && time < to : time >= from || time < to
+}
+
+// Whether a rule applies to a user joining the room at `at` with `currentUsers` already in it
+const ruleApplies = (rule, room, at, currentUsers) => {
+  if (!rule.is_active) return false
+
+  if (rule.rule_type === 'time_window') {
+    const clock = getBusinessClock(at)
+    if (rule.weekdays?.length > 0 && !rule.weekdays.includes(clock.weekday)) return false
+    return isInTimeWindow(clock.time, rule.start_time, rule.end_time)
+  }
+
+  if (rule.rule_type === 'early_bird') {
+    const window = getSessionWindow(room)
+    return Boolean(window) && window.start - at >= rule.minutes_before_start * 60000
+  }
+
+  if (rule.rule_type === 'occupancy') {
+    return room.max_users > 0 && (currentUsers / room.max_users) * 100 >= rule.occupancy_percent
+  }
+
+  return false
+}
+
+// Rupee amount a rule adds to (or, when negative, takes off) the base price
+const getRuleAmount = (rule, basePrice) =>
+  rule.adjustment_type === 'percent'
+    ? (basePrice * Number(rule.adjustment_value)) / 100
+    : Number(rule.adjustment_value)
+
+// Price a user would pay to join `room` at `at`. Every matching rule is applied
+// to the base price (rules don't compound) and the result is rounded to a whole
+// rupee, never below 0. Returns { basePrice, price, applied: [{ rule, amount }] }.
+export const computeEffectivePrice = (room, rules, { at = new Date(), currentUsers = room.current_users || 0 } = {}) => {
+  const basePrice = Number(room.price_inr) || 0
+
+  const applied = (rules || [])
+    .filter(rule => ruleApplies(rule, room, at, currentUsers))
+    .map(rule => ({ rule, amount: getRuleAmount(rule, basePrice) }))
+
+  const total = applied.reduce((sum, { amount }) => sum + amount, basePrice)
+  return { basePrice, price: Math.max(0, Math.round(total)), applied }
+}
+
+// Short description of when a rule applies, e.g. "Sat, Sun 18:00–23:00"
+export const describeRule = (rule) => {
+  const adjustment = rule.adjustment_type === 'percent'
+    ? `${rule.adjustment_value > 0 ? '+' : ''}${Number(rule.adjustment_value)}%`
+    : `${rule.adjustment_value > 0 ? '+' : '−'}₹${Math.abs(Number(rule.adjustment_value))}`
+
+  if (rule.rule_type === 'time_window') {
+    const days = rule.weekdays?.length > 0 ? rule.weekdays.map(day => WEEKDAY_LABELS[day]).join(', ') : 'Every day'
+    return `${adjustment} · ${days} ${toTimeInput(rule.start_time)}–${toTimeInput(rule.end_time)}`
+  }
+  if (rule.rule_type === 'early_bird') {
+    return `${adjustment} · joining ${rule.minutes_before_start}+ min before start`
+  }
+  return `${adjustment} · from ${rule.occupancy_percent}% full`
+}
@@ -0,0 +1,115 @@
+// Promo code redemption stats from promo_redemption_details rows (one row per
+// redemption, see supabase/migrations). Counts, revenue and rooms cover the
+// loaded range; remaining uses come from the code's total_uses, the same
+// counter redeem_promo_code checks.
+import { addDays, getBusinessDate, getDaysBetween, zonedTimeToDate } from './schedule'
+
+export const PROMO_RANGES = [
+  { days: 30, label: 'Last 30 days' },
+  { days: 90, label: 'Last 90 days' },
+  { days: 0, label: 'All time' }
+]
+
+// First business date of a range, or null for all time
+export const getRangeStartDate = (rangeDays, now = new Date()) =>
+  rangeDays ? addDays(getBusinessDate(now), -(rangeDays - 1)) : null
+
+// Timestamp to load redemptions from: midnight (business time) at the start of the range
+export const getRangeStartTimestamp = (rangeDays, now = new Date()) => {
+  const startDate = getRangeStartDate(rangeDays, now)
+  return startDate ? zonedTimeToDate(startDate, '00:00').toISOString() : null
+}
+
+// The redemption rate is taken over this many days
+export const FORECAST_WINDOW_DAYS = 7
+
+// Warn when a code will run out within this many days at its recent rate,
+// or has this share of its uses (or fewer) left
+export const EXHAUSTED_SOON_DAYS = 3
+export const EXHAUSTED_SOON_SHARE = 0.1
+
+export const getRemainingUses = (promoCode) =>
+  Math.max((promoCode.max_uses || 0) - (promoCode.total_uses || 0), 0)
+
+export const isPromoCodeExpired = (promoCode, now = new Date()) =>
+  Boolean(promoCode.expiry_date) && new Date(promoCode.expiry_date) <= now
+
+// { perDay, daysLeft, exhaustedSoon } for a code with `recentCount` redemptions in the forecast window.
+// daysLeft is null when the code hasn't been used recently.
+export const getExhaustionForecast = (promoCode, recentCount, now = new Date()) => {
+  const remaining = getRemainingUses(promoCode)
+  const perDay = recentCount / FORECAST_WINDOW_DAYS
+  const daysLeft = perDay > 0 ? remaining / perDay : null
+
+  // Codes that already stopped working get the Expired badge instead
+  const usable = remaining > 0 && !isPromoCodeExpired(promoCode, now)
+  const exhaustedSoon = usable && (
+    (daysLeft !== null && daysLeft <= EXHAUSTED_SOON_DAYS) ||
+    remaining <= Math.floor(promoCode.max_uses * EXHAUSTED_SOON_SHARE)
+  )
+
+  return { perDay, daysLeft, exhaustedSoon }
+}
+
+const emptyStats = () => ({ redemptions: 0, recent: 0, gross: 0, discount: 0, net: 0, lastRedeemedAt: null, rooms: new Map() })
+
+// Per-code stats keyed by promo code id. Redemptions of deleted codes are left out.
+export const summarizePromoCodes = (promoCodes, redemptions, now = new Date()) => {
+  const recentSince = new Date(now.getTime() - FORECAST_WINDOW_DAYS * 24 * 60 * 60000)
+  const stats = new Map(promoCodes.map(code => [code.id, emptyStats()]))
+
+  for (const row of redemptions) {
+    const codeStats = stats.get(row.promo_code_id)
+    if (!codeStats) continue
+
+    const redeemedAt = new Date(row.redeemed_at)
+    codeStats.redemptions += 1
+    if (redeemedAt >= recentSince) codeStats.recent += 1
+    codeStats.gross += Number(row.gross_inr) || 0
+    codeStats.discount += Number(row.discount_inr) || 0
+    codeStats.net += Number(row.net_inr) || 0
+    if (!codeStats.lastRedeemedAt || redeemedAt > codeStats.lastRedeemedAt) codeStats.lastRedeemedAt = redeemedAt
+
+    // Sessions of deleted rooms have no room left to show
+    const roomKey = row.room_id || 'deleted'
+    if (!codeStats.rooms.has(roomKey)) {
+      codeStats.rooms.set(roomKey, { key: roomKey, label: row.room_name || 'Deleted room', count: 0 })
+    }
+    codeStats.rooms.get(roomKey).count += 1
+  }
+
+  for (const code of promoCodes) {
+    const codeStats = stats.get(code.id)
+    codeStats.rooms = [...codeStats.rooms.values()].sort((a, b) => b.count - a.count)
+    codeStats.remaining = getRemainingUses(code)
+    Object.assign(codeStats, getExhaustionForecast(code, codeStats.recent, now))
+  }
+
+  return stats
+}
+
+// Redemptions per business day from fromDate to toDate (inclusive), oldest first.
+// Pass a promo code id to count only that code.
+export const getDailyRedemptions = (redemptions, fromDate, toDate, promoCodeId = null) => {
+  const days = getDaysBetween(fromDate, toDate) + 1
+  if (days <= 0) return []
+
+  const counts = new Map()
+  for (const row of redemptions) {
+    if (promoCodeId && row.promo_code_id !== promoCodeId) continue
+    const date = getBusinessDate(new Date(row.redeemed_at))
+    counts.set(date, (counts.get(date) || 0) + 1)
+  }
+
+  return Array.from({ length: days }, (_, index) => {
+    const date = addDays(fromDate, index)
+    return { date, count: counts.get(date) || 0 }
+  })
+}
+
+// "about 2 days", "under a day"
+export const formatDaysLeft = (daysLeft) => {
+  if (daysLeft < 1) return 'under a day'
+  const days = Math.floor(daysLeft)
+  return `about ${days} ${days === 1 ? 'day' : 'days'}`
+}
@@ -0,0 +1,109 @@
+// Bulk promo code generation for campaigns: a prefix plus a random suffix,
+// single use by default. Codes are generated in the browser, checked against
+// promo_codes and inserted in batches (see PromoCodeBatchGenerator).
+import { toCsv } from './csv'
+import { getBusinessDate } from './schedule'
+import { validatePromoDiscount, buildPromoDiscountPayload } from './promoDiscounts'
+
+// Same rule as codes typed into the promo code form
+export const PROMO_CODE_PATTERN = /^[A-Z0-9_]+$/
+
+// No 0/O or 1/I, so codes can be read out and typed back without mistakes.
+// 32 characters, so a random byte maps onto it without bias.
+export const SUFFIX_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+
+export const MAX_BATCH_COUNT = 1000
+export const MIN_SUFFIX_LENGTH = 4
+export const MAX_SUFFIX_LENGTH = 12
+
+// Rows per insert request
+export const INSERT_BATCH_SIZE = 100
+
+// Keep the random space at least this many times the batch, so clashes stay rare
+const SUFFIX_SPACE_FACTOR = 100
+
+export const getEmptyBatchForm = () => ({
+  prefix: '',
+  count: 100,
+  suffix_length: 6,
+  influencer_id: '',
+  discount_type: 'flat',
+  discount_amount: 20,
+  max_discount_inr: '',
+  min_price_inr: '',
+  max_uses: 1,
+  expiry_date: ''
+})
+
+// Validate the generator form; returns field → error message. Discounts follow the
+// single promo code form. A code can expire today (it is valid through that day).
+export const validateBatchForm = (values, today = getBusinessDate()) => {
+  const errors = { ...validatePromoDiscount(values) }
+  const count = parseInt(values.count, 10)
+  const suffixLength = parseInt(values.suffix_length, 10)
+
+  if (values.prefix && !PROMO_CODE_PATTERN.test(values.prefix)) {
+    errors.prefix = 'Prefix should contain only uppercase letters, numbers, and underscores'
+  }
+
+  if (!(count >= 1 && count <= MAX_BATCH_COUNT)) {
+    errors.count = `Generate between 1 and ${MAX_BATCH_COUNT} codes at a time`
+  }
+
+  if (!(suffixLength >= MIN_SUFFIX_LENGTH && suffixLength <= MAX_SUFFIX_LENGTH)) {
+    errors.suffix_length = `Suffix length must be between ${MIN_SUFFIX_LENGTH} and ${MAX_SUFFIX_LENGTH}`
+  } else if (!errors.count && SUFFIX_ALPHABET.length ** suffixLength < count * SUFFIX_SPACE_FACTOR) {
+    errors.suffix_length = `A ${suffixLength}-character suffix is too short for ${count} codes`
+  }
+
+  if (!values.influencer_id.trim()) {
+    errors.influencer_id = 'Influencer ID is required'
+  }
+
+  if (!(parseInt(values.max_uses, 10) >= 1)) {
+    errors.max_uses = 'Maximum uses must be at least 1'
+  }
+
+  if (values.expiry_date && values.expiry_date < today) {
+    errors.expiry_date = 'Expiry date cannot be in the past'
+  }
+
+  return errors
+}
+
+const randomSuffix = (length) => {
+  const bytes = new Uint8Array(length)
+  crypto.getRandomValues(bytes)
+  return Array.from(bytes, byte => SUFFIX_ALPHABET[byte % SUFFIX_ALPHABET.length]).join('')
+}
+
+// `count` new codes that aren't in `taken`. Adds them to `taken` as it goes.
+export const generateCodes = (prefix, count, suffixLength, taken = new Set()) => {
+  const codes = []
+
+  while (codes.length < count) {
+    const code = `${prefix}${randomSuffix(suffixLength)}`
+    if (taken.has(code)) continue
+    taken.add(code)
+    codes.push(code)
+  }
+
+  return codes
+}
+
+// promo_codes rows for generated codes
+export const buildBatchRows = (codes, values) =>
+  codes.map(code => {
+    const row = {
+      code,
+      influencer_id: values.influencer_id.trim(),
+      ...buildPromoDiscountPayload(values),
+      max_uses: parseInt(values.max_uses, 10)
+    }
+    if (values.expiry_date) row.expiry_date = values.expiry_date
+    return row
+  })
+
+export const PROMO_BATCH_CSV_COLUMNS = ['code', 'influencer_id', 'discount_type', 'discount_amount', 'max_discount_inr', 'min_price_inr', 'max_uses', 'expiry_date']
+
+export const promoCodesToCsv = (rows) => toCsv(rows, PROMO_BATCH_CSV_COLUMNS)
@@ -0,0 +1,53 @@
+// Promo code discounts: a flat rupee amount or a percentage of the price the
+// session was charged (the room's price after pricing rules), optionally capped
+// and limited to sessions from a minimum price. redeem_promo_code works out the
+// rupees taken off (see supabase/migrations/*_promo_discount_on_charged_price.sql).
+import { formatInr } from './revenue'
+
+export const DISCOUNT_TYPE_OPTIONS = [
+  { value: 'flat', label: 'Flat amount (₹)' },
+  { value: 'percent', label: 'Percentage (%)' }
+]
+
+const toAmount = (value) => (value === null || value === undefined || value === '' ? null : Number(value))
+
+// "₹20 off", "15% off, up to ₹100"
+export const formatPromoDiscount = (promoCode) => {
+  if (promoCode.discount_type !== 'percent') return `${formatInr(Number(promoCode.discount_amount) || 0)} off`
+
+  const cap = toAmount(promoCode.max_discount_inr)
+  return `${promoCode.discount_amount}% off${cap !== null ? `, up to ${formatInr(cap)}` : ''}`
+}
+
+// Discount fields of the promo code form; returns field → error message
+export const validatePromoDiscount = (values) => {
+  const errors = {}
+  const amount = Number(values.discount_amount)
+
+  if (!values.discount_amount || !(amount > 0)) {
+    errors.discount_amount = values.discount_type === 'percent'
+      ? 'Percentage must be greater than 0'
+      : 'Discount amount must be greater than 0'
+  } else if (values.discount_type === 'percent' && amount > 100) {
+    errors.discount_amount = 'Percentage cannot be more than 100'
+  }
+
+  if (values.discount_type === 'percent' && values.max_discount_inr !== '' && !(Number(values.max_discount_inr) > 0)) {
+    errors.max_discount_inr = 'Maximum discount must be greater than 0'
+  }
+
+  if (values.min_price_inr !== '' && !(Number(values.min_price_inr) > 0)) {
+    errors.min_price_inr = 'Minimum room price must be greater than 0'
+  }
+
+  return errors
+}
+
+// Discount columns for promo_codes from form values. Blank limits are stored as NULL;
+// the cap only means something for percentage codes.
+export const buildPromoDiscountPayload = (values) => ({
+  discount_type: values.discount_type,
+  discount_amount: Number(values.discount_amount),
+  max_discount_inr: values.discount_type === 'percent' && values.max_discount_inr !== '' ? Number(values.max_discount_inr) : null,
+  min_price_inr: values.min_price_inr !== '' ? Number(values.min_price_inr) : null
+})
@@ -0,0 +1,112 @@
+// Where and when a promo code can be redeemed. A code with no room, category or
+// tag restrictions works in every room; otherwise the room must match at least
+// one of them. Weekdays, hours and the start date are checked at redemption
+// time in the business timezone. redeem_promo_code applies the same rules
+// (see supabase/migrations/*_promo_code_scope.sql).
+import { getBusinessClock, isSessionActive, formatCalendarDate, toTimeInput } from './schedule'
+import { isInTimeWindow, computeEffectivePrice } from './pricing'
+import { WEEKDAY_LABELS } from './roomSeries'
+import { parseTags } from './roomCategories'
+import { getPromoCodeStatus } from './promoStatus'
+
+// Upcoming days of rooms offered when picking the rooms a code is valid for
+export const PROMO_ROOM_PICKER_DAYS = 14
+
+const hasItems = (list) => Array.isArray(list) && list.length > 0
+
+export const isRoomScoped = (promoCode) =>
+  hasItems(promoCode.room_ids) || hasItems(promoCode.category_ids) || hasItems(promoCode.room_tags)
+
+// Whether the code's room, category and tag restrictions allow this room
+export const appliesToRoom = (promoCode, room) => {
+  if (!isRoomScoped(promoCode)) return true
+  return (promoCode.room_ids || []).includes(room.id) ||
+    (Boolean(room.category_id) && (promoCode.category_ids || []).includes(room.category_id)) ||
+    (room.tags || []).some(tag => (promoCode.room_tags || []).includes(tag))
+}
+
+// Whether the code can be redeemed at `at`: active and inside its weekdays and hours
+export const isPromoCodeOpen = (promoCode, at = new Date()) => {
+  if (getPromoCodeStatus(promoCode, at) !== 'active') return false
+
+  const clock = getBusinessClock(at)
+  if (hasItems(promoCode.weekdays) && !promoCode.weekdays.includes(clock.weekday)) return false
+  if (promoCode.start_time && promoCode.end_time && !isInTimeWindow(clock.time, promoCode.start_time, promoCode.end_time)) return false
+
+  return true
+}
+
+// Rooms running right now that the code could be redeemed in. The minimum price is
+// checked against the effective price a user joining now would be charged.
+export const getRoomsValidNow = (promoCode, rooms, at = new Date(), pricingRules = []) => {
+  if (!isPromoCodeOpen(promoCode, at)) return []
+  const minPrice = Number(promoCode.min_price_inr) || 0
+  return rooms.filter(room =>
+    isSessionActive(room, at) &&
+    appliesToRoom(promoCode, room) &&
+    computeEffectivePrice(room, pricingRules, { at }).price >= minPrice
+  )
+}
+
+// Short description of a code's restrictions, e.g.
+// ["2 rooms", "Premium", "#face swap", "Sat, Sun 18:00–23:00", "from Sun, Nov 1"]; empty when it has none
+export const describePromoScope = (promoCode, { rooms = [], categories = [] } = {}) => {
+  const parts = []
+
+  if (hasItems(promoCode.room_ids)) {
+    const names = promoCode.room_ids.map(id => rooms.find(room => room.id === id)?.name).filter(Boolean)
+    parts.push(names.length === promoCode.room_ids.length && names.length <= 2
+      ? names.join(', ')
+      : `${promoCode.room_ids.length} ${promoCode.room_ids.length === 1 ? 'room' : 'rooms'}`)
+  }
+  if (hasItems(promoCode.category_ids)) {
+    parts.push(promoCode.category_ids
+      .map(id => categories.find(category => category.id === id)?.name || 'Deleted category')
+      .join(', '))
+  }
+  if (hasItems(promoCode.room_tags)) {
+    parts.push(promoCode.room_tags.map(tag => `#${tag}`).join(' '))
+  }
+
+  const days = hasItems(promoCode.weekdays) ? promoCode.weekdays.map(day => WEEKDAY_LABELS[day]).join(', ') : ''
+  const hours = promoCode.start_time && promoCode.end_time
+    ? `${toTimeInput(promoCode.start_time)}–${toTimeInput(promoCode.end_time)}`
+    : ''
+  if (days || hours) parts.push([days, hours].filter(Boolean).join(' '))
+
+  if (promoCode.start_date) parts.push(`from ${formatCalendarDate(promoCode.start_date)}`)
+
+  return parts
+}
+
+// Scope fields of the promo code form; returns field → error message
+export const validatePromoScope = (values) => {
+  const errors = {}
+
+  if (Boolean(values.start_time) !== Boolean(values.end_time)) {
+    errors.end_time = 'Set both a start and an end time, or neither'
+  } else if (values.start_time && values.start_time === values.end_time) {
+    errors.end_time = 'Start and end time cannot be the same'
+  }
+
+  if (values.start_date && values.expiry_date && values.expiry_date < values.start_date) {
+    errors.start_date = 'Start date must be before the expiry date'
+  }
+
+  return errors
+}
+
+// Scope columns for promo_codes from form values (room_tags is the comma-separated
+// input). Empty restrictions are stored as NULL.
+export const buildPromoScopePayload = (values) => {
+  const tags = parseTags(values.room_tags)
+  return {
+    room_ids: hasItems(values.room_ids) ? values.room_ids : null,
+    category_ids: hasItems(values.category_ids) ? values.category_ids : null,
+    room_tags: tags.length > 0 ? tags : null,
+    weekdays: hasItems(values.weekdays) ? [...values.weekdays].sort() : null,
+    start_time: values.start_time || null,
+    end_time: values.end_time || null,
+    start_date: values.start_date || null
+  }
+}
@@ -0,0 +1,39 @@
+// Promo code lifecycle: the single place that decides whether a code is
+// active, scheduled, paused, expired or exhausted. Backs the card badges, the
+// status filter and whether a code can be used right now. Only paused is
+// stored (paused_at); the rest follow from the code's dates and uses, so codes
+// expire and run out on their own.
+import { getBusinessDate } from './schedule'
+import { getRemainingUses, isPromoCodeExpired } from './promoAnalytics'
+
+// Display order for the status filter
+export const PROMO_STATUSES = {
+  active: { label: 'Active', badgeClass: 'bg-green-900/30 text-green-400 border border-green-500' },
+  scheduled: { label: 'Scheduled', badgeClass: 'bg-blue-900/30 text-blue-400 border border-blue-500' },
+  paused: { label: 'Paused', badgeClass: 'bg-yellow-900/30 text-yellow-400 border border-yellow-500' },
+  expired: { label: 'Expired', badgeClass: 'bg-red-900/30 text-red-400 border border-red-500' },
+  exhausted: { label: 'Exhausted', badgeClass: 'bg-gray-700 text-gray-300 border border-gray-500' }
+}
+
+// Codes that can't come back by pausing or resuming
+export const FINAL_STATUSES = ['expired', 'exhausted']
+
+// Status of a code at `now`. A used-up or expired code stays that way even if it was paused.
+export const getPromoCodeStatus = (promoCode, now = new Date()) => {
+  if (getRemainingUses(promoCode) === 0) return 'exhausted'
+  if (isPromoCodeExpired(promoCode, now)) return 'expired'
+  if (promoCode.paused_at) return 'paused'
+  if (promoCode.start_date && getBusinessDate(now) < promoCode.start_date) return 'scheduled'
+  return 'active'
+}
+
+// Number of codes in each status
+export const countPromoStatuses = (promoCodes, now = new Date()) => {
+  const counts = Object.fromEntries(Object.keys(PROMO_STATUSES).map(status => [status, 0]))
+
+  for (const promoCode of promoCodes) {
+    counts[getPromoCodeStatus(promoCode, now)] += 1
+  }
+
+  return counts
+}
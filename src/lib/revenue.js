@@ -0,0 +1,80 @@
+// Revenue totals from session_revenue rows (one row per session, see supabase/migrations).
+// Each session is one paid entry at the price it was charged when the user joined
+// (user_sessions.price_inr); a redeemed promo code takes its discount off that entry.
+import { toCsv } from './csv'
+
+// Sums of decimal prices pick up float noise (0.1 + 0.2); keep paise precision
+const roundInr = (amount) => Math.round(amount * 100) / 100
+
+const emptyTotals = () => ({ sessions: 0, gross: 0, discount: 0, net: 0, redemptions: 0 })
+
+const addRow = (totals, row) => {
+  totals.sessions += 1
+  totals.gross += Number(row.gross_inr) || 0
+  totals.discount += Number(row.discount_inr) || 0
+  totals.net += Number(row.net_inr) || 0
+  if (row.promo_code) totals.redemptions += 1
+}
+
+// Group rows by a key and total each group, largest net revenue first
+const groupRows = (rows, getKey, getLabel) => {
+  const groups = new Map()
+
+  for (const row of rows) {
+    const key = getKey(row)
+    if (!groups.has(key)) {
+      groups.set(key, { key, label: getLabel(row), ...emptyTotals() })
+    }
+    addRow(groups.get(key), row)
+  }
+
+  return [...groups.values()].sort((a, b) => b.net - a.net)
+}
+
+// Overall totals plus breakdowns by room, category, date and influencer
+export const summarizeRevenue = (rows) => {
+  const totals = emptyTotals()
+  rows.forEach(row => addRow(totals, row))
+
+  return {
+    totals,
+    byRoom: groupRows(rows, row => row.room_id, row => row.room_name),
+    byCategory: groupRows(rows, row => row.category_id || 'none', row => row.category_name || 'Uncategorised'),
+    // Dates read better in calendar order than by revenue
+    byDate: groupRows(rows, row => row.session_date, row => row.session_date)
+      .sort((a, b) => (a.key < b.key ? 1 : -1)),
+    // Only sessions that used a code belong to an influencer
+    byInfluencer: groupRows(
+      rows.filter(row => row.influencer_id),
+      row => row.influencer_id,
+      row => row.influencer_id
+    )
+  }
+}
+
+// Display a rupee amount, e.g. ₹1,250 or ₹99.50
+export const formatInr = (amount) =>
+  `₹${roundInr(amount).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`
+
+export const REVENUE_CSV_COLUMNS = ['breakdown', 'key', 'sessions', 'redemptions', 'gross_inr', 'discount_inr', 'net_inr']
+
+// One CSV with every breakdown, so accounting gets a single file per export
+export const revenueSummaryToCsv = (summary) => {
+  const toRecord = (breakdown) => (group) => ({
+    breakdown,
+    key: group.label,
+    sessions: group.sessions,
+    redemptions: group.redemptions,
+    gross_inr: roundInr(group.gross),
+    discount_inr: roundInr(group.discount),
+    net_inr: roundInr(group.net)
+  })
+
+  return toCsv([
+    toRecord('total')({ label: 'all', ...summary.totals }),
+    ...summary.byDate.map(toRecord('date')),
+    ...summary.byRoom.map(toRecord('room')),
+    ...summary.byCategory.map(toRecord('category')),
+    ...summary.byInfluencer.map(toRecord('influencer'))
+  ], REVENUE_CSV_COLUMNS)
+}
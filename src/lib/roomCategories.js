@@ -0,0 +1,38 @@
+// Room categories and tags. A category's defaults pre-fill the Add Room form;
+// tags are free-form, stored lowercase so filtering doesn't depend on casing.
+
+// "Face Swap, creator-a,  face swap" → ['face swap', 'creator-a']
+export const parseTags = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(',')
+  return [...new Set(list.map(tag => tag.trim().toLowerCase()).filter(Boolean))]
+}
+
+export const formatTags = (tags) => (tags || []).join(', ')
+
+// The form values a category fills in; fields it has no default for are left out
+export const getCategoryDefaults = (category) => {
+  const defaults = {}
+  if (category?.default_price_inr) defaults.price_inr = category.default_price_inr
+  if (category?.default_max_users) defaults.max_users = category.default_max_users
+  if (category?.description_template) defaults.description = category.description_template
+  return defaults
+}
+
+// Form values after picking a category. A field takes the category's default
+// unless the admin has changed it from what was there before (previousDefaults:
+// the last category's defaults, or the blank form's values).
+export const applyCategoryDefaults = (values, category, previousDefaults = {}) => {
+  const next = { ...values, category_id: category?.id || '' }
+
+  for (const [field, value] of Object.entries(getCategoryDefaults(category))) {
+    if (values[field] === '' || String(values[field]) === String(previousDefaults[field] ?? '')) {
+      next[field] = value
+    }
+  }
+
+  return next
+}
+
+// Category name for a room, or null when it has none (or it was deleted)
+export const getCategoryName = (room, categories) =>
+  categories.find(category => category.id === room.category_id)?.name || null
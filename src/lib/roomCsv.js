@@ -0,0 +1,50 @@
+// CSV layout for bulk room import and export.
+import { toCsv } from './csv'
+import { getSessionEndDate, toTimeInput } from './schedule'
+import { formatTags } from './roomCategories'
+
+// Column order used for exports and the downloadable template.
+// end_date is optional and only needed for multi-day rooms; tags is a comma-separated list.
+export const ROOM_CSV_COLUMNS = ['name', 'description', 'url', 'max_users', 'price_inr', 'date', 'start', 'end', 'end_date', 'tags']
+
+// Accept "9:30", "09:30" or "09:30:00" from spreadsheets
+const normalizeTime = (value) => {
+  const match = /^(\d{1,2}):(\d{2})(:\d{2})?$/.exec(value || '')
+  return match ? `${match[1].padStart(2, '0')}:${match[2]}` : value
+}
+
+// Map one parsed CSV record onto AddRoomForm-style values
+export const csvRecordToRoomValues = (record) => ({
+  name: record.name || '',
+  description: record.description || '',
+  url: record.url || '',
+  max_users: record.max_users ? Number(record.max_users) : '',
+  price_inr: record.price_inr || '',
+  session_date: record.date || '',
+  session_end_date: record.end_date || '',
+  start_time: normalizeTime(record.start),
+  end_time: normalizeTime(record.end),
+  tags: record.tags || ''
+})
+
+// Map a room row onto a CSV record; end_date is only written for multi-day rooms
+const roomToCsvRecord = (room) => {
+  const impliedEndDate = room.session_date
+    ? getSessionEndDate(room.session_date, room.session_start_time, room.session_end_time)
+    : null
+
+  return {
+    name: room.name,
+    description: room.description,
+    url: room.url,
+    max_users: room.max_users,
+    price_inr: room.price_inr,
+    date: room.session_date,
+    start: toTimeInput(room.session_start_time),
+    end: toTimeInput(room.session_end_time),
+    end_date: room.session_end_date && room.session_end_date !== impliedEndDate ? room.session_end_date : '',
+    tags: formatTags(room.tags)
+  }
+}
+
+export const roomsToCsv = (rooms) => toCsv(rooms.map(roomToCsvRecord), ROOM_CSV_COLUMNS)
@@ -0,0 +1,69 @@
+// Form values for rooms, and their mapping onto the rooms table. Validation
+// itself lives in roomSchema.js so the forms, the CSV import and roomService
+// all apply the same rules.
+import { getBusinessDate, getSessionEndDate, toTimeColumn, toTimeInput } from './schedule'
+import { parseTags, formatTags } from './roomCategories'
+import { validateRoom } from './roomSchema'
+
+// Check if the time string matches the format HH:MM
+export const isValidTimeFormat = (timeString) => /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/.test(timeString)
+
+// Form fields whose name differs from the column they are stored in
+const FORM_FIELDS = {
+  session_start_time: 'start_time',
+  session_end_time: 'end_time'
+}
+
+// Validate room form values; returns an object of field → error message (empty when valid).
+// context is passed to the room schema, e.g. { mode: 'edit', currentUsers } when editing.
+export const validateRoomFields = (values, context = { mode: 'create' }) => {
+  const errors = {}
+
+  for (const [column, message] of Object.entries(validateRoom(buildRoomPayload(values), context))) {
+    errors[FORM_FIELDS[column] || column] = message
+  }
+
+  return errors
+}
+
+// Turn validated form values into the roomService.addRoom payload
+export const buildRoomPayload = (values) => {
+  // Anything that isn't HH:MM is passed through as-is for the schema to reject
+  const sessionStartTime = isValidTimeFormat(values.start_time) ? toTimeColumn(values.start_time) : values.start_time
+  const sessionEndTime = isValidTimeFormat(values.end_time) ? toTimeColumn(values.end_time) : values.end_time
+
+  return {
+    name: values.name,
+    description: values.description,
+    url: values.url,
+    max_users: parseInt(values.max_users),
+    price_inr: parseFloat(values.price_inr),
+    session_date: values.session_date,
+    session_end_date: values.session_date
+      ? getSessionEndDate(values.session_date, sessionStartTime, sessionEndTime, values.session_end_date || null)
+      : null,
+    session_start_time: sessionStartTime,
+    session_end_time: sessionEndTime,
+    category_id: values.category_id || null,
+    tags: parseTags(values.tags)
+  }
+}
+
+// Form values for an existing room. Only the room's definition is carried over,
+// never its occupancy or series membership, so the result is safe to clone from.
+export const roomToFormValues = (room) => ({
+  name: room.name,
+  description: room.description,
+  url: room.url,
+  max_users: room.max_users,
+  price_inr: room.price_inr,
+  session_date: room.session_date || getBusinessDate(),
+  // Only keep an explicit end date for multi-day rooms; overnight ones are implied by the times
+  session_end_date: room.session_end_date && room.session_end_date !== getSessionEndDate(room.session_date, room.session_start_time, room.session_end_time)
+    ? room.session_end_date
+    : '',
+  start_time: toTimeInput(room.session_start_time) || '09:00',
+  end_time: toTimeInput(room.session_end_time) || '17:00',
+  category_id: room.category_id || '',
+  tags: formatTags(room.tags)
+})
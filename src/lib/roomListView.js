@@ -0,0 +1,96 @@
+// Search, sort and filter state for the room list. The view lives in the URL
+// query string (?q=&sort=&dir=&status=&date=&category=&tag=) so a filtered
+// list can be shared as a link; there is no router, so the URL is updated
+// with replaceState.
+import { getSessionWindow, isScheduledOn } from './schedule'
+import { ROOM_STATUSES, ACTIVE_STATUSES, getRoomStatus } from './roomStatus'
+
+export const SORT_OPTIONS = [
+  { value: 'created', label: 'Newest' },
+  { value: 'start', label: 'Start time' },
+  { value: 'price', label: 'Price' },
+  { value: 'occupancy', label: 'Occupancy' },
+  { value: 'status', label: 'Status' }
+]
+
+// category is a category id, or 'none' for uncategorised rooms
+export const DEFAULT_VIEW = { q: '', sort: 'created', dir: 'desc', status: 'all', date: '', category: '', tag: '' }
+
+const STATUS_ORDER = Object.keys(ROOM_STATUSES)
+
+// Read the view from a query string, ignoring unknown values
+export const readRoomListView = (search = window.location.search) => {
+  const params = new URLSearchParams(search)
+  const sort = params.get('sort')
+  const status = params.get('status')
+  const date = params.get('date')
+
+  return {
+    q: params.get('q') || DEFAULT_VIEW.q,
+    sort: SORT_OPTIONS.some(option => option.value === sort) ? sort : DEFAULT_VIEW.sort,
+    dir: params.get('dir') === 'asc' ? 'asc' : 'desc',
+    status: status in ROOM_STATUSES ? status : DEFAULT_VIEW.status,
+    date: /^\d{4}-\d{2}-\d{2}$/.test(date || '') ? date : DEFAULT_VIEW.date,
+    category: params.get('category') || DEFAULT_VIEW.category,
+    tag: params.get('tag') || DEFAULT_VIEW.tag
+  }
+}
+
+// Write the view into the current URL, leaving out defaults and any other params
+export const writeRoomListView = (view) => {
+  const params = new URLSearchParams(window.location.search)
+
+  for (const key of Object.keys(DEFAULT_VIEW)) {
+    if (view[key] && view[key] !== DEFAULT_VIEW[key]) {
+      params.set(key, view[key])
+    } else {
+      params.delete(key)
+    }
+  }
+
+  const query = params.toString()
+  window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`)
+}
+
+// Case-insensitive match on name, description, URL and tags
+export const matchesSearch = (room, q) => {
+  const needle = q.trim().toLowerCase()
+  if (!needle) return true
+  return [room.name, room.description, room.url, ...(room.tags || [])].some(value => value?.toLowerCase().includes(needle))
+}
+
+const matchesCategory = (room, category) => {
+  if (!category) return true
+  return category === 'none' ? !room.category_id : room.category_id === category
+}
+
+// The Live filter covers every running room, including ones ending soon or full
+export const matchesStatus = (status, filter) =>
+  filter === 'all' || (filter === 'live' ? ACTIVE_STATUSES.includes(status) : status === filter)
+
+// Rooms matching the search, date, category, tag and status filters
+export const filterRooms = (rooms, view, now = new Date()) =>
+  rooms.filter(room =>
+    matchesSearch(room, view.q) &&
+    (!view.date || isScheduledOn(room, view.date)) &&
+    matchesCategory(room, view.category) &&
+    (!view.tag || (room.tags || []).includes(view.tag)) &&
+    matchesStatus(getRoomStatus(room, now).status, view.status)
+  )
+
+// Sort rooms by the view's column. priceOf lets the caller sort by the effective price.
+export const sortRooms = (rooms, view, { now = new Date(), priceOf = room => room.price_inr } = {}) => {
+  const sortValue = {
+    created: room => new Date(room.created_at || 0).getTime(),
+    start: room => getSessionWindow(room)?.start.getTime() ?? Infinity,
+    price: room => priceOf(room),
+    occupancy: room => (room.max_users ? (room.current_users || 0) / room.max_users : 0),
+    status: room => STATUS_ORDER.indexOf(getRoomStatus(room, now).status)
+  }[view.sort]
+
+  const direction = view.dir === 'asc' ? 1 : -1
+  return [...rooms].sort((a, b) => {
+    const diff = sortValue(a) - sortValue(b)
+    return Number.isNaN(diff) || diff === 0 ? 0 : diff * direction
+  })
+}
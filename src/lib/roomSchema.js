@@ -0,0 +1,111 @@
+// The rules every room row must satisfy, checked by the room forms, the CSV
+// import and roomService.addRoom/updateRoom. Rules work on the rooms table
+// columns; roomFields.js maps form values onto them and errors back.
+//
+// Each field has a list of rules. A rule gets (value, room, context) and
+// returns an error message or null; the first failing rule wins.
+// context: { mode: 'create' | 'edit', currentUsers, today }
+import { getBusinessDate, getSessionEndDate, getSessionRangeError, getDaysBetween } from './schedule'
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === ''
+
+const isValidUrl = (string) => {
+  try {
+    new URL(string)
+    return true
+  } catch (_) {
+    return false
+  }
+}
+
+// Rule builders. Rules other than `required` skip blank values.
+const required = (message) => (value) => (isBlank(value) ? message : null)
+
+const check = (test, message) => (value, room, context) =>
+  isBlank(value) || test(value, room, context) ? null : (typeof message === 'function' ? message(value, room, context) : message)
+
+// Only applied when creating a room
+const onCreate = (rule) => (value, room, context) => (context.mode === 'create' ? rule(value, room, context) : null)
+
+const TIME_COLUMN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/
+const DATE_COLUMN = /^\d{4}-\d{2}-\d{2}$/
+
+// Start/end problems are reported on the end time, like the forms always have
+const sessionRangeRule = (value, room) => {
+  if (!DATE_COLUMN.test(room.session_date || '') || !TIME_COLUMN.test(room.session_start_time || '')) return null
+
+  const start = room.session_start_time.slice(0, 5)
+  const end = value.slice(0, 5)
+  const endDate = getSessionEndDate(room.session_date, room.session_start_time, value, room.session_end_date || null)
+
+  // Identical times only make sense for sessions spanning several days
+  if (start === end && getDaysBetween(room.session_date, endDate) <= 1) {
+    return 'Start and end time cannot be the same'
+  }
+
+  return getSessionRangeError({
+    session_date: room.session_date,
+    session_end_date: endDate,
+    start_time: room.session_start_time,
+    end_time: value
+  })
+}
+
+export const ROOM_SCHEMA = {
+  name: [required('Room name is required')],
+  description: [required('Description is required')],
+  url: [
+    required('URL is required'),
+    check(isValidUrl, 'Please enter a valid URL')
+  ],
+  max_users: [
+    required('Max users must be at least 1'),
+    check(value => Number.isInteger(Number(value)) && Number(value) >= 1, 'Max users must be at least 1'),
+    check(
+      (value, room, context) => !context.currentUsers || Number(value) >= context.currentUsers,
+      (value, room, context) => `Max users can't be lower than the ${context.currentUsers} users in the room`
+    )
+  ],
+  price_inr: [
+    required('Price must be greater than 0'),
+    check(value => Number(value) > 0, 'Price must be greater than 0'),
+    check(value => Number.isInteger(Number(value)), 'Price must be a whole number of rupees')
+  ],
+  session_date: [
+    required('Session date is required'),
+    check(value => DATE_COLUMN.test(value), 'Session date must be YYYY-MM-DD'),
+    onCreate(check((value, room, context) => value >= (context.today || getBusinessDate()), 'Session date cannot be in the past'))
+  ],
+  session_end_date: [
+    check(value => DATE_COLUMN.test(value), 'End date must be YYYY-MM-DD')
+  ],
+  session_start_time: [
+    required('Start time is required'),
+    check(value => TIME_COLUMN.test(value), 'Invalid time format')
+  ],
+  session_end_time: [
+    required('End time is required'),
+    check(value => TIME_COLUMN.test(value), 'Invalid time format'),
+    (value, room) => (isBlank(value) ? null : sessionRangeRule(value, room))
+  ]
+}
+
+// Validate a room row; returns column → error message (empty when valid)
+export const validateRoom = (room, context = {}) => {
+  const errors = {}
+
+  for (const [field, rules] of Object.entries(ROOM_SCHEMA)) {
+    for (const rule of rules) {
+      const message = rule(room[field], room, context)
+      if (message) {
+        errors[field] = message
+        break
+      }
+    }
+  }
+
+  return errors
+}
+
+// Two sessions overlap when each starts before the other ends; touching ends don't count
+export const windowsOverlap = (a, b) => a.start < b.end && b.start < a.end
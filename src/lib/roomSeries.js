@@ -0,0 +1,76 @@
+// Helpers for recurring room schedules (room_series table).
+// Dates are handled as 'YYYY-MM-DD' strings, the same format as rooms.session_date.
+import { addDays, getWeekday, getSessionEndDate } from './schedule'
+
+// How far ahead occurrences are generated for an active series
+export const SERIES_HORIZON_DAYS = 14
+
+export const RECURRENCE_OPTIONS = [
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekdays', label: 'Weekdays (Mon–Fri)' },
+  { value: 'custom', label: 'Specific weekdays' }
+]
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+// Whether a series has an occurrence on the given date
+export const occursOn = (series, dateStr) => {
+  if (dateStr < series.start_date) return false
+  if (series.end_date && dateStr > series.end_date) return false
+
+  const weekday = getWeekday(dateStr)
+
+  switch (series.recurrence) {
+    case 'weekdays':
+      return weekday >= 1 && weekday <= 5
+    case 'custom':
+      return (series.weekdays || []).includes(weekday)
+    default:
+      return true
+  }
+}
+
+// All occurrence dates of a series between fromDate and toDate (inclusive)
+export const getSeriesDates = (series, fromDate, toDate) => {
+  const dates = []
+  let current = fromDate < series.start_date ? series.start_date : fromDate
+  const last = series.end_date && series.end_date < toDate ? series.end_date : toDate
+
+  while (current <= last) {
+    if (occursOn(series, current)) {
+      dates.push(current)
+    }
+    current = addDays(current, 1)
+  }
+
+  return dates
+}
+
+// Room fields shared by a series and each of its occurrences
+export const getSeriesRoomFields = (series) => ({
+  name: series.name,
+  description: series.description,
+  url: series.url,
+  max_users: series.max_users,
+  price_inr: series.price_inr,
+  session_start_time: series.session_start_time,
+  session_end_time: series.session_end_time
+})
+
+// Build the roomService.addRoom payload for one occurrence
+export const buildOccurrence = (series, dateStr) => ({
+  ...getSeriesRoomFields(series),
+  session_date: dateStr,
+  session_end_date: getSessionEndDate(dateStr, series.session_start_time, series.session_end_time),
+  series_id: series.id
+})
+
+// Human readable recurrence, e.g. "Weekdays" or "Mon, Wed, Fri"
+export const describeRecurrence = (series) => {
+  if (series.recurrence === 'weekdays') return 'Weekdays'
+  if (series.recurrence === 'custom') {
+    const days = [...(series.weekdays || [])].sort()
+    return days.length > 0 ? days.map(day => WEEKDAY_LABELS[day]).join(', ') : 'No days selected'
+  }
+  return 'Daily'
+}
@@ -0,0 +1,72 @@
+// Room status engine: the single place that decides whether a room is
+// upcoming, live, ending soon, full, ended or closed out. Backs the list
+// badges, the status filters and the header counts.
+import { getSessionWindow } from './schedule'
+
+// Live rooms switch to "ending soon" this many minutes before their end time
+export const ENDING_SOON_MINUTES = 15
+
+// Display order for filters and header counts
+export const ROOM_STATUSES = {
+  live: { label: 'Live', badgeClass: 'bg-green-200 text-green-800' },
+  ending_soon: { label: 'Ending soon', badgeClass: 'bg-yellow-200 text-yellow-800' },
+  full: { label: 'Full', badgeClass: 'bg-red-200 text-red-800' },
+  upcoming: { label: 'Upcoming', badgeClass: 'bg-blue-200 text-blue-800' },
+  ended: { label: 'Ended', badgeClass: 'bg-gray-200 text-gray-800' },
+  closed: { label: 'Closed out', badgeClass: 'bg-gray-300 text-gray-700' },
+  unscheduled: { label: 'No schedule', badgeClass: 'bg-gray-200 text-gray-800' }
+}
+
+// Rooms that are running right now, whatever their badge says
+export const ACTIVE_STATUSES = ['live', 'ending_soon', 'full']
+
+// "20m", "3h 5m", "2d 4h"
+export const formatMinutes = (minutes) => {
+  if (minutes < 60) return `${minutes}m`
+  const hours = Math.floor(minutes / 60)
+  if (hours < 24) return minutes % 60 === 0 ? `${hours}h` : `${hours}h ${minutes % 60}m`
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`
+}
+
+// Status of a room at `now`: { status, label, minutesToStart, minutesLeft }.
+// A running room that has reached max_users is "full" even when it is ending soon.
+export const getRoomStatus = (room, now = new Date()) => {
+  const window = getSessionWindow(room)
+  if (!window) {
+    return { status: 'unscheduled', label: ROOM_STATUSES.unscheduled.label }
+  }
+
+  if (now < window.start) {
+    const minutesToStart = Math.ceil((window.start - now) / 60000)
+    return { status: 'upcoming', label: `Upcoming in ${formatMinutes(minutesToStart)}`, minutesToStart }
+  }
+
+  if (now > window.end) {
+    const status = room.closed_out_at ? 'closed' : 'ended'
+    return { status, label: ROOM_STATUSES[status].label }
+  }
+
+  const minutesLeft = Math.ceil((window.end - now) / 60000)
+
+  if (room.current_users >= room.max_users) {
+    return { status: 'full', label: ROOM_STATUSES.full.label, minutesLeft }
+  }
+
+  if (minutesLeft <= ENDING_SOON_MINUTES) {
+    return { status: 'ending_soon', label: `Ending in ${formatMinutes(minutesLeft)}`, minutesLeft }
+  }
+
+  return { status: 'live', label: ROOM_STATUSES.live.label, minutesLeft }
+}
+
+// Number of rooms in each status, plus `active` for every running room
+export const countRoomStatuses = (rooms, now = new Date()) => {
+  const counts = Object.fromEntries(Object.keys(ROOM_STATUSES).map(status => [status, 0]))
+
+  for (const room of rooms) {
+    counts[getRoomStatus(room, now).status] += 1
+  }
+
+  counts.active = ACTIVE_STATUSES.reduce((sum, status) => sum + counts[status], 0)
+  return counts
+}
@@ -0,0 +1,223 @@
+// Scheduling helpers shared by the room form, room list and rooms loader.
+//
+// Rooms are planned in a single business timezone: rooms.session_date is a
+// calendar date there and session_start_time/session_end_time are wall-clock
+// TIME values there. Everything that needs "today" or "is this room running"
+// goes through this module so the answer is the same no matter which
+// timezone the admin's browser is in.
+
+export const BUSINESS_TIMEZONE = import.meta.env.VITE_BUSINESS_TIMEZONE || 'Asia/Kolkata'
+
+const partsFormatterCache = {}
+
+const getPartsFormatter = (timeZone) => {
+  if (!partsFormatterCache[timeZone]) {
+    partsFormatterCache[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    })
+  }
+  return partsFormatterCache[timeZone]
+}
+
+// Calendar and clock components of an instant as seen in the given timezone
+const getZonedParts = (date, timeZone = BUSINESS_TIMEZONE) => {
+  const parts = {}
+  for (const { type, value } of getPartsFormatter(timeZone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = Number(value)
+  }
+  return parts
+}
+
+// Offset of the timezone from UTC at the given instant, in milliseconds
+const getTimezoneOffset = (date, timeZone = BUSINESS_TIMEZONE) => {
+  const parts = getZonedParts(date, timeZone)
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000
+}
+
+const pad = (value) => String(value).padStart(2, '0')
+
+// Parse a 'YYYY-MM-DD' string into a UTC midnight Date (for date arithmetic only)
+const parseDate = (dateStr) => {
+  const [year, month, day] = dateStr.split('-').map(Number)
+  return new Date(Date.UTC(year, month - 1, day))
+}
+
+const formatDate = (date) =>
+  `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`
+
+// Today's date in the business timezone, as YYYY-MM-DD
+export const getBusinessDate = (now = new Date()) => {
+  const { year, month, day } = getZonedParts(now)
+  return `${year}-${pad(month)}-${pad(day)}`
+}
+
+export const addDays = (dateStr, days) => {
+  const date = parseDate(dateStr)
+  date.setUTCDate(date.getUTCDate() + days)
+  return formatDate(date)
+}
+
+// Whole days from one date string to another
+export const getDaysBetween = (fromDate, toDate) =>
+  Math.round((parseDate(toDate) - parseDate(fromDate)) / 86400000)
+
+// Day of week for a date string, 0 = Sunday
+export const getWeekday = (dateStr) => parseDate(dateStr).getUTCDay()
+
+// Date, weekday (0 = Sunday) and HH:MM wall-clock time of an instant in the business timezone
+export const getBusinessClock = (now = new Date()) => {
+  const date = getBusinessDate(now)
+  const { hour, minute } = getZonedParts(now)
+  return { date, weekday: getWeekday(date), time: `${pad(hour)}:${pad(minute)}` }
+}
+
+// Turn a business-timezone date and wall-clock time into an absolute Date
+export const zonedTimeToDate = (dateStr, timeStr) => {
+  const [year, month, day] = dateStr.split('-').map(Number)
+  const [hours, minutes, seconds] = timeStr.split(':').map(Number)
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds || 0)
+
+  // Apply the offset, then re-check it in case the guess crossed a DST change
+  const firstGuess = wallClock - getTimezoneOffset(new Date(wallClock))
+  return new Date(wallClock - getTimezoneOffset(new Date(firstGuess)))
+}
+
+// Session times are usually TIME strings ("09:00:00"); older rows hold full timestamps
+const isTimestamp = (value) => value.includes('T')
+
+// A session whose end time is not after its start time runs past midnight
+export const isOvernight = (startTime, endTime) =>
+  Boolean(startTime && endTime) && endTime.slice(0, 5) <= startTime.slice(0, 5)
+
+// The date a session ends on. An explicit end date wins (multi-day sessions);
+// otherwise overnight sessions end the day after they start.
+export const getSessionEndDate = (sessionDate, startTime, endTime, endDate = null) => {
+  if (endDate) return endDate
+  return isOvernight(startTime, endTime) ? addDays(sessionDate, 1) : sessionDate
+}
+
+// Error message for an impossible start/end combination, or null when it is fine
+export const getSessionRangeError = ({ session_date, session_end_date, start_time, end_time }) => {
+  if (!session_date || !start_time || !end_time) return null
+
+  if (session_end_date && session_end_date < session_date) {
+    return 'End date cannot be before the session date'
+  }
+
+  if (!session_end_date && start_time.slice(0, 5) === end_time.slice(0, 5)) {
+    return 'Start and end time cannot be the same'
+  }
+
+  const endDate = getSessionEndDate(session_date, start_time, end_time, session_end_date)
+  if (`${endDate} ${end_time.slice(0, 5)}` <= `${session_date} ${start_time.slice(0, 5)}`) {
+    return 'End time must be after start time'
+  }
+
+  return null
+}
+
+// Last calendar day a room's session touches
+const getRoomEndDate = (room) =>
+  getSessionEndDate(room.session_date, room.session_start_time, room.session_end_time, room.session_end_date)
+
+// Start and end of a room's session as absolute Dates, or null when it is not scheduled
+export const getSessionWindow = (room) => {
+  if (!room.session_start_time || !room.session_end_time) return null
+
+  if (isTimestamp(room.session_start_time) && isTimestamp(room.session_end_time)) {
+    return { start: new Date(room.session_start_time), end: new Date(room.session_end_time) }
+  }
+
+  if (!room.session_date) return null
+
+  return {
+    start: zonedTimeToDate(room.session_date, room.session_start_time),
+    end: zonedTimeToDate(getRoomEndDate(room), room.session_end_time)
+  }
+}
+
+// Whether any part of the room's session falls on the given business date
+export const isScheduledOn = (room, dateStr) => {
+  if (!room.session_date) return false
+  if (!room.session_start_time || !room.session_end_time) return room.session_date === dateStr
+  return room.session_date <= dateStr && getRoomEndDate(room) >= dateStr
+}
+
+// Whether the room's session is running at the given moment
+export const isSessionActive = (room, now = new Date()) => {
+  const window = getSessionWindow(room)
+  return Boolean(window) && now >= window.start && now <= window.end
+}
+
+// New end of a room's session pushed back by the given minutes, as the columns to update.
+// TIME-based rooms get an explicit end date so an extension past midnight keeps its day.
+export const getExtendedSessionEnd = (room, minutes) => {
+  const window = getSessionWindow(room)
+  if (!window) return null
+
+  const end = new Date(window.end.getTime() + minutes * 60000)
+  if (isTimestamp(room.session_end_time)) {
+    return { session_end_time: end.toISOString() }
+  }
+
+  const { date, time } = getBusinessClock(end)
+  return { session_end_date: date, session_end_time: toTimeColumn(time) }
+}
+
+// HH:MM for time inputs, from a TIME string or a timestamp
+export const toTimeInput = (value) => {
+  if (!value) return ''
+  if (isTimestamp(value)) {
+    const { hour, minute } = getZonedParts(new Date(value))
+    return `${pad(hour)}:${pad(minute)}`
+  }
+  return value.slice(0, 5)
+}
+
+// Format time string to HH:MM:SS format for Supabase TIME column
+export const toTimeColumn = (timeString) => {
+  const [hours, minutes] = timeString.split(':').map(Number)
+  return `${pad(hours)}:${pad(minutes)}:00`
+}
+
+// Display a TIME string or timestamp as e.g. "9:30 PM"
+export const formatClockTime = (value) => {
+  const [hours, minutes] = toTimeInput(value).split(':').map(Number)
+  const displayHours = hours % 12 || 12
+  return `${displayHours}:${pad(minutes)} ${hours >= 12 ? 'PM' : 'AM'}`
+}
+
+// Display a YYYY-MM-DD date as e.g. "Mon, Jan 1"
+export const formatCalendarDate = (dateStr) =>
+  parseDate(dateStr).toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' })
+
+// Display a room's session, e.g. "Mon, Jan 1, 10:00 PM – Tue, Jan 2, 2:00 AM"
+export const formatSessionRange = (room) => {
+  if (!room.session_start_time || !room.session_end_time) {
+    return 'No session scheduled'
+  }
+
+  if (!getSessionWindow(room)) {
+    return 'Invalid session time'
+  }
+
+  const sessionDateStr = room.session_date ? formatCalendarDate(room.session_date) : 'Today'
+  const startStr = `${sessionDateStr}, ${formatClockTime(room.session_start_time)}`
+
+  // Overnight and multi-day rooms show the day they end on as well
+  const endDate = room.session_date ? getRoomEndDate(room) : null
+
+  if (endDate && endDate !== room.session_date) {
+    return `${startStr} – ${formatCalendarDate(endDate)}, ${formatClockTime(room.session_end_time)}`
+  }
+
+  return `${startStr} – ${formatClockTime(room.session_end_time)}`
+}
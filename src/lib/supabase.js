@@ -1,4 +1,12 @@
 import { createClient } from '@supabase/supabase-js'
+import { getBusinessDate, addDays, getSessionWindow, formatSessionRange, BUSINESS_TIMEZONE } from './schedule'
+import { validateRoom, windowsOverlap } from './roomSchema'
+import { CLOSEOUT_LOOKBACK_DAYS } from './closeouts'
+import {
+  SERIES_HORIZON_DAYS,
+  getSeriesDates,
+  buildOccurrence
+} from './roomSeries'
 
 // Initialize the Supabase client
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL
@@ -17,37 +25,47 @@ export const supabase = createClient(supabaseUrl, supabaseKey)
 //   description TEXT,
 //   url TEXT,
 //   max_users INT DEFAULT 100,
-//   current_users INT DEFAULT 0,
+//   current_users INT DEFAULT 0, -- maintained by the user_sessions trigger
 //   price_inr INT DEFAULT 50,
 //   session_date DATE,
 //   session_start_time TIMESTAMPTZ,
 //   session_end_time TIMESTAMPTZ,
+//   category_id uuid, -- room_categories, see supabase/migrations
+//   tags TEXT[],
 //   created_at TIMESTAMPTZ
 // );
 //
 // ALTER TABLE rooms ADD COLUMN session_date DATE;
+//
+// Newer schema changes live in supabase/migrations.
+
+// Check a room row against the room schema and make sure no other room uses
+// the same URL at an overlapping time. Throws with the first problem found.
+const assertValidRoom = async (room, context, excludeId = null) => {
+  const [firstError] = Object.values(validateRoom(room, context))
+  if (firstError) throw new Error(firstError)
+
+  const { data: conflict, error } = await roomService.findUrlConflict(room, excludeId)
+  if (error) throw new Error(error)
+  if (conflict) {
+    throw new Error(`This URL is already used by "${conflict.name}" (${formatSessionRange(conflict)})`)
+  }
+}
 
 // Room operations
 export const roomService = {
-  // Get all rooms
+  // Get all rooms whose session touches today, including overnight rooms that started yesterday
   async getAllRooms() {
     try {
-      // Get today's date in YYYY-MM-DD format using UTC for filtering
-      const now = new Date();
-      const today = new Date(Date.UTC(
-        now.getUTCFullYear(),
-        now.getUTCMonth(),
-        now.getUTCDate(),
-        0, 0, 0
-      ));
-      const todayStr = today.toISOString().split('T')[0];
-      
-      console.log(`roomService.getAllRooms - UTC date: ${todayStr}, Local time: ${new Date().toString()}`);
+      // Rooms are scheduled by calendar date in the business timezone
+      const todayStr = getBusinessDate();
       
       const { data, error } = await supabase
         .from('rooms')
         .select('*')
-        .eq('session_date', todayStr)
+        .lte('session_date', todayStr)
+        .or(`session_end_date.gte.${todayStr},session_date.eq.${todayStr}`)
+        .is('archived_at', null)
         .order('created_at', { ascending: false });
       
       if (error) throw error;
@@ -58,25 +76,66 @@ export const roomService = {
     }
   },
   
-  // Get all rooms (including past rooms)
-  async getAllRoomsHistory() {
+  // Get one page of rooms (past and future) whose session date falls in the given range
+  async getAllRoomsHistory({ fromDate = null, toDate = null, page = 0, pageSize = 25 } = {}) {
     try {
-      const { data, error } = await supabase
+      let query = supabase
         .from('rooms')
-        .select('*')
-        .order('created_at', { ascending: false });
+        .select('*', { count: 'exact' })
+      
+      if (fromDate) query = query.gte('session_date', fromDate)
+      if (toDate) query = query.lte('session_date', toDate)
+      
+      const from = page * pageSize
+      const { data, error, count } = await query
+        .order('session_date', { ascending: false })
+        .order('session_start_time', { ascending: false })
+        .range(from, from + pageSize - 1)
       
       if (error) throw error;
-      return { data, error: null };
+      return { data, count, error: null };
     } catch (error) {
       console.error('Error fetching room history:', error);
-      return { data: null, error: error.message };
+      return { data: null, count: 0, error: error.message };
+    }
+  },
+
+  // Find a room that isn't archived, uses the same URL and overlaps the given room's session
+  async findUrlConflict(room, excludeId = null) {
+    try {
+      const window = getSessionWindow(room)
+      if (!room.url || !window) return { data: null, error: null }
+
+      // Rooms without an end date end the day after they start at the latest
+      let query = supabase
+        .from('rooms')
+        .select('*')
+        .eq('url', room.url)
+        .is('archived_at', null)
+        .lte('session_date', room.session_end_date || room.session_date)
+        .or(`session_end_date.gte.${room.session_date},session_date.gte.${addDays(room.session_date, -1)}`)
+      
+      if (excludeId) query = query.neq('id', excludeId)
+      
+      const { data, error } = await query
+      
+      if (error) throw error
+      const conflict = (data || []).find(other => {
+        const otherWindow = getSessionWindow(other)
+        return otherWindow && windowsOverlap(window, otherWindow)
+      })
+      return { data: conflict || null, error: null }
+    } catch (error) {
+      console.error('Error checking room URL:', error)
+      return { data: null, error: error.message }
     }
   },
 
-  // Add new room
+  // Add new room. The room must pass the room schema and not reuse a URL in an overlapping slot.
   async addRoom(roomData) {
     try {
+      await assertValidRoom(roomData, { mode: 'create' })
+
       const { data, error } = await supabase
         .from('rooms')
         .insert([{
@@ -86,8 +145,12 @@ export const roomService = {
           max_users: roomData.max_users,
           price_inr: roomData.price_inr,
           session_date: roomData.session_date, // Add session_date field
+          session_end_date: roomData.session_end_date,
           session_start_time: roomData.session_start_time,
           session_end_time: roomData.session_end_time,
+          series_id: roomData.series_id || null,
+          category_id: roomData.category_id || null,
+          tags: roomData.tags || [],
           current_users: 0
         }])
         .select()
@@ -100,9 +163,21 @@ export const roomService = {
     }
   },
 
-  // Update room
+  // Update room. The updated row must pass the room schema (max_users can't drop
+  // below the users already in the room) and not reuse a URL in an overlapping slot.
   async updateRoom(id, roomData) {
     try {
+      const { data: existing, error: fetchError } = await supabase
+        .from('rooms')
+        .select('*')
+        .eq('id', id)
+        .single()
+      
+      if (fetchError) throw fetchError
+
+      const changes = Object.fromEntries(Object.entries(roomData).filter(([, value]) => value !== undefined))
+      await assertValidRoom({ ...existing, ...changes }, { mode: 'edit', currentUsers: existing.current_users }, id)
+
       const { data, error } = await supabase
         .from('rooms')
         .update({
@@ -112,8 +187,12 @@ export const roomService = {
           max_users: roomData.max_users,
           price_inr: roomData.price_inr,
           session_date: roomData.session_date, // Add session_date field
+          session_end_date: roomData.session_end_date,
           session_start_time: roomData.session_start_time,
-          session_end_time: roomData.session_end_time
+          session_end_time: roomData.session_end_time,
+          category_id: roomData.category_id,
+          tags: roomData.tags,
+          ...(roomData.series_detached !== undefined && { series_detached: roomData.series_detached })
         })
         .eq('id', id)
         .select()
@@ -126,9 +205,129 @@ export const roomService = {
     }
   },
 
-  // Delete room
-  async deleteRoom(id) {
+  // Detach a single occurrence from its series so series edits no longer apply to it
+  async detachFromSeries(id) {
+    try {
+      const { data, error } = await supabase
+        .from('rooms')
+        .update({ series_detached: true })
+        .eq('id', id)
+        .select()
+      
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error detaching room from series:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Push back the end of a room's session. The new end is checked like any room edit,
+  // including URL clashes with later rooms. Rooms that have been closed out can't be extended.
+  async extendSession(id, endColumns) {
+    try {
+      const { data: existing, error: fetchError } = await supabase
+        .from('rooms')
+        .select('*')
+        .eq('id', id)
+        .single()
+      
+      if (fetchError) throw fetchError
+      if (existing.closed_out_at) throw new Error('Room has already been closed out')
+
+      await assertValidRoom({ ...existing, ...endColumns }, { mode: 'edit', currentUsers: existing.current_users }, id)
+
+      const { data, error } = await supabase
+        .from('rooms')
+        .update(endColumns)
+        .eq('id', id)
+        .is('closed_out_at', null)
+        .select()
+      
+      if (error) throw error
+      if (data.length === 0) throw new Error('Room has already been closed out')
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error extending room session:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Archive room. The room is hidden from the live list but its sessions are kept.
+  async archiveRoom(id) {
+    try {
+      const { data, error } = await supabase
+        .from('rooms')
+        .update({ archived_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+      
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error archiving room:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Restore an archived room
+  async restoreRoom(id) {
+    try {
+      const { data, error } = await supabase
+        .from('rooms')
+        .update({ archived_at: null, series_pruned: false })
+        .eq('id', id)
+        .select()
+      
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error restoring room:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Get all archived rooms, most recently archived first
+  async getArchivedRooms() {
+    try {
+      const { data, error } = await supabase
+        .from('rooms')
+        .select('*')
+        .not('archived_at', 'is', null)
+        .order('archived_at', { ascending: false })
+      
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error fetching archived rooms:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Permanently delete an archived room and its sessions.
+  // Refused while the room is not archived or still has active sessions (rewards_left > 0).
+  async purgeRoom(id) {
     try {
+      const { data: room, error: roomError } = await supabase
+        .from('rooms')
+        .select('id, archived_at')
+        .eq('id', id)
+        .single()
+      
+      if (roomError) throw roomError
+      if (!room.archived_at) throw new Error('Only archived rooms can be purged')
+
+      const { count, error: countError } = await supabase
+        .from('user_sessions')
+        .select('id', { count: 'exact', head: true })
+        .eq('room_id', id)
+        .gt('rewards_left', 0)
+      
+      if (countError) throw countError
+      if (count > 0) {
+        throw new Error(`Room still has ${count} active ${count === 1 ? 'session' : 'sessions'}`)
+      }
+
       // First delete related user_sessions records to avoid foreign key constraint violation
       const { error: sessionsError } = await supabase
         .from('user_sessions')
@@ -146,94 +345,930 @@ export const roomService = {
       if (error) throw error
       return { error: null }
     } catch (error) {
-      console.error('Error deleting room:', error)
+      console.error('Error purging room:', error)
       return { error: error.message }
     }
-  },
+  }
+}
 
-  // Update current users count
-  async updateCurrentUsers(id, currentUsers) {
+// Recurring room schedule operations
+export const roomSeriesService = {
+  // Get all series
+  async getAllSeries() {
     try {
       const { data, error } = await supabase
-        .from('rooms')
-        .update({ 
-          current_users: currentUsers
-        })
-        .eq('id', id)
-        .select()
+        .from('room_series')
+        .select('*')
+        .order('created_at', { ascending: false })
       
       if (error) throw error
       return { data, error: null }
     } catch (error) {
-      console.error('Error updating current users:', error)
+      console.error('Error fetching room series:', error)
       return { data: null, error: error.message }
     }
-  }
-}
+  },
 
-// Promo Code operations
-export const promoCodeService = {
-  // Get all promo codes
-  async getAllPromoCodes() {
+  // Get the occurrences of a series from today onwards
+  async getUpcomingOccurrences(seriesId) {
     try {
       const { data, error } = await supabase
-        .from('promo_codes')
+        .from('rooms')
         .select('*')
+        .eq('series_id', seriesId)
+        .is('archived_at', null)
+        .gte('session_date', getBusinessDate())
+        .order('session_date', { ascending: true })
       
       if (error) throw error
       return { data, error: null }
     } catch (error) {
-      console.error('Error fetching promo codes:', error)
+      console.error('Error fetching series occurrences:', error)
       return { data: null, error: error.message }
     }
   },
 
-  // Add new promo code
-  async addPromoCode(promoCodeData) {
+  // Add new series and generate its first occurrences. Once the series is saved it
+  // stays saved: dates that couldn't be generated are returned in `failed`.
+  async addSeries(seriesData) {
     try {
       const { data, error } = await supabase
-        .from('promo_codes')
-        .insert([promoCodeData])
+        .from('room_series')
+        .insert([seriesData])
         .select()
       
       if (error) throw error
-      return { data, error: null }
+
+      const { failed, error: generateError } = await this.generateOccurrences(data[0])
+
+      return { data, failed: generateError ? [{ session_date: null, error: generateError }] : failed, error: null }
     } catch (error) {
-      console.error('Error adding promo code:', error)
-      return { data: null, error: error.message }
+      console.error('Error adding room series:', error)
+      return { data: null, failed: [], error: error.message }
     }
   },
 
-  // Update promo code
-  async updatePromoCode(id, promoCodeData) {
+  // Update a series and apply the change to its upcoming, non-detached occurrences.
+  // Each occurrence goes through roomService.updateRoom, so it is validated like any
+  // room edit. Occurrences that fail, dates that couldn't be generated and rooms kept
+  // because they have sessions are returned in `failed` as { session_date, error }.
+  async updateSeries(id, seriesData) {
     try {
       const { data, error } = await supabase
-        .from('promo_codes')
-        .update(promoCodeData)
+        .from('room_series')
+        .update(seriesData)
+        .eq('id', id)
+        .select()
+      
+      if (error) throw error
+
+      const series = data[0]
+
+      const { data: upcoming, error: fetchError } = await supabase
+        .from('rooms')
+        .select('id, session_date')
+        .eq('series_id', id)
+        .eq('series_detached', false)
+        .is('archived_at', null)
+        .gte('session_date', getBusinessDate())
+      
+      if (fetchError) throw fetchError
+
+      // Updated one by one because overnight occurrences each end on their own next day
+      const failed = []
+      for (const room of upcoming || []) {
+        const { error: roomError } = await roomService.updateRoom(room.id, buildOccurrence(series, room.session_date))
+        if (roomError) failed.push({ session_date: room.session_date, error: roomError })
+      }
+
+      // The recurrence may have changed, so archive dates that no longer match and fill in new ones
+      const prune = await this.pruneOccurrences(series)
+      if (prune.error) throw new Error(prune.error)
+
+      const generate = await this.generateOccurrences(series)
+      if (generate.error) throw new Error(generate.error)
+
+      return { data, failed: [...failed, ...prune.failed, ...generate.failed], error: null }
+    } catch (error) {
+      console.error('Error updating room series:', error)
+      return { data: null, failed: [], error: error.message }
+    }
+  },
+
+  // Pause or resume a series. Paused series keep today's room and archive their future
+  // occurrences (rooms that already have sessions are kept and returned in `failed`);
+  // resuming restores them.
+  async setPaused(id, isPaused) {
+    try {
+      const { data, error } = await supabase
+        .from('room_series')
+        .update({ is_paused: isPaused })
         .eq('id', id)
         .select()
       
+      if (error) throw error
+
+      const series = data[0]
+      const { failed, error: syncError } = isPaused
+        ? await this.pruneOccurrences(series)
+        : await this.generateOccurrences(series)
+      
+      if (syncError) throw new Error(syncError)
+      return { data, failed, error: null }
+    } catch (error) {
+      console.error('Error pausing room series:', error)
+      return { data: null, failed: [], error: error.message }
+    }
+  },
+
+  // Create the missing occurrences of a series within the generation horizon. Occurrences
+  // the series archived itself are restored; days archived by an admin stay archived.
+  // A date that fails validation (e.g. a URL clash) doesn't stop the others; each is
+  // returned in `failed` as { session_date, error }.
+  async generateOccurrences(series, horizonDays = SERIES_HORIZON_DAYS) {
+    try {
+      if (series.is_paused) return { data: [], failed: [], error: null }
+
+      const today = getBusinessDate()
+      const dates = getSeriesDates(series, today, addDays(today, horizonDays))
+
+      const { data: existing, error: fetchError } = await supabase
+        .from('rooms')
+        .select('id, session_date, archived_at, series_pruned')
+        .eq('series_id', series.id)
+        .gte('session_date', today)
+      
+      if (fetchError) throw fetchError
+
+      const existingByDate = new Map((existing || []).map(room => [room.session_date, room]))
+      const created = []
+      const failed = []
+
+      for (const date of dates) {
+        const room = existingByDate.get(date)
+        if (room && !(room.archived_at && room.series_pruned)) continue
+
+        const { data, error } = room
+          ? await this.restoreOccurrence(series, room)
+          : await roomService.addRoom(buildOccurrence(series, date))
+        
+        if (error) {
+          failed.push({ session_date: date, error })
+          continue
+        }
+        created.push(...(data || []))
+      }
+
+      return { data: created, failed, error: null }
+    } catch (error) {
+      console.error('Error generating series occurrences:', error)
+      return { data: null, failed: [], error: error.message }
+    }
+  },
+
+  // Bring back an occurrence the series archived, with the series' current details
+  async restoreOccurrence(series, room) {
+    try {
+      const { error: updateError } = await roomService.updateRoom(room.id, buildOccurrence(series, room.session_date))
+      if (updateError) throw new Error(updateError)
+
+      return await roomService.restoreRoom(room.id)
+    } catch (error) {
+      console.error('Error restoring series occurrence:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Archive future, non-detached occurrences that the series no longer produces. Rooms
+  // with sessions are kept and returned in `failed` as { session_date, error }.
+  async pruneOccurrences(series) {
+    try {
+      const tomorrow = addDays(getBusinessDate(), 1)
+      const keepDates = series.is_paused
+        ? new Set()
+        : new Set(getSeriesDates(series, tomorrow, addDays(tomorrow, SERIES_HORIZON_DAYS)))
+
+      const { data: future, error: fetchError } = await supabase
+        .from('rooms')
+        .select('id, session_date')
+        .eq('series_id', series.id)
+        .eq('series_detached', false)
+        .is('archived_at', null)
+        .gte('session_date', tomorrow)
+      
+      if (fetchError) throw fetchError
+
+      const stale = (future || []).filter(room => !keepDates.has(room.session_date))
+      if (stale.length === 0) return { data: [], failed: [], error: null }
+
+      // Rooms that users have already joined are left alone
+      const { data: sessions, error: sessionsError } = await supabase
+        .from('user_sessions')
+        .select('room_id')
+        .in('room_id', stale.map(room => room.id))
+      
+      if (sessionsError) throw sessionsError
+
+      const joinedIds = new Set((sessions || []).map(session => session.room_id))
+      const failed = stale
+        .filter(room => joinedIds.has(room.id))
+        .map(room => ({ session_date: room.session_date, error: 'Room already has sessions, so it was kept' }))
+      const archiveIds = stale.filter(room => !joinedIds.has(room.id)).map(room => room.id)
+
+      if (archiveIds.length > 0) {
+        const { error } = await supabase
+          .from('rooms')
+          .update({ archived_at: new Date().toISOString(), series_pruned: true })
+          .in('id', archiveIds)
+        
+        if (error) throw error
+      }
+
+      return { data: archiveIds, failed, error: null }
+    } catch (error) {
+      console.error('Error pruning series occurrences:', error)
+      return { data: null, failed: [], error: error.message }
+    }
+  }
+}
+
+// User session operations (session inspector)
+export const userSessionService = {
+  // Get every session in a room, most recently active first
+  async getRoomSessions(roomId) {
+    try {
+      const { data, error } = await supabase
+        .from('user_sessions')
+        .select('*')
+        .eq('room_id', roomId)
+        .order('last_updated', { ascending: false })
+      
       if (error) throw error
       return { data, error: null }
     } catch (error) {
-      console.error('Error updating promo code:', error)
+      console.error('Error fetching room sessions:', error)
       return { data: null, error: error.message }
     }
   },
 
-  // Delete promo code
-  async deletePromoCode(id) {
+  // End a session by resetting its rewards to 0 through the audited RPC; the row is kept for history.
+  // Returns the reward adjustment that was recorded.
+  async endSession(id, reason) {
+    return this.adjustRewards(id, { mode: 'reset', amount: 0, reason })
+  },
+
+  // Move a session to another room. The RPC checks the target's capacity in the same
+  // transaction; the occupancy trigger recounts both rooms.
+  async moveSession(id, roomId) {
     try {
-      const { error } = await supabase
-        .from('promo_codes')
-        .delete()
-        .eq('id', id)
+      const { data, error } = await supabase.rpc('move_user_session', {
+        p_session_id: id,
+        p_room_id: roomId
+      })
       
       if (error) throw error
-      return { error: null }
+      return { data: [data], error: null }
     } catch (error) {
-      console.error('Error deleting promo code:', error)
-      return { error: error.message }
+      console.error('Error moving session:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Grant, deduct or reset a session's rewards through the audited RPC
+  async adjustRewards(id, { mode, amount, reason }) {
+    try {
+      const { data, error } = await supabase.rpc('adjust_session_rewards', {
+        p_session_id: id,
+        p_mode: mode,
+        p_amount: amount,
+        p_reason: reason
+      })
+
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error adjusting rewards:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Get the reward adjustments made to a session, newest first
+  async getAdjustments(id) {
+    try {
+      const { data, error } = await supabase
+        .from('reward_adjustments')
+        .select('*')
+        .eq('session_id', id)
+        .order('created_at', { ascending: false })
+      
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error fetching reward adjustments:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Get sessions that still have rewards but haven't been updated since the cut-off
+  async getStaleSessions(cutoff) {
+    try {
+      const { data, error } = await supabase
+        .from('user_sessions')
+        .select('*, rooms(name, archived_at)')
+        .gt('rewards_left', 0)
+        .lt('last_updated', cutoff)
+        .order('last_updated', { ascending: true })
+      
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error fetching stale sessions:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Reset idle sessions to 0 rewards in one room, or every room when roomId is null
+  async expireIdleSessions(idleMinutes, roomId = null) {
+    try {
+      const { data, error } = await supabase.rpc('expire_idle_sessions', {
+        p_idle_minutes: idleMinutes,
+        p_room_id: roomId
+      })
+
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error expiring idle sessions:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Flag or unflag a session
+  async setFlag(id, flagged, reason = null) {
+    try {
+      const { data, error } = await supabase
+        .from('user_sessions')
+        .update({
+          flagged,
+          flag_reason: flagged ? reason : null,
+          flagged_at: flagged ? new Date().toISOString() : null
+        })
+        .eq('id', id)
+        .select()
+      
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error flagging session:', error)
+      return { data: null, error: error.message }
+    }
+  }
+}
+
+// Occupancy reconciliation operations
+export const occupancyService = {
+  // Get current_users and the live active-session count for rooms that aren't archived
+  // and whose session touches today or later (the rooms the scheduled run recounts)
+  async getDrift() {
+    try {
+      const todayStr = getBusinessDate()
+      
+      const { data, error } = await supabase
+        .from('room_occupancy_drift')
+        .select('*')
+        .or(`session_end_date.gte.${todayStr},session_date.gte.${todayStr}`)
+        .is('archived_at', null)
+        .order('session_date', { ascending: false })
+      
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error fetching occupancy drift:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Recount one room, or every room when roomId is null. Returns the logged corrections.
+  async reconcile(roomId = null, source = 'manual') {
+    try {
+      const { data, error } = await supabase.rpc('reconcile_room_occupancy', {
+        p_room_id: roomId,
+        p_source: source
+      })
+
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error reconciling occupancy:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Recount a set of rooms (e.g. the ones in the drift report). Returns the logged corrections.
+  async reconcileRooms(roomIds, source = 'manual') {
+    try {
+      const { data, error } = await supabase.rpc('reconcile_rooms_occupancy', {
+        p_room_ids: roomIds,
+        p_source: source
+      })
+
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error reconciling occupancy:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Get a room's occupancy samples between two timestamps, oldest first
+  async getRoomSamples(roomId, from, to) {
+    try {
+      const { data, error } = await supabase
+        .from('room_occupancy_samples')
+        .select('current_users, max_users, sampled_at')
+        .eq('room_id', roomId)
+        .gte('sampled_at', from)
+        .lte('sampled_at', to)
+        .order('sampled_at', { ascending: true })
+      
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error fetching occupancy samples:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Get peak occupancy per weekday and hour (business timezone) between two timestamps
+  async getHeatmap(from, to) {
+    try {
+      const { data, error } = await supabase.rpc('get_occupancy_heatmap', {
+        p_from: from,
+        p_to: to,
+        p_timezone: BUSINESS_TIMEZONE
+      })
+
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error fetching occupancy heatmap:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Get the most recent occupancy corrections
+  async getCorrections(limit = 20) {
+    try {
+      const { data, error } = await supabase
+        .from('occupancy_corrections')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(limit)
+      
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error fetching occupancy corrections:', error)
+      return { data: null, error: error.message }
+    }
+  }
+}
+
+// Automation settings: the single row the scheduled database jobs read
+export const automationSettingsService = {
+  // Get the shared settings
+  async getSettings() {
+    try {
+      const { data, error } = await supabase
+        .from('automation_settings')
+        .select('*')
+        .single()
+      
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error fetching automation settings:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Change some of the settings; returns the updated row
+  async updateSettings(changes) {
+    try {
+      const { data, error } = await supabase
+        .from('automation_settings')
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq('id', true)
+        .select()
+        .single()
+      
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error updating automation settings:', error)
+      return { data: null, error: error.message }
+    }
+  }
+}
+
+// End-of-session close-out operations
+export const closeOutService = {
+  // Get rooms from the last few days that haven't been closed out yet.
+  // Whether each one is due depends on the grace period, see isCloseOutDue.
+  async getOpenRooms() {
+    try {
+      const todayStr = getBusinessDate()
+      
+      const { data, error } = await supabase
+        .from('rooms')
+        .select('*')
+        .gte('session_date', addDays(todayStr, -CLOSEOUT_LOOKBACK_DAYS))
+        .lte('session_date', todayStr)
+        .is('closed_out_at', null)
+        .is('archived_at', null)
+        .order('session_date', { ascending: true })
+      
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error fetching rooms awaiting close-out:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // End the room's remaining sessions and record its close-out summary.
+  // Fails while the room is still within the shared grace period.
+  async closeOutRoom(roomId, source = 'manual') {
+    try {
+      const { data, error } = await supabase.rpc('close_out_room', {
+        p_room_id: roomId,
+        p_source: source,
+        p_timezone: BUSINESS_TIMEZONE
+      })
+
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error closing out room:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Get the most recent close-out summaries
+  async getCloseOuts(limit = 20) {
+    try {
+      const { data, error } = await supabase
+        .from('room_closeouts')
+        .select('*')
+        .order('closed_at', { ascending: false })
+        .limit(limit)
+      
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error fetching close-outs:', error)
+      return { data: null, error: error.message }
+    }
+  }
+}
+
+// Room category operations
+export const roomCategoryService = {
+  // Get all categories by name
+  async getAllCategories() {
+    try {
+      const { data, error } = await supabase
+        .from('room_categories')
+        .select('*')
+        .order('name', { ascending: true })
+      
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error fetching room categories:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Add new category
+  async addCategory(categoryData) {
+    try {
+      const { data, error } = await supabase
+        .from('room_categories')
+        .insert([categoryData])
+        .select()
+      
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error adding room category:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Update category
+  async updateCategory(id, categoryData) {
+    try {
+      const { data, error } = await supabase
+        .from('room_categories')
+        .update(categoryData)
+        .eq('id', id)
+        .select()
+      
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error updating room category:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Delete category. Its rooms stay, uncategorised.
+  async deleteCategory(id) {
+    try {
+      const { error } = await supabase
+        .from('room_categories')
+        .delete()
+        .eq('id', id)
+      
+      if (error) throw error
+      return { error: null }
+    } catch (error) {
+      console.error('Error deleting room category:', error)
+      return { error: error.message }
+    }
+  }
+}
+
+// Pricing rule operations
+export const pricingRuleService = {
+  // Get all pricing rules
+  async getAllRules() {
+    try {
+      const { data, error } = await supabase
+        .from('pricing_rules')
+        .select('*')
+        .order('created_at', { ascending: true })
+      
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error fetching pricing rules:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Add new pricing rule
+  async addRule(ruleData) {
+    try {
+      const { data, error } = await supabase
+        .from('pricing_rules')
+        .insert([ruleData])
+        .select()
+      
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error adding pricing rule:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Update pricing rule
+  async updateRule(id, ruleData) {
+    try {
+      const { data, error } = await supabase
+        .from('pricing_rules')
+        .update(ruleData)
+        .eq('id', id)
+        .select()
+      
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error updating pricing rule:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Delete pricing rule
+  async deleteRule(id) {
+    try {
+      const { error } = await supabase
+        .from('pricing_rules')
+        .delete()
+        .eq('id', id)
+      
+      if (error) throw error
+      return { error: null }
+    } catch (error) {
+      console.error('Error deleting pricing rule:', error)
+      return { error: error.message }
+    }
+  }
+}
+
+// Revenue operations
+export const revenueService = {
+  // Get one page of per-session revenue rows for rooms whose session date falls in the range
+  async getSessionRevenue({ fromDate = null, toDate = null, page = 0, pageSize = 1000 } = {}) {
+    try {
+      let query = supabase
+        .from('session_revenue')
+        .select('*', { count: 'exact' })
+      
+      if (fromDate) query = query.gte('session_date', fromDate)
+      if (toDate) query = query.lte('session_date', toDate)
+      
+      const from = page * pageSize
+      const { data, error, count } = await query
+        .order('session_date', { ascending: false })
+        .order('session_id', { ascending: true })
+        .range(from, from + pageSize - 1)
+      
+      if (error) throw error
+      return { data, count, error: null }
+    } catch (error) {
+      console.error('Error fetching session revenue:', error)
+      return { data: null, count: 0, error: error.message }
+    }
+  },
+
+  // Get when promo discounts started being recorded; sessions before it show no discount
+  async getDiscountsFrom() {
+    try {
+      const { data, error } = await supabase
+        .from('revenue_tracking')
+        .select('discounts_from')
+        .maybeSingle()
+      
+      if (error) throw error
+      return { data: data?.discounts_from || null, error: null }
+    } catch (error) {
+      console.error('Error fetching revenue tracking start:', error)
+      return { data: null, error: error.message }
+    }
+  }
+}
+
+// Promo Code operations
+export const promoCodeService = {
+  // Get all promo codes
+  async getAllPromoCodes() {
+    try {
+      const { data, error } = await supabase
+        .from('promo_codes')
+        .select('*')
+      
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error fetching promo codes:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Add new promo code
+  async addPromoCode(promoCodeData) {
+    try {
+      const { data, error } = await supabase
+        .from('promo_codes')
+        .insert([promoCodeData])
+        .select()
+      
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error adding promo code:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Add many promo codes in one insert; fails as a whole if any code already exists
+  async addPromoCodes(promoCodeRows) {
+    try {
+      const { data, error } = await supabase
+        .from('promo_codes')
+        .insert(promoCodeRows)
+        .select()
+
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error adding promo codes:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Which of the given codes are already taken. Looked up in chunks to keep the request URL short.
+  async getExistingCodes(codes, chunkSize = 200) {
+    try {
+      const existing = []
+
+      for (let i = 0; i < codes.length; i += chunkSize) {
+        const { data, error } = await supabase
+          .from('promo_codes')
+          .select('code')
+          .in('code', codes.slice(i, i + chunkSize))
+
+        if (error) throw error
+        existing.push(...data.map(row => row.code))
+      }
+
+      return { data: existing, error: null }
+    } catch (error) {
+      console.error('Error checking promo codes:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Update promo code
+  async updatePromoCode(id, promoCodeData) {
+    try {
+      const { data, error } = await supabase
+        .from('promo_codes')
+        .update(promoCodeData)
+        .eq('id', id)
+        .select()
+      
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error updating promo code:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Delete promo code
+  async deletePromoCode(id) {
+    try {
+      const { error } = await supabase
+        .from('promo_codes')
+        .delete()
+        .eq('id', id)
+      
+      if (error) throw error
+      return { error: null }
+    } catch (error) {
+      console.error('Error deleting promo code:', error)
+      return { error: error.message }
+    }
+  },
+
+  // Pause a promo code; it can't be redeemed until resumed
+  async pausePromoCode(id) {
+    try {
+      const { data, error } = await supabase
+        .from('promo_codes')
+        .update({ paused_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error pausing promo code:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Resume a paused promo code
+  async resumePromoCode(id) {
+    try {
+      const { data, error } = await supabase
+        .from('promo_codes')
+        .update({ paused_at: null })
+        .eq('id', id)
+        .select()
+
+      if (error) throw error
+      return { data, error: null }
+    } catch (error) {
+      console.error('Error resuming promo code:', error)
+      return { data: null, error: error.message }
+    }
+  },
+
+  // Get one page of redemptions (with room and revenue) made since a timestamp, newest first
+  async getRedemptions({ since = null, page = 0, pageSize = 1000 } = {}) {
+    try {
+      let query = supabase
+        .from('promo_redemption_details')
+        .select('*', { count: 'exact' })
+
+      if (since) query = query.gte('redeemed_at', since)
+
+      const from = page * pageSize
+      const { data, error, count } = await query
+        .order('redeemed_at', { ascending: false })
+        .order('id', { ascending: true })
+        .range(from, from + pageSize - 1)
+
+      if (error) throw error
+      return { data, count, error: null }
+    } catch (error) {
+      console.error('Error fetching promo redemptions:', error)
+      return { data: null, count: 0, error: error.message }
     }
   }
 }
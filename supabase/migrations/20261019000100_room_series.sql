@@ -0,0 +1,42 @@
+-- Recurring room schedules.
+-- A series describes a room template plus a recurrence rule. The admin panel
+-- generates one `rooms` row per matching date ahead of time; each generated
+-- row keeps a pointer back to its series so the series can be edited, paused
+-- or have single occurrences detached.
+
+CREATE TABLE IF NOT EXISTS room_series (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  description TEXT,
+  url TEXT NOT NULL,
+  max_users INT NOT NULL DEFAULT 100,
+  price_inr INT NOT NULL DEFAULT 50,
+  session_start_time TIME NOT NULL,
+  session_end_time TIME NOT NULL,
+  -- 'daily', 'weekdays' (Mon-Fri) or 'custom' (uses weekdays below)
+  recurrence TEXT NOT NULL DEFAULT 'daily'
+    CHECK (recurrence IN ('daily', 'weekdays', 'custom')),
+  -- 0 = Sunday ... 6 = Saturday
+  weekdays INT[] NOT NULL DEFAULT '{}',
+  start_date DATE NOT NULL,
+  end_date DATE,
+  is_paused BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS series_id uuid
+  REFERENCES room_series(id) ON DELETE SET NULL;
+
+-- Detached occurrences keep their series_id (so the date is not generated
+-- again) but are no longer touched by series-wide edits.
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS series_detached BOOLEAN NOT NULL DEFAULT false;
+
+-- One occurrence per series per day, even if two admin tabs generate at once.
+CREATE UNIQUE INDEX IF NOT EXISTS rooms_series_date_key
+  ON rooms (series_id, session_date)
+  WHERE series_id IS NOT NULL;
+
+ALTER TABLE room_series ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all operations on room_series" ON room_series
+FOR ALL USING (true);
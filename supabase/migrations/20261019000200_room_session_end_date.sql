@@ -0,0 +1,20 @@
+-- Overnight and multi-day sessions.
+-- session_end_date is the business-timezone date the session ends on. It is
+-- the day after session_date for overnight rooms (e.g. 22:00-02:00) and can be
+-- several days later for multi-day rooms.
+
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS session_end_date DATE;
+
+UPDATE rooms
+SET session_end_date = CASE
+  WHEN session_end_time <= session_start_time THEN session_date + 1
+  ELSE session_date
+END
+WHERE session_end_date IS NULL
+  AND session_date IS NOT NULL
+  AND session_start_time IS NOT NULL
+  AND session_end_time IS NOT NULL;
+
+-- The live list loads every room whose session touches today
+CREATE INDEX IF NOT EXISTS rooms_session_dates_idx
+  ON rooms (session_date, session_end_date);
@@ -0,0 +1,12 @@
+-- Archived rooms.
+-- Rooms are no longer hard-deleted from the admin panel. Archiving stamps
+-- archived_at, which hides the room from the live list while keeping its
+-- user_sessions (usage and billing history) intact. Purging an archived room
+-- is a separate action in the panel.
+
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+
+-- The archive view lists archived rooms newest first
+CREATE INDEX IF NOT EXISTS rooms_archived_at_idx
+  ON rooms (archived_at DESC)
+  WHERE archived_at IS NOT NULL;
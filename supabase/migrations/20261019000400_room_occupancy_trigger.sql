@@ -0,0 +1,66 @@
+-- Server-side occupancy counting.
+-- rooms.current_users is the number of user_sessions for the room with
+-- rewards_left > 0. It used to be adjusted by +/-1 from every open admin tab,
+-- which lost concurrent updates and counted each join once per tab. It is now
+-- recomputed here, once per session change, inside the same transaction.
+
+-- Recount one room from user_sessions and return the new count.
+-- The room row is locked first so concurrent recounts for the same room run
+-- one after another, and the count statement then sees every committed session.
+CREATE OR REPLACE FUNCTION recount_room_users(p_room_id UUID)
+RETURNS INT
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  active_count INT;
+BEGIN
+  PERFORM 1 FROM rooms WHERE id = p_room_id FOR UPDATE;
+
+  SELECT COUNT(*) INTO active_count
+  FROM user_sessions
+  WHERE room_id = p_room_id
+    AND rewards_left > 0;
+
+  UPDATE rooms
+  SET current_users = active_count
+  WHERE id = p_room_id
+    AND current_users IS DISTINCT FROM active_count;
+
+  RETURN active_count;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION user_sessions_recount_rooms()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') AND OLD.room_id IS NOT NULL THEN
+    PERFORM recount_room_users(OLD.room_id);
+  END IF;
+
+  -- A session moved to another room changes both counts
+  IF TG_OP IN ('INSERT', 'UPDATE') AND NEW.room_id IS NOT NULL
+     AND (TG_OP = 'INSERT' OR NEW.room_id IS DISTINCT FROM OLD.room_id) THEN
+    PERFORM recount_room_users(NEW.room_id);
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS user_sessions_recount_rooms ON user_sessions;
+
+CREATE TRIGGER user_sessions_recount_rooms
+AFTER INSERT OR UPDATE OF room_id, rewards_left OR DELETE ON user_sessions
+FOR EACH ROW
+EXECUTE FUNCTION user_sessions_recount_rooms();
+
+-- Bring existing counts in line with user_sessions
+UPDATE rooms
+SET current_users = (
+  SELECT COUNT(*)
+  FROM user_sessions
+  WHERE user_sessions.room_id = rooms.id
+    AND user_sessions.rewards_left > 0
+);
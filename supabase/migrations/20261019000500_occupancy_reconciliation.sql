@@ -0,0 +1,74 @@
+-- Occupancy reconciliation.
+-- The user_sessions trigger keeps rooms.current_users in sync, but counts can
+-- still drift (rows edited with the trigger disabled, restores from backup,
+-- manual fixes in the table editor). room_occupancy_drift compares every room
+-- with its active sessions, and reconcile_room_occupancy corrects the count and
+-- logs each correction in occupancy_corrections.
+
+CREATE OR REPLACE VIEW room_occupancy_drift AS
+SELECT
+  r.id AS room_id,
+  r.name,
+  r.session_date,
+  r.archived_at,
+  r.current_users,
+  COUNT(s.id)::INT AS active_sessions
+FROM rooms r
+LEFT JOIN user_sessions s
+  ON s.room_id = r.id
+  AND s.rewards_left > 0
+GROUP BY r.id;
+
+CREATE TABLE IF NOT EXISTS occupancy_corrections (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- Set to NULL if the room is purged; the copied room_name keeps the log readable
+  room_id uuid REFERENCES rooms(id) ON DELETE SET NULL,
+  room_name TEXT,
+  previous_count INT,
+  corrected_count INT NOT NULL,
+  source TEXT NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'scheduled')),
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS occupancy_corrections_created_at_idx
+  ON occupancy_corrections (created_at DESC);
+
+ALTER TABLE occupancy_corrections ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all operations on occupancy_corrections" ON occupancy_corrections
+FOR ALL USING (true);
+
+-- Recount one room (or every room when p_room_id is NULL) and return the
+-- corrections that were made. Rooms that already match are left alone.
+CREATE OR REPLACE FUNCTION reconcile_room_occupancy(
+  p_room_id UUID DEFAULT NULL,
+  p_source TEXT DEFAULT 'manual'
+)
+RETURNS SETOF occupancy_corrections
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  target RECORD;
+  v_previous INT;
+  v_corrected INT;
+  correction occupancy_corrections;
+BEGIN
+  FOR target IN
+    SELECT id FROM rooms
+    WHERE p_room_id IS NULL OR id = p_room_id
+    ORDER BY id
+  LOOP
+    SELECT current_users INTO v_previous FROM rooms WHERE id = target.id FOR UPDATE;
+    v_corrected := recount_room_users(target.id);
+
+    IF v_previous IS DISTINCT FROM v_corrected THEN
+      INSERT INTO occupancy_corrections (room_id, room_name, previous_count, corrected_count, source)
+      SELECT id, name, v_previous, v_corrected, p_source
+      FROM rooms WHERE id = target.id
+      RETURNING * INTO correction;
+
+      RETURN NEXT correction;
+    END IF;
+  END LOOP;
+END;
+$$;
@@ -0,0 +1,11 @@
+-- Session inspector.
+-- Admins can flag a user's session from the room's session list, with an
+-- optional reason. Flagging is informational; it does not end the session.
+
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS flagged BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS flag_reason TEXT;
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS flagged_at TIMESTAMPTZ;
+
+-- The inspector loads one room's sessions, most recently active first
+CREATE INDEX IF NOT EXISTS user_sessions_room_activity_idx
+  ON user_sessions (room_id, last_updated DESC);
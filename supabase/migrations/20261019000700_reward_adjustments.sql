@@ -0,0 +1,110 @@
+-- Admin reward adjustments.
+-- Support can grant, deduct or reset a session's rewards_left from the session
+-- inspector. Every change goes through adjust_session_rewards, which updates
+-- user_sessions (so the occupancy trigger recounts the room) and writes a
+-- reward_adjustments row in the same transaction. Adjustment rows can be read
+-- and inserted but never changed or removed.
+
+CREATE TABLE IF NOT EXISTS reward_adjustments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- Cleared if the session's room is purged; room_id and username keep the record traceable
+  session_id uuid REFERENCES user_sessions(id) ON DELETE SET NULL,
+  room_id uuid,
+  username TEXT,
+  mode TEXT NOT NULL CHECK (mode IN ('grant', 'deduct', 'reset')),
+  amount INT NOT NULL CHECK (amount >= 0),
+  previous_rewards INT NOT NULL,
+  new_rewards INT NOT NULL,
+  reason TEXT NOT NULL CHECK (length(trim(reason)) > 0),
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS reward_adjustments_session_idx
+  ON reward_adjustments (session_id, created_at DESC);
+
+ALTER TABLE reward_adjustments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow reading reward_adjustments" ON reward_adjustments
+FOR SELECT USING (true);
+
+CREATE POLICY "Allow inserting reward_adjustments" ON reward_adjustments
+FOR INSERT WITH CHECK (true);
+
+-- There is no UPDATE or DELETE policy; this trigger also covers the service
+-- role and the SQL editor. Clearing session_id when a room is purged is the
+-- only change allowed.
+CREATE OR REPLACE FUNCTION reward_adjustments_immutable()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF TG_OP = 'UPDATE'
+     AND OLD.session_id IS NOT NULL
+     AND NEW.session_id IS NULL
+     AND (to_jsonb(NEW) - 'session_id') = (to_jsonb(OLD) - 'session_id') THEN
+    RETURN NEW;
+  END IF;
+
+  RAISE EXCEPTION 'reward_adjustments rows cannot be changed or deleted';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS reward_adjustments_immutable ON reward_adjustments;
+
+CREATE TRIGGER reward_adjustments_immutable
+BEFORE UPDATE OR DELETE ON reward_adjustments
+FOR EACH ROW
+EXECUTE FUNCTION reward_adjustments_immutable();
+
+-- Grant adds p_amount, deduct removes it (never below 0), reset sets
+-- rewards_left to p_amount (0 ends the session).
+CREATE OR REPLACE FUNCTION adjust_session_rewards(
+  p_session_id UUID,
+  p_mode TEXT,
+  p_amount INT,
+  p_reason TEXT
+)
+RETURNS reward_adjustments
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  session user_sessions;
+  v_new INT;
+  adjustment reward_adjustments;
+BEGIN
+  IF p_reason IS NULL OR length(trim(p_reason)) = 0 THEN
+    RAISE EXCEPTION 'A reason is required';
+  END IF;
+
+  IF p_amount IS NULL OR p_amount < 0 THEN
+    RAISE EXCEPTION 'Amount must be 0 or more';
+  END IF;
+
+  SELECT * INTO session FROM user_sessions WHERE id = p_session_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Session not found';
+  END IF;
+
+  v_new := CASE p_mode
+    WHEN 'grant' THEN session.rewards_left + p_amount
+    WHEN 'deduct' THEN GREATEST(session.rewards_left - p_amount, 0)
+    WHEN 'reset' THEN p_amount
+  END;
+
+  IF v_new IS NULL THEN
+    RAISE EXCEPTION 'Unknown adjustment mode: %', p_mode;
+  END IF;
+
+  UPDATE user_sessions
+  SET rewards_left = v_new,
+      last_updated = now()
+  WHERE id = p_session_id;
+
+  INSERT INTO reward_adjustments (session_id, room_id, username, mode, amount, previous_rewards, new_rewards, reason)
+  VALUES (session.id, session.room_id, session.username, p_mode, p_amount, session.rewards_left, v_new, trim(p_reason))
+  RETURNING * INTO adjustment;
+
+  RETURN adjustment;
+END;
+$$;
@@ -0,0 +1,44 @@
+-- Idle session expiry.
+-- A session is idle when it still has rewards but last_updated is older than
+-- the admin's idle threshold. Abandoned sessions like these keep rooms "Full".
+-- expire_idle_sessions resets them to 0 through adjust_session_rewards, so each
+-- expiry is logged in reward_adjustments and the occupancy trigger recounts
+-- the room.
+
+CREATE INDEX IF NOT EXISTS user_sessions_active_last_updated_idx
+  ON user_sessions (last_updated)
+  WHERE rewards_left > 0;
+
+-- Expire idle sessions in one room (or every room when p_room_id is NULL).
+-- Returns the adjustment records written.
+CREATE OR REPLACE FUNCTION expire_idle_sessions(
+  p_idle_minutes INT,
+  p_room_id UUID DEFAULT NULL,
+  p_reason TEXT DEFAULT NULL
+)
+RETURNS SETOF reward_adjustments
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  stale RECORD;
+BEGIN
+  IF p_idle_minutes IS NULL OR p_idle_minutes < 1 THEN
+    RAISE EXCEPTION 'Idle threshold must be at least 1 minute';
+  END IF;
+
+  FOR stale IN
+    SELECT id FROM user_sessions
+    WHERE rewards_left > 0
+      AND last_updated < now() - make_interval(mins => p_idle_minutes)
+      AND (p_room_id IS NULL OR room_id = p_room_id)
+    ORDER BY last_updated
+  LOOP
+    RETURN NEXT adjust_session_rewards(
+      stale.id,
+      'reset',
+      0,
+      COALESCE(p_reason, format('Expired after %s minutes idle', p_idle_minutes))
+    );
+  END LOOP;
+END;
+$$;
@@ -0,0 +1,76 @@
+-- Occupancy history.
+-- Every change to a room's current_users (or max_users) is recorded as a
+-- sample, so occupancy can be drawn over the session window and aggregated
+-- into a day/hour heatmap. Samples are written by the database, not by admin
+-- tabs, so each change is recorded exactly once.
+
+CREATE TABLE IF NOT EXISTS room_occupancy_samples (
+  id BIGSERIAL PRIMARY KEY,
+  room_id uuid NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+  current_users INT NOT NULL,
+  max_users INT,
+  sampled_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS room_occupancy_samples_room_idx
+  ON room_occupancy_samples (room_id, sampled_at);
+
+CREATE INDEX IF NOT EXISTS room_occupancy_samples_sampled_at_idx
+  ON room_occupancy_samples (sampled_at);
+
+ALTER TABLE room_occupancy_samples ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow reading room_occupancy_samples" ON room_occupancy_samples
+FOR SELECT USING (true);
+
+CREATE OR REPLACE FUNCTION rooms_record_occupancy_sample()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT'
+     OR NEW.current_users IS DISTINCT FROM OLD.current_users
+     OR NEW.max_users IS DISTINCT FROM OLD.max_users THEN
+    INSERT INTO room_occupancy_samples (room_id, current_users, max_users)
+    VALUES (NEW.id, COALESCE(NEW.current_users, 0), NEW.max_users);
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS rooms_record_occupancy_sample ON rooms;
+
+CREATE TRIGGER rooms_record_occupancy_sample
+AFTER INSERT OR UPDATE OF current_users, max_users ON rooms
+FOR EACH ROW
+EXECUTE FUNCTION rooms_record_occupancy_sample();
+
+-- Peak occupancy per weekday (0 = Sunday) and hour in the given timezone,
+-- across every room sampled between p_from and p_to.
+CREATE OR REPLACE FUNCTION get_occupancy_heatmap(
+  p_from TIMESTAMPTZ,
+  p_to TIMESTAMPTZ,
+  p_timezone TEXT DEFAULT 'Asia/Kolkata'
+)
+RETURNS TABLE (
+  weekday INT,
+  hour INT,
+  peak_users INT,
+  peak_percent NUMERIC,
+  sample_count INT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    EXTRACT(DOW FROM sampled_at AT TIME ZONE p_timezone)::INT AS weekday,
+    EXTRACT(HOUR FROM sampled_at AT TIME ZONE p_timezone)::INT AS hour,
+    MAX(current_users) AS peak_users,
+    ROUND(MAX(current_users::NUMERIC * 100 / NULLIF(max_users, 0)), 1) AS peak_percent,
+    COUNT(*)::INT AS sample_count
+  FROM room_occupancy_samples
+  WHERE sampled_at >= p_from
+    AND sampled_at < p_to
+  GROUP BY 1, 2;
+$$;
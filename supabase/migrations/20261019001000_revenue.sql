@@ -0,0 +1,77 @@
+-- Revenue reporting.
+-- Revenue is counted per session: each user_sessions row is one paid entry
+-- at its room's price_inr. Promo codes reduce that by their discount_amount,
+-- recorded in promo_redemptions when the user app applies a code to a session
+-- (see redeem_promo_code). session_revenue joins the three so the admin panel
+-- can total gross, discount and net revenue per room, day and influencer.
+
+CREATE TABLE IF NOT EXISTS promo_redemptions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  promo_code_id uuid REFERENCES promo_codes(id) ON DELETE SET NULL,
+  -- Copied at redemption so reports survive promo code edits and deletes
+  code TEXT NOT NULL,
+  influencer_id TEXT,
+  discount_amount NUMERIC NOT NULL DEFAULT 0,
+  session_id uuid UNIQUE REFERENCES user_sessions(id) ON DELETE CASCADE,
+  redeemed_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS promo_redemptions_promo_code_idx
+  ON promo_redemptions (promo_code_id, redeemed_at);
+
+ALTER TABLE promo_redemptions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all operations on promo_redemptions" ON promo_redemptions
+FOR ALL USING (true);
+
+-- Called by the user app when a code is applied to a session. Checks the code
+-- is usable, counts the use and records the redemption in one transaction.
+CREATE OR REPLACE FUNCTION redeem_promo_code(p_code TEXT, p_session_id UUID)
+RETURNS promo_redemptions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  promo promo_codes;
+  redemption promo_redemptions;
+BEGIN
+  SELECT * INTO promo FROM promo_codes WHERE code = p_code FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Promo code not found';
+  END IF;
+
+  IF promo.expiry_date IS NOT NULL AND promo.expiry_date < now() THEN
+    RAISE EXCEPTION 'Promo code has expired';
+  END IF;
+
+  IF COALESCE(promo.total_uses, 0) >= promo.max_uses THEN
+    RAISE EXCEPTION 'Promo code has no uses left';
+  END IF;
+
+  UPDATE promo_codes
+  SET total_uses = COALESCE(total_uses, 0) + 1
+  WHERE id = promo.id;
+
+  INSERT INTO promo_redemptions (promo_code_id, code, influencer_id, discount_amount, session_id)
+  VALUES (promo.id, promo.code, promo.influencer_id, promo.discount_amount, p_session_id)
+  RETURNING * INTO redemption;
+
+  RETURN redemption;
+END;
+$$;
+
+-- One row per session. The discount never exceeds the room price.
+CREATE OR REPLACE VIEW session_revenue AS
+SELECT
+  s.id AS session_id,
+  s.room_id,
+  r.name AS room_name,
+  r.session_date,
+  COALESCE(r.price_inr, 0) AS gross_inr,
+  LEAST(COALESCE(p.discount_amount, 0), COALESCE(r.price_inr, 0)) AS discount_inr,
+  COALESCE(r.price_inr, 0) - LEAST(COALESCE(p.discount_amount, 0), COALESCE(r.price_inr, 0)) AS net_inr,
+  p.code AS promo_code,
+  p.influencer_id
+FROM user_sessions s
+JOIN rooms r ON r.id = s.room_id
+LEFT JOIN promo_redemptions p ON p.session_id = s.id;
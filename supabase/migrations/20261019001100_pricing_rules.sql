@@ -0,0 +1,36 @@
+-- Dynamic pricing rules.
+-- rooms.price_inr stays the base price. Active rules adjust it at the moment a
+-- user joins; the admin panel computes the result in src/lib/pricing.js.
+--
+--   time_window  applies between start_time and end_time (business timezone) on
+--                the given weekdays, e.g. weekend or peak-hour surcharges
+--   early_bird   applies when joining at least minutes_before_start minutes
+--                before the session starts
+--   occupancy    applies once the room is at least occupancy_percent full
+--
+-- adjustment_value is a percentage of the base price or a fixed rupee amount;
+-- positive values are surcharges, negative values discounts.
+
+CREATE TABLE IF NOT EXISTS pricing_rules (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  rule_type TEXT NOT NULL CHECK (rule_type IN ('time_window', 'early_bird', 'occupancy')),
+  adjustment_type TEXT NOT NULL DEFAULT 'percent' CHECK (adjustment_type IN ('percent', 'fixed')),
+  adjustment_value NUMERIC NOT NULL,
+  -- 0 = Sunday; NULL means every day
+  weekdays INT[],
+  start_time TIME,
+  end_time TIME,
+  minutes_before_start INT CHECK (minutes_before_start > 0),
+  occupancy_percent INT CHECK (occupancy_percent BETWEEN 1 AND 100),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  CHECK (rule_type <> 'time_window' OR (start_time IS NOT NULL AND end_time IS NOT NULL)),
+  CHECK (rule_type <> 'early_bird' OR minutes_before_start IS NOT NULL),
+  CHECK (rule_type <> 'occupancy' OR occupancy_percent IS NOT NULL)
+);
+
+ALTER TABLE pricing_rules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all operations on pricing_rules" ON pricing_rules
+FOR ALL USING (true);
@@ -0,0 +1,118 @@
+-- End-of-session close-out.
+-- Once a room's session has ended (plus the admin's grace period), the admin
+-- panel closes it out: remaining sessions are reset to 0 rewards through
+-- adjust_session_rewards (so each one is audited and the occupancy trigger
+-- zeroes current_users) and a summary row is written to room_closeouts.
+-- rooms.closed_out_at marks rooms that have been closed out.
+
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS closed_out_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS room_closeouts (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- NULL once the room is purged; room_name still names it in the summary
+  room_id uuid REFERENCES rooms(id) ON DELETE SET NULL,
+  room_name TEXT,
+  session_start TIMESTAMPTZ NOT NULL,
+  session_end TIMESTAMPTZ NOT NULL,
+  duration_minutes INT NOT NULL,
+  peak_users INT NOT NULL DEFAULT 0,
+  total_sessions INT NOT NULL DEFAULT 0,
+  sessions_ended INT NOT NULL DEFAULT 0,
+  gross_inr NUMERIC NOT NULL DEFAULT 0,
+  discount_inr NUMERIC NOT NULL DEFAULT 0,
+  net_inr NUMERIC NOT NULL DEFAULT 0,
+  grace_minutes INT NOT NULL DEFAULT 0,
+  source TEXT NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'auto')),
+  closed_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS room_closeouts_room_key
+  ON room_closeouts (room_id)
+  WHERE room_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS room_closeouts_closed_at_idx
+  ON room_closeouts (closed_at DESC);
+
+ALTER TABLE room_closeouts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all operations on room_closeouts" ON room_closeouts
+FOR ALL USING (true);
+
+-- Close out one room. The session window is passed in because it is resolved
+-- in the business timezone by the admin panel (src/lib/schedule.js).
+CREATE OR REPLACE FUNCTION close_out_room(
+  p_room_id UUID,
+  p_session_start TIMESTAMPTZ,
+  p_session_end TIMESTAMPTZ,
+  p_grace_minutes INT DEFAULT 0,
+  p_source TEXT DEFAULT 'manual'
+)
+RETURNS room_closeouts
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  target rooms;
+  open_session RECORD;
+  v_ended INT := 0;
+  v_peak INT;
+  closeout room_closeouts;
+BEGIN
+  SELECT * INTO target FROM rooms WHERE id = p_room_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Room not found';
+  END IF;
+
+  IF target.closed_out_at IS NOT NULL THEN
+    RAISE EXCEPTION 'Room has already been closed out';
+  END IF;
+
+  IF now() < p_session_end THEN
+    RAISE EXCEPTION 'Room session has not ended yet';
+  END IF;
+
+  -- Peak before anything is ended, so the close-out doesn't count as the low point
+  SELECT MAX(current_users) INTO v_peak
+  FROM room_occupancy_samples
+  WHERE room_id = p_room_id
+    AND sampled_at BETWEEN p_session_start AND now();
+
+  FOR open_session IN
+    SELECT id FROM user_sessions
+    WHERE room_id = p_room_id AND rewards_left > 0
+  LOOP
+    PERFORM adjust_session_rewards(open_session.id, 'reset', 0, 'Room closed out at end of session');
+    v_ended := v_ended + 1;
+  END LOOP;
+
+  -- The trigger already recounted after each reset; this also clears any drift
+  PERFORM recount_room_users(p_room_id);
+
+  INSERT INTO room_closeouts (
+    room_id, room_name, session_start, session_end, duration_minutes,
+    peak_users, total_sessions, sessions_ended, gross_inr, discount_inr, net_inr,
+    grace_minutes, source
+  )
+  SELECT
+    target.id,
+    target.name,
+    p_session_start,
+    p_session_end,
+    GREATEST(0, ROUND(EXTRACT(EPOCH FROM (p_session_end - p_session_start)) / 60))::INT,
+    GREATEST(COALESCE(v_peak, 0), COALESCE(target.current_users, 0)),
+    COUNT(r.session_id)::INT,
+    v_ended,
+    COALESCE(SUM(r.gross_inr), 0),
+    COALESCE(SUM(r.discount_inr), 0),
+    COALESCE(SUM(r.net_inr), 0),
+    COALESCE(p_grace_minutes, 0),
+    p_source
+  FROM session_revenue r
+  WHERE r.room_id = p_room_id
+  RETURNING * INTO closeout;
+
+  UPDATE rooms SET closed_out_at = now() WHERE id = p_room_id;
+
+  RETURN closeout;
+END;
+$$;
@@ -0,0 +1,44 @@
+-- Room categories and tags.
+-- A category groups rooms into a family (creator, theme, price tier) and
+-- carries the defaults the Add Room form starts from. Tags are free-form
+-- labels for anything that doesn't warrant a category.
+
+CREATE TABLE IF NOT EXISTS room_categories (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL UNIQUE,
+  default_price_inr INT CHECK (default_price_inr IS NULL OR default_price_inr > 0),
+  default_max_users INT CHECK (default_max_users IS NULL OR default_max_users > 0),
+  description_template TEXT,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+ALTER TABLE room_categories ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all operations on room_categories" ON room_categories
+FOR ALL USING (true);
+
+-- Deleting a category leaves its rooms uncategorised
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS category_id uuid REFERENCES room_categories(id) ON DELETE SET NULL;
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS rooms_category_id_idx ON rooms (category_id);
+CREATE INDEX IF NOT EXISTS rooms_tags_idx ON rooms USING GIN (tags);
+
+-- Revenue rollups by category. New columns go at the end so the view can be replaced in place.
+CREATE OR REPLACE VIEW session_revenue AS
+SELECT
+  s.id AS session_id,
+  s.room_id,
+  r.name AS room_name,
+  r.session_date,
+  COALESCE(r.price_inr, 0) AS gross_inr,
+  LEAST(COALESCE(p.discount_amount, 0), COALESCE(r.price_inr, 0)) AS discount_inr,
+  COALESCE(r.price_inr, 0) - LEAST(COALESCE(p.discount_amount, 0), COALESCE(r.price_inr, 0)) AS net_inr,
+  p.code AS promo_code,
+  p.influencer_id,
+  r.category_id,
+  c.name AS category_name
+FROM user_sessions s
+JOIN rooms r ON r.id = s.room_id
+LEFT JOIN room_categories c ON c.id = r.category_id
+LEFT JOIN promo_redemptions p ON p.session_id = s.id;
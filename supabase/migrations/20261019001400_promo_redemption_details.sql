@@ -0,0 +1,24 @@
+-- Promo code analytics.
+-- One row per redemption with the room it was used in and what that session
+-- paid, so the promo code manager can show per-code usage over time, the rooms
+-- a code was used for and the revenue it drove. Amounts come from
+-- session_revenue so they match the revenue dashboard.
+
+CREATE OR REPLACE VIEW promo_redemption_details AS
+SELECT
+  p.id,
+  p.promo_code_id,
+  p.code,
+  p.influencer_id,
+  p.redeemed_at,
+  p.session_id,
+  sr.room_id,
+  sr.room_name,
+  sr.gross_inr,
+  sr.discount_inr,
+  sr.net_inr
+FROM promo_redemptions p
+LEFT JOIN session_revenue sr ON sr.session_id = p.session_id;
+
+CREATE INDEX IF NOT EXISTS promo_redemptions_redeemed_at_idx
+  ON promo_redemptions (redeemed_at);
@@ -0,0 +1,32 @@
+-- Bulk promo code generation.
+-- Campaign codes are generated in batches of hundreds; the generator checks for
+-- clashes before inserting, and this index makes sure two admins generating at
+-- the same time can't both insert the same code.
+
+-- Codes created before the index may already clash. The oldest code keeps its
+-- name (it is the one redemptions have been going to) and each later copy is
+-- renamed to CODE-DUP-<first 8 characters of its id>; its promo_code_id links
+-- to redemptions are unchanged. Renamed codes are listed in the migration output.
+DO $$
+DECLARE
+  duplicate RECORD;
+BEGIN
+  FOR duplicate IN
+    SELECT id, code
+    FROM (
+      SELECT id, code, ROW_NUMBER() OVER (PARTITION BY code ORDER BY created_at, id) AS position
+      FROM promo_codes
+    ) ranked
+    WHERE position > 1
+  LOOP
+    UPDATE promo_codes
+    SET code = duplicate.code || '-DUP-' || left(duplicate.id::TEXT, 8)
+    WHERE id = duplicate.id;
+
+    RAISE NOTICE 'Duplicate promo code % (%) renamed to %-DUP-%',
+      duplicate.code, duplicate.id, duplicate.code, left(duplicate.id::TEXT, 8);
+  END LOOP;
+END;
+$$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS promo_codes_code_key ON promo_codes (code);
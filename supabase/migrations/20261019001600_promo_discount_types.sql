@@ -0,0 +1,81 @@
+-- Promo discount types.
+-- A code takes either a flat rupee amount or a percentage off the room price.
+-- discount_amount holds the rupees for flat codes and the percentage for
+-- percent codes. max_discount_inr caps what a percent code can take off and
+-- min_price_inr keeps a code off rooms cheaper than that price.
+
+ALTER TABLE promo_codes ADD COLUMN IF NOT EXISTS discount_type TEXT NOT NULL DEFAULT 'flat';
+ALTER TABLE promo_codes ADD COLUMN IF NOT EXISTS max_discount_inr NUMERIC;
+ALTER TABLE promo_codes ADD COLUMN IF NOT EXISTS min_price_inr NUMERIC;
+
+ALTER TABLE promo_codes ADD CONSTRAINT promo_codes_discount_type_check
+  CHECK (discount_type IN ('flat', 'percent'));
+ALTER TABLE promo_codes ADD CONSTRAINT promo_codes_percent_range_check
+  CHECK (discount_type <> 'percent' OR (discount_amount > 0 AND discount_amount <= 100));
+ALTER TABLE promo_codes ADD CONSTRAINT promo_codes_max_discount_check
+  CHECK (max_discount_inr IS NULL OR max_discount_inr > 0);
+ALTER TABLE promo_codes ADD CONSTRAINT promo_codes_min_price_check
+  CHECK (min_price_inr IS NULL OR min_price_inr > 0);
+
+-- promo_redemptions.discount_amount now records the rupees actually taken off
+-- the session's room price, whatever the code's type.
+CREATE OR REPLACE FUNCTION redeem_promo_code(p_code TEXT, p_session_id UUID)
+RETURNS promo_redemptions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  promo promo_codes;
+  room_price NUMERIC;
+  discount NUMERIC;
+  redemption promo_redemptions;
+BEGIN
+  SELECT * INTO promo FROM promo_codes WHERE code = p_code FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Promo code not found';
+  END IF;
+
+  IF promo.expiry_date IS NOT NULL AND promo.expiry_date < now() THEN
+    RAISE EXCEPTION 'Promo code has expired';
+  END IF;
+
+  IF COALESCE(promo.total_uses, 0) >= promo.max_uses THEN
+    RAISE EXCEPTION 'Promo code has no uses left';
+  END IF;
+
+  SELECT COALESCE(r.price_inr, 0) INTO room_price
+  FROM user_sessions s
+  JOIN rooms r ON r.id = s.room_id
+  WHERE s.id = p_session_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Session not found';
+  END IF;
+
+  IF promo.min_price_inr IS NOT NULL AND room_price < promo.min_price_inr THEN
+    RAISE EXCEPTION 'Promo code only applies to rooms priced at ₹% or more', promo.min_price_inr;
+  END IF;
+
+  IF promo.discount_type = 'percent' THEN
+    discount := round(room_price * promo.discount_amount / 100, 2);
+  ELSE
+    discount := promo.discount_amount;
+  END IF;
+
+  IF promo.max_discount_inr IS NOT NULL THEN
+    discount := LEAST(discount, promo.max_discount_inr);
+  END IF;
+
+  discount := LEAST(discount, room_price);
+
+  UPDATE promo_codes
+  SET total_uses = COALESCE(total_uses, 0) + 1
+  WHERE id = promo.id;
+
+  INSERT INTO promo_redemptions (promo_code_id, code, influencer_id, discount_amount, session_id)
+  VALUES (promo.id, promo.code, promo.influencer_id, discount, p_session_id)
+  RETURNING * INTO redemption;
+
+  RETURN redemption;
+END;
+$$;
@@ -0,0 +1,120 @@
+-- Promo code scope.
+-- A code can be limited to specific rooms, room categories or room tags; when
+-- any of these is set the room must match at least one of them. It can also be
+-- limited to weekdays (0 = Sunday) and an hour window (which may run past
+-- midnight), and given a start date alongside expiry_date. NULL means no
+-- restriction. Days, hours and the start date are judged in the business
+-- timezone at redemption.
+
+ALTER TABLE promo_codes ADD COLUMN IF NOT EXISTS room_ids uuid[];
+ALTER TABLE promo_codes ADD COLUMN IF NOT EXISTS category_ids uuid[];
+ALTER TABLE promo_codes ADD COLUMN IF NOT EXISTS room_tags TEXT[];
+ALTER TABLE promo_codes ADD COLUMN IF NOT EXISTS weekdays INT[];
+ALTER TABLE promo_codes ADD COLUMN IF NOT EXISTS start_time TIME;
+ALTER TABLE promo_codes ADD COLUMN IF NOT EXISTS end_time TIME;
+ALTER TABLE promo_codes ADD COLUMN IF NOT EXISTS start_date DATE;
+
+ALTER TABLE promo_codes ADD CONSTRAINT promo_codes_hours_check
+  CHECK ((start_time IS NULL) = (end_time IS NULL) AND (start_time IS NULL OR start_time <> end_time));
+
+-- The timezone argument changes the signature, so replace the old function
+DROP FUNCTION IF EXISTS redeem_promo_code(TEXT, UUID);
+
+CREATE OR REPLACE FUNCTION redeem_promo_code(
+  p_code TEXT,
+  p_session_id UUID,
+  p_timezone TEXT DEFAULT 'Asia/Kolkata'
+)
+RETURNS promo_redemptions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  promo promo_codes;
+  room rooms;
+  room_price NUMERIC;
+  local_now TIMESTAMP := now() AT TIME ZONE p_timezone;
+  local_time TIME := local_now::TIME;
+  discount NUMERIC;
+  redemption promo_redemptions;
+BEGIN
+  SELECT * INTO promo FROM promo_codes WHERE code = p_code FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Promo code not found';
+  END IF;
+
+  IF promo.start_date IS NOT NULL AND local_now::DATE < promo.start_date THEN
+    RAISE EXCEPTION 'Promo code is not active yet';
+  END IF;
+
+  IF promo.expiry_date IS NOT NULL AND promo.expiry_date < now() THEN
+    RAISE EXCEPTION 'Promo code has expired';
+  END IF;
+
+  IF COALESCE(promo.total_uses, 0) >= promo.max_uses THEN
+    RAISE EXCEPTION 'Promo code has no uses left';
+  END IF;
+
+  IF COALESCE(array_length(promo.weekdays, 1), 0) > 0
+    AND NOT EXTRACT(DOW FROM local_now)::INT = ANY (promo.weekdays) THEN
+    RAISE EXCEPTION 'Promo code is not valid today';
+  END IF;
+
+  IF promo.start_time IS NOT NULL AND NOT (
+    CASE WHEN promo.start_time < promo.end_time
+      THEN local_time >= promo.start_time AND local_time < promo.end_time
+      ELSE local_time >= promo.start_time OR local_time < promo.end_time
+    END
+  ) THEN
+    RAISE EXCEPTION 'Promo code is not valid at this time';
+  END IF;
+
+  SELECT r.* INTO room
+  FROM user_sessions s
+  JOIN rooms r ON r.id = s.room_id
+  WHERE s.id = p_session_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Session not found';
+  END IF;
+
+  IF COALESCE(array_length(promo.room_ids, 1), 0)
+    + COALESCE(array_length(promo.category_ids, 1), 0)
+    + COALESCE(array_length(promo.room_tags, 1), 0) > 0
+    AND NOT (
+      room.id = ANY (COALESCE(promo.room_ids, '{}'))
+      OR room.category_id = ANY (COALESCE(promo.category_ids, '{}'))
+      OR COALESCE(room.tags, '{}') && COALESCE(promo.room_tags, '{}')
+    ) THEN
+    RAISE EXCEPTION 'Promo code is not valid for this room';
+  END IF;
+
+  room_price := COALESCE(room.price_inr, 0);
+
+  IF promo.min_price_inr IS NOT NULL AND room_price < promo.min_price_inr THEN
+    RAISE EXCEPTION 'Promo code only applies to rooms priced at ₹% or more', promo.min_price_inr;
+  END IF;
+
+  IF promo.discount_type = 'percent' THEN
+    discount := round(room_price * promo.discount_amount / 100, 2);
+  ELSE
+    discount := promo.discount_amount;
+  END IF;
+
+  IF promo.max_discount_inr IS NOT NULL THEN
+    discount := LEAST(discount, promo.max_discount_inr);
+  END IF;
+
+  discount := LEAST(discount, room_price);
+
+  UPDATE promo_codes
+  SET total_uses = COALESCE(total_uses, 0) + 1
+  WHERE id = promo.id;
+
+  INSERT INTO promo_redemptions (promo_code_id, code, influencer_id, discount_amount, session_id)
+  VALUES (promo.id, promo.code, promo.influencer_id, discount, p_session_id)
+  RETURNING * INTO redemption;
+
+  RETURN redemption;
+END;
+$$;
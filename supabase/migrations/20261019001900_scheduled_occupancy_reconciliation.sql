@@ -0,0 +1,82 @@
+-- Scheduled occupancy reconciliation.
+-- Automatic jobs run in the database with pg_cron, so they happen whether or
+-- not an admin has the panel open and only once however many tabs are open.
+-- Their settings live in automation_settings, a single row shared by every
+-- admin; the admin panel only edits it.
+--
+-- reconcile_minutes is how often rooms are recounted (0 = off). The job checks
+-- every minute whether a run is due and recounts the rooms that aren't
+-- archived and whose session touches today or later.
+
+CREATE EXTENSION IF NOT EXISTS pg_cron;
+
+CREATE TABLE IF NOT EXISTS automation_settings (
+  id BOOLEAN PRIMARY KEY DEFAULT true CHECK (id),
+  reconcile_minutes INT NOT NULL DEFAULT 0 CHECK (reconcile_minutes >= 0),
+  last_reconciled_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+INSERT INTO automation_settings (id) VALUES (true) ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE automation_settings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all operations on automation_settings" ON automation_settings
+FOR ALL USING (true);
+
+-- The drift report is limited to the same rooms. New columns go at the end so
+-- the view can be replaced in place.
+CREATE OR REPLACE VIEW room_occupancy_drift AS
+SELECT
+  r.id AS room_id,
+  r.name,
+  r.session_date,
+  r.archived_at,
+  r.current_users,
+  COUNT(s.id)::INT AS active_sessions,
+  r.session_end_date
+FROM rooms r
+LEFT JOIN user_sessions s
+  ON s.room_id = r.id
+  AND s.rewards_left > 0
+GROUP BY r.id;
+
+-- Recount today's and upcoming rooms if a scheduled run is due. Returns the
+-- number of corrections made.
+CREATE OR REPLACE FUNCTION run_scheduled_reconciliation(p_timezone TEXT DEFAULT 'Asia/Kolkata')
+RETURNS INT
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  settings automation_settings;
+  today DATE := (now() AT TIME ZONE p_timezone)::DATE;
+  target RECORD;
+  v_corrected INT := 0;
+BEGIN
+  SELECT * INTO settings FROM automation_settings WHERE id FOR UPDATE;
+
+  IF NOT FOUND OR settings.reconcile_minutes = 0 THEN
+    RETURN 0;
+  END IF;
+
+  IF settings.last_reconciled_at IS NOT NULL
+    AND settings.last_reconciled_at > now() - make_interval(mins => settings.reconcile_minutes) THEN
+    RETURN 0;
+  END IF;
+
+  FOR target IN
+    SELECT id FROM rooms
+    WHERE archived_at IS NULL
+      AND (session_end_date >= today OR session_date >= today)
+    ORDER BY id
+  LOOP
+    v_corrected := v_corrected + (SELECT COUNT(*) FROM reconcile_room_occupancy(target.id, 'scheduled'))::INT;
+  END LOOP;
+
+  UPDATE automation_settings SET last_reconciled_at = now() WHERE id;
+
+  RETURN v_corrected;
+END;
+$$;
+
+SELECT cron.schedule('reconcile-room-occupancy', '* * * * *', 'SELECT run_scheduled_reconciliation()');
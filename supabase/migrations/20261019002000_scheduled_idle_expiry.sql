@@ -0,0 +1,28 @@
+-- Scheduled idle session expiry.
+-- The idle threshold is one setting for every admin, stored in
+-- automation_settings next to the occupancy schedule. With auto_expire on, a
+-- pg_cron job expires idle sessions every minute through expire_idle_sessions,
+-- so each expiry is still logged in reward_adjustments.
+
+ALTER TABLE automation_settings ADD COLUMN IF NOT EXISTS idle_minutes INT NOT NULL DEFAULT 30 CHECK (idle_minutes >= 1);
+ALTER TABLE automation_settings ADD COLUMN IF NOT EXISTS auto_expire BOOLEAN NOT NULL DEFAULT false;
+
+-- Expire idle sessions if automatic expiry is on. Returns the number expired.
+CREATE OR REPLACE FUNCTION run_scheduled_idle_expiry()
+RETURNS INT
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  settings automation_settings;
+BEGIN
+  SELECT * INTO settings FROM automation_settings WHERE id;
+
+  IF NOT FOUND OR NOT settings.auto_expire THEN
+    RETURN 0;
+  END IF;
+
+  RETURN (SELECT COUNT(*) FROM expire_idle_sessions(settings.idle_minutes))::INT;
+END;
+$$;
+
+SELECT cron.schedule('expire-idle-sessions', '* * * * *', 'SELECT run_scheduled_idle_expiry()');
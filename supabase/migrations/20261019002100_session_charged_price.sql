@@ -0,0 +1,77 @@
+-- Charged price per session.
+-- Revenue used to be read from the room's current price_inr, so editing a
+-- room's price rewrote its past revenue, and sessions priced by pricing rules
+-- were counted at the base price. user_sessions.price_inr now records what the
+-- user was charged when they joined. The user app should pass the effective
+-- price it charged (base price plus pricing rules, see src/lib/pricing.js);
+-- when it doesn't, the room's price at that moment is filled in. Moving a
+-- session to another room keeps the price it was charged.
+
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS price_inr NUMERIC CHECK (price_inr IS NULL OR price_inr >= 0);
+
+-- Existing sessions can only be given their room's price as it stands today
+UPDATE user_sessions s
+SET price_inr = COALESCE(r.price_inr, 0)
+FROM rooms r
+WHERE r.id = s.room_id
+  AND s.price_inr IS NULL;
+
+CREATE OR REPLACE FUNCTION user_sessions_set_price()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.price_inr IS NULL THEN
+    SELECT COALESCE(price_inr, 0) INTO NEW.price_inr FROM rooms WHERE id = NEW.room_id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS user_sessions_set_price ON user_sessions;
+
+CREATE TRIGGER user_sessions_set_price
+BEFORE INSERT ON user_sessions
+FOR EACH ROW
+EXECUTE FUNCTION user_sessions_set_price();
+
+-- The amount columns change type, so both views are dropped and recreated
+-- (promo_redemption_details reads session_revenue).
+DROP VIEW IF EXISTS promo_redemption_details;
+DROP VIEW IF EXISTS session_revenue;
+
+-- One row per session. The discount never exceeds the price charged.
+CREATE VIEW session_revenue AS
+SELECT
+  s.id AS session_id,
+  s.room_id,
+  r.name AS room_name,
+  r.session_date,
+  COALESCE(s.price_inr, 0) AS gross_inr,
+  LEAST(COALESCE(p.discount_amount, 0), COALESCE(s.price_inr, 0)) AS discount_inr,
+  COALESCE(s.price_inr, 0) - LEAST(COALESCE(p.discount_amount, 0), COALESCE(s.price_inr, 0)) AS net_inr,
+  p.code AS promo_code,
+  p.influencer_id,
+  r.category_id,
+  c.name AS category_name
+FROM user_sessions s
+JOIN rooms r ON r.id = s.room_id
+LEFT JOIN room_categories c ON c.id = r.category_id
+LEFT JOIN promo_redemptions p ON p.session_id = s.id;
+
+CREATE VIEW promo_redemption_details AS
+SELECT
+  p.id,
+  p.promo_code_id,
+  p.code,
+  p.influencer_id,
+  p.redeemed_at,
+  p.session_id,
+  sr.room_id,
+  sr.room_name,
+  sr.gross_inr,
+  sr.discount_inr,
+  sr.net_inr
+FROM promo_redemptions p
+LEFT JOIN session_revenue sr ON sr.session_id = p.session_id;
@@ -0,0 +1,108 @@
+-- Promo discounts on the price charged.
+-- Percentage discounts, the cap and the minimum price are worked out from the
+-- price the session was charged (user_sessions.price_inr, the room's price
+-- after pricing rules), not the room's base price, so a code takes the same
+-- share of what the user actually pays and matches session_revenue.
+
+CREATE OR REPLACE FUNCTION redeem_promo_code(
+  p_code TEXT,
+  p_session_id UUID,
+  p_timezone TEXT DEFAULT 'Asia/Kolkata'
+)
+RETURNS promo_redemptions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  promo promo_codes;
+  session user_sessions;
+  room rooms;
+  session_price NUMERIC;
+  local_now TIMESTAMP := now() AT TIME ZONE p_timezone;
+  local_time TIME := local_now::TIME;
+  discount NUMERIC;
+  redemption promo_redemptions;
+BEGIN
+  SELECT * INTO promo FROM promo_codes WHERE code = p_code FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Promo code not found';
+  END IF;
+
+  IF promo.paused_at IS NOT NULL THEN
+    RAISE EXCEPTION 'Promo code is paused';
+  END IF;
+
+  IF promo.start_date IS NOT NULL AND local_now::DATE < promo.start_date THEN
+    RAISE EXCEPTION 'Promo code is not active yet';
+  END IF;
+
+  IF promo.expiry_date IS NOT NULL AND promo.expiry_date < now() THEN
+    RAISE EXCEPTION 'Promo code has expired';
+  END IF;
+
+  IF COALESCE(promo.total_uses, 0) >= promo.max_uses THEN
+    RAISE EXCEPTION 'Promo code has no uses left';
+  END IF;
+
+  IF COALESCE(array_length(promo.weekdays, 1), 0) > 0
+    AND NOT EXTRACT(DOW FROM local_now)::INT = ANY (promo.weekdays) THEN
+    RAISE EXCEPTION 'Promo code is not valid today';
+  END IF;
+
+  IF promo.start_time IS NOT NULL AND NOT (
+    CASE WHEN promo.start_time < promo.end_time
+      THEN local_time >= promo.start_time AND local_time < promo.end_time
+      ELSE local_time >= promo.start_time OR local_time < promo.end_time
+    END
+  ) THEN
+    RAISE EXCEPTION 'Promo code is not valid at this time';
+  END IF;
+
+  SELECT * INTO session FROM user_sessions WHERE id = p_session_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Session not found';
+  END IF;
+
+  SELECT * INTO room FROM rooms WHERE id = session.room_id;
+
+  IF COALESCE(array_length(promo.room_ids, 1), 0)
+    + COALESCE(array_length(promo.category_ids, 1), 0)
+    + COALESCE(array_length(promo.room_tags, 1), 0) > 0
+    AND NOT (
+      room.id = ANY (COALESCE(promo.room_ids, '{}'))
+      OR room.category_id = ANY (COALESCE(promo.category_ids, '{}'))
+      OR COALESCE(room.tags, '{}') && COALESCE(promo.room_tags, '{}')
+    ) THEN
+    RAISE EXCEPTION 'Promo code is not valid for this room';
+  END IF;
+
+  session_price := COALESCE(session.price_inr, room.price_inr, 0);
+
+  IF promo.min_price_inr IS NOT NULL AND session_price < promo.min_price_inr THEN
+    RAISE EXCEPTION 'Promo code only applies to rooms priced at ₹% or more', promo.min_price_inr;
+  END IF;
+
+  IF promo.discount_type = 'percent' THEN
+    discount := round(session_price * promo.discount_amount / 100, 2);
+  ELSE
+    discount := promo.discount_amount;
+  END IF;
+
+  IF promo.max_discount_inr IS NOT NULL THEN
+    discount := LEAST(discount, promo.max_discount_inr);
+  END IF;
+
+  discount := LEAST(discount, session_price);
+
+  UPDATE promo_codes
+  SET total_uses = COALESCE(total_uses, 0) + 1
+  WHERE id = promo.id;
+
+  INSERT INTO promo_redemptions (promo_code_id, code, influencer_id, discount_amount, session_id)
+  VALUES (promo.id, promo.code, promo.influencer_id, discount, p_session_id)
+  RETURNING * INTO redemption;
+
+  RETURN redemption;
+END;
+$$;
@@ -0,0 +1,188 @@
+-- Scheduled close-out.
+-- The grace period is one setting for every admin, stored in
+-- automation_settings, and close_out_room now enforces it: the session window
+-- is resolved in the database (business timezone, like src/lib/schedule.js)
+-- instead of being passed in, and a room can't be closed out until its end
+-- time plus the grace period has passed. With auto_close on, a pg_cron job
+-- closes out due rooms every minute.
+
+ALTER TABLE automation_settings ADD COLUMN IF NOT EXISTS grace_minutes INT NOT NULL DEFAULT 15 CHECK (grace_minutes >= 0);
+ALTER TABLE automation_settings ADD COLUMN IF NOT EXISTS auto_close BOOLEAN NOT NULL DEFAULT false;
+
+-- Start and end of a room's session. Session times are usually TIME values;
+-- older rows hold full timestamps. Overnight sessions without an end date end
+-- the day after they start. NULL when the room isn't scheduled.
+CREATE OR REPLACE FUNCTION room_session_window(
+  p_room rooms,
+  p_timezone TEXT DEFAULT 'Asia/Kolkata',
+  OUT session_start TIMESTAMPTZ,
+  OUT session_end TIMESTAMPTZ
+)
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+  start_text TEXT := p_room.session_start_time::TEXT;
+  end_text TEXT := p_room.session_end_time::TEXT;
+BEGIN
+  IF start_text IS NULL OR end_text IS NULL THEN
+    RETURN;
+  END IF;
+
+  IF start_text LIKE '%T%' AND end_text LIKE '%T%' THEN
+    session_start := start_text::TIMESTAMPTZ;
+    session_end := end_text::TIMESTAMPTZ;
+    RETURN;
+  END IF;
+
+  IF p_room.session_date IS NULL THEN
+    RETURN;
+  END IF;
+
+  session_start := (p_room.session_date + start_text::TIME) AT TIME ZONE p_timezone;
+  session_end := (
+    COALESCE(
+      p_room.session_end_date,
+      CASE WHEN end_text::TIME <= start_text::TIME THEN p_room.session_date + 1 ELSE p_room.session_date END
+    ) + end_text::TIME
+  ) AT TIME ZONE p_timezone;
+END;
+$$;
+
+-- The window and grace period are no longer arguments
+DROP FUNCTION IF EXISTS close_out_room(UUID, TIMESTAMPTZ, TIMESTAMPTZ, INT, TEXT);
+
+CREATE OR REPLACE FUNCTION close_out_room(
+  p_room_id UUID,
+  p_source TEXT DEFAULT 'manual',
+  p_timezone TEXT DEFAULT 'Asia/Kolkata'
+)
+RETURNS room_closeouts
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  target rooms;
+  v_start TIMESTAMPTZ;
+  v_end TIMESTAMPTZ;
+  v_grace INT;
+  open_session RECORD;
+  v_ended INT := 0;
+  v_peak INT;
+  closeout room_closeouts;
+BEGIN
+  SELECT * INTO target FROM rooms WHERE id = p_room_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Room not found';
+  END IF;
+
+  IF target.closed_out_at IS NOT NULL THEN
+    RAISE EXCEPTION 'Room has already been closed out';
+  END IF;
+
+  SELECT w.session_start, w.session_end INTO v_start, v_end FROM room_session_window(target, p_timezone) w;
+
+  IF v_end IS NULL THEN
+    RAISE EXCEPTION 'Room has no valid session window';
+  END IF;
+
+  SELECT COALESCE(MAX(grace_minutes), 0) INTO v_grace FROM automation_settings WHERE id;
+
+  IF now() < v_end THEN
+    RAISE EXCEPTION 'Room session has not ended yet';
+  END IF;
+
+  IF now() < v_end + make_interval(mins => v_grace) THEN
+    RAISE EXCEPTION 'Room is still within its % minute grace period', v_grace;
+  END IF;
+
+  -- Peak before anything is ended, so the close-out doesn't count as the low point
+  SELECT MAX(current_users) INTO v_peak
+  FROM room_occupancy_samples
+  WHERE room_id = p_room_id
+    AND sampled_at BETWEEN v_start AND now();
+
+  FOR open_session IN
+    SELECT id FROM user_sessions
+    WHERE room_id = p_room_id AND rewards_left > 0
+  LOOP
+    PERFORM adjust_session_rewards(open_session.id, 'reset', 0, 'Room closed out at end of session');
+    v_ended := v_ended + 1;
+  END LOOP;
+
+  -- The trigger already recounted after each reset; this also clears any drift
+  PERFORM recount_room_users(p_room_id);
+
+  INSERT INTO room_closeouts (
+    room_id, room_name, session_start, session_end, duration_minutes,
+    peak_users, total_sessions, sessions_ended, gross_inr, discount_inr, net_inr,
+    grace_minutes, source
+  )
+  SELECT
+    target.id,
+    target.name,
+    v_start,
+    v_end,
+    GREATEST(0, ROUND(EXTRACT(EPOCH FROM (v_end - v_start)) / 60))::INT,
+    GREATEST(COALESCE(v_peak, 0), COALESCE(target.current_users, 0)),
+    COUNT(r.session_id)::INT,
+    v_ended,
+    COALESCE(SUM(r.gross_inr), 0),
+    COALESCE(SUM(r.discount_inr), 0),
+    COALESCE(SUM(r.net_inr), 0),
+    v_grace,
+    p_source
+  FROM session_revenue r
+  WHERE r.room_id = p_room_id
+  RETURNING * INTO closeout;
+
+  UPDATE rooms SET closed_out_at = now() WHERE id = p_room_id;
+
+  RETURN closeout;
+END;
+$$;
+
+-- Close out every due room from the last 7 days (CLOSEOUT_LOOKBACK_DAYS in
+-- src/lib/closeouts.js) if automatic close-out is on. A room that fails is
+-- skipped and retried on the next run. Returns the number closed out.
+CREATE OR REPLACE FUNCTION run_scheduled_closeouts(p_timezone TEXT DEFAULT 'Asia/Kolkata')
+RETURNS INT
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  settings automation_settings;
+  today DATE := (now() AT TIME ZONE p_timezone)::DATE;
+  candidate rooms;
+  v_end TIMESTAMPTZ;
+  v_closed INT := 0;
+BEGIN
+  SELECT * INTO settings FROM automation_settings WHERE id;
+
+  IF NOT FOUND OR NOT settings.auto_close THEN
+    RETURN 0;
+  END IF;
+
+  FOR candidate IN
+    SELECT * FROM rooms
+    WHERE closed_out_at IS NULL
+      AND archived_at IS NULL
+      AND session_date BETWEEN today - 7 AND today
+    ORDER BY session_date
+  LOOP
+    SELECT w.session_end INTO v_end FROM room_session_window(candidate, p_timezone) w;
+
+    CONTINUE WHEN v_end IS NULL OR now() < v_end + make_interval(mins => settings.grace_minutes);
+
+    BEGIN
+      PERFORM close_out_room(candidate.id, 'auto', p_timezone);
+      v_closed := v_closed + 1;
+    EXCEPTION WHEN OTHERS THEN
+      RAISE WARNING 'Automatic close-out of room % failed: %', candidate.id, SQLERRM;
+    END;
+  END LOOP;
+
+  RETURN v_closed;
+END;
+$$;
+
+SELECT cron.schedule('close-out-rooms', '* * * * *', 'SELECT run_scheduled_closeouts()');
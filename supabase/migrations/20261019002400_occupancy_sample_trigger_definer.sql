@@ -0,0 +1,23 @@
+-- Occupancy samples are written by the database only.
+-- room_occupancy_samples has no INSERT policy, so the sampling trigger has to
+-- run as its owner; otherwise every room insert and current_users change made
+-- by a client role (including the recount cascaded from user_sessions writes)
+-- fails row-level security. Clients can still only read samples.
+
+CREATE OR REPLACE FUNCTION rooms_record_occupancy_sample()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT'
+     OR NEW.current_users IS DISTINCT FROM OLD.current_users
+     OR NEW.max_users IS DISTINCT FROM OLD.max_users THEN
+    INSERT INTO room_occupancy_samples (room_id, current_users, max_users)
+    VALUES (NEW.id, COALESCE(NEW.current_users, 0), NEW.max_users);
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
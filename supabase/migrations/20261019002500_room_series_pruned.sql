@@ -0,0 +1,6 @@
+-- Series occurrences are archived, not deleted, when a series is paused or its
+-- recurrence no longer includes their date. series_pruned marks the rooms a
+-- series archived itself, so resuming or widening the series restores them,
+-- while a day an admin archived by hand stays cancelled.
+
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS series_pruned BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,25 @@
+-- Bounded "Fix all".
+-- reconcile_room_occupancy(NULL) recounts every room ever created. The
+-- reconciler's "Fix all" now passes the rooms in its report instead, and they
+-- are recounted in one call.
+
+-- Recount the given rooms and return the corrections that were made
+CREATE OR REPLACE FUNCTION reconcile_rooms_occupancy(
+  p_room_ids UUID[],
+  p_source TEXT DEFAULT 'manual'
+)
+RETURNS SETOF occupancy_corrections
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  target_id UUID;
+BEGIN
+  FOR target_id IN
+    SELECT id FROM rooms
+    WHERE id = ANY(p_room_ids)
+    ORDER BY id
+  LOOP
+    RETURN QUERY SELECT * FROM reconcile_room_occupancy(target_id, p_source);
+  END LOOP;
+END;
+$$;
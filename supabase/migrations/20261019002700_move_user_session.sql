@@ -0,0 +1,51 @@
+-- Capacity-checked session moves.
+-- Moving a session used to be a plain update of user_sessions.room_id, checked
+-- only against the capacity the admin panel had last loaded. move_user_session
+-- locks the target room and counts its active sessions in the same
+-- transaction, so two admins (or an admin and a user joining) can't overfill
+-- it. The occupancy trigger still recounts both rooms.
+
+CREATE OR REPLACE FUNCTION move_user_session(
+  p_session_id UUID,
+  p_room_id UUID
+)
+RETURNS user_sessions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  session user_sessions;
+  target rooms;
+  v_active INT;
+BEGIN
+  SELECT * INTO session FROM user_sessions WHERE id = p_session_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Session not found';
+  END IF;
+
+  SELECT * INTO target FROM rooms WHERE id = p_room_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Room not found';
+  END IF;
+
+  -- Ended sessions don't take up a place
+  IF session.room_id IS DISTINCT FROM p_room_id AND session.rewards_left > 0 THEN
+    SELECT COUNT(*) INTO v_active
+    FROM user_sessions
+    WHERE room_id = p_room_id
+      AND rewards_left > 0;
+
+    IF v_active >= target.max_users THEN
+      RAISE EXCEPTION '% is full', target.name;
+    END IF;
+  END IF;
+
+  UPDATE user_sessions
+  SET room_id = p_room_id, last_updated = now()
+  WHERE id = p_session_id
+  RETURNING * INTO session;
+
+  RETURN session;
+END;
+$$;
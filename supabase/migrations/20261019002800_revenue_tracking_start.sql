@@ -0,0 +1,22 @@
+-- Start of discount tracking.
+-- promo_redemptions only has rows for codes redeemed through redeem_promo_code
+-- since the revenue migration; earlier uses were only counted in
+-- promo_codes.total_uses, with no session to attach them to, so they can't be
+-- backfilled. revenue_tracking records when discounts started being recorded
+-- (the first redemption, or now if there are none yet) and the revenue
+-- dashboard marks ranges that begin before it.
+
+CREATE TABLE IF NOT EXISTS revenue_tracking (
+  id BOOLEAN PRIMARY KEY DEFAULT true CHECK (id),
+  discounts_from TIMESTAMPTZ NOT NULL
+);
+
+INSERT INTO revenue_tracking (id, discounts_from)
+SELECT true, COALESCE(MIN(redeemed_at), now())
+FROM promo_redemptions
+ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE revenue_tracking ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow reading revenue_tracking" ON revenue_tracking
+FOR SELECT USING (true);
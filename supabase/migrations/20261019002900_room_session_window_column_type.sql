@@ -0,0 +1,58 @@
+-- room_session_window timestamp detection.
+-- Older rooms hold full timestamps in session_start_time/session_end_time.
+-- room_session_window looked for the 'T' of an ISO string in the columns' text,
+-- which timestamp columns never contain ('2026-10-19 10:00:00+00'), so those
+-- rooms were read as a time on session_date instead. It now checks the column
+-- type, and still accepts ISO strings when the columns are text.
+
+CREATE OR REPLACE FUNCTION room_session_window(
+  p_room rooms,
+  p_timezone TEXT DEFAULT 'Asia/Kolkata',
+  OUT session_start TIMESTAMPTZ,
+  OUT session_end TIMESTAMPTZ
+)
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+  start_text TEXT := p_room.session_start_time::TEXT;
+  end_text TEXT := p_room.session_end_time::TEXT;
+  column_type REGTYPE := pg_typeof(p_room.session_start_time);
+BEGIN
+  IF start_text IS NULL OR end_text IS NULL THEN
+    RETURN;
+  END IF;
+
+  IF column_type = 'timestamp with time zone'::REGTYPE THEN
+    session_start := start_text::TIMESTAMPTZ;
+    session_end := end_text::TIMESTAMPTZ;
+    RETURN;
+  END IF;
+
+  -- Timestamps without a zone are wall-clock times in the business timezone
+  IF column_type = 'timestamp without time zone'::REGTYPE THEN
+    session_start := start_text::TIMESTAMP AT TIME ZONE p_timezone;
+    session_end := end_text::TIMESTAMP AT TIME ZONE p_timezone;
+    RETURN;
+  END IF;
+
+  -- Text columns: ISO timestamps, as src/lib/schedule.js tells them apart
+  IF start_text LIKE '%T%' AND end_text LIKE '%T%' THEN
+    session_start := start_text::TIMESTAMPTZ;
+    session_end := end_text::TIMESTAMPTZ;
+    RETURN;
+  END IF;
+
+  IF p_room.session_date IS NULL THEN
+    RETURN;
+  END IF;
+
+  session_start := (p_room.session_date + start_text::TIME) AT TIME ZONE p_timezone;
+  session_end := (
+    COALESCE(
+      p_room.session_end_date,
+      CASE WHEN end_text::TIME <= start_text::TIME THEN p_room.session_date + 1 ELSE p_room.session_date END
+    ) + end_text::TIME
+  ) AT TIME ZONE p_timezone;
+END;
+$$;